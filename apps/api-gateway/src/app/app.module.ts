@@ -7,6 +7,9 @@ import { AppService } from './app.service';
 import { AuthModule } from '../micro-service/auth/auth.module';
 import { DriverModule } from '../micro-service/driver/driver.module';
 import { TripModule } from '../micro-service/trip/trip.module';
+import { ServiceAreaModule } from '../micro-service/service-area/service-area.module';
+import { MqttModule } from '../common/mqtt/mqtt.module';
+import { IdempotencyModule } from '../common/idempotency/idempotency.module';
 
 @Module({
   imports: [
@@ -19,6 +22,10 @@ import { TripModule } from '../micro-service/trip/trip.module';
       }),
     }),
 
+    MqttModule,
+
+    IdempotencyModule,
+
     UserModule,
 
     AuthModule,
@@ -26,6 +33,8 @@ import { TripModule } from '../micro-service/trip/trip.module';
     DriverModule,
 
     TripModule,
+
+    ServiceAreaModule,
   ],
   controllers: [AppController],
   providers: [AppService],
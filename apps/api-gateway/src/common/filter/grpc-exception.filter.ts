@@ -0,0 +1,68 @@
+// filter/grpc-exception.filter.ts
+import { status } from '@grpc/grpc-js';
+import { ArgumentsHost, Catch, HttpStatus, Logger } from '@nestjs/common';
+import { BaseExceptionFilter } from '@nestjs/core';
+import { Response } from 'express';
+
+const GRPC_TO_HTTP_STATUS: Partial<Record<status, HttpStatus>> = {
+  [status.INVALID_ARGUMENT]: HttpStatus.BAD_REQUEST,
+  [status.OUT_OF_RANGE]: HttpStatus.BAD_REQUEST,
+  [status.UNAUTHENTICATED]: HttpStatus.UNAUTHORIZED,
+  [status.PERMISSION_DENIED]: HttpStatus.FORBIDDEN,
+  [status.NOT_FOUND]: HttpStatus.NOT_FOUND,
+  [status.ALREADY_EXISTS]: HttpStatus.CONFLICT,
+  [status.FAILED_PRECONDITION]: HttpStatus.CONFLICT,
+  [status.ABORTED]: HttpStatus.CONFLICT,
+  [status.RESOURCE_EXHAUSTED]: HttpStatus.TOO_MANY_REQUESTS,
+  [status.UNIMPLEMENTED]: HttpStatus.NOT_IMPLEMENTED,
+  [status.UNAVAILABLE]: HttpStatus.SERVICE_UNAVAILABLE,
+  [status.DEADLINE_EXCEEDED]: HttpStatus.GATEWAY_TIMEOUT,
+};
+
+interface GrpcServiceError {
+  code: number;
+  details?: string;
+  message?: string;
+}
+
+function isGrpcServiceError(exception: unknown): exception is GrpcServiceError {
+  return (
+    typeof exception === 'object' &&
+    exception !== null &&
+    typeof (exception as GrpcServiceError).code === 'number' &&
+    'details' in exception
+  );
+}
+
+/**
+ * Translates errors coming back from the gRPC microservices into HTTP
+ * responses, e.g. NOT_FOUND → 404 and FAILED_PRECONDITION → 409.
+ * Anything that is not a gRPC error is handled by Nest's default filter.
+ */
+@Catch()
+export class GrpcExceptionFilter extends BaseExceptionFilter {
+  private readonly logger = new Logger(GrpcExceptionFilter.name);
+
+  catch(exception: unknown, host: ArgumentsHost) {
+    if (!isGrpcServiceError(exception) || host.getType() !== 'http') {
+      return super.catch(exception, host);
+    }
+
+    const httpStatus =
+      GRPC_TO_HTTP_STATUS[exception.code as status] ??
+      HttpStatus.INTERNAL_SERVER_ERROR;
+
+    if (httpStatus === HttpStatus.INTERNAL_SERVER_ERROR) {
+      this.logger.error(
+        `Unmapped gRPC error (code ${exception.code}): ${exception.details}`
+      );
+    }
+
+    const response = host.switchToHttp().getResponse<Response>();
+    response.status(httpStatus).json({
+      statusCode: httpStatus,
+      message: exception.details || exception.message,
+      error: status[exception.code],
+    });
+  }
+}
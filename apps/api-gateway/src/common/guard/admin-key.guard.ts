@@ -0,0 +1,35 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  ForbiddenException,
+  Injectable,
+} from '@nestjs/common';
+import { timingSafeEqual } from 'crypto';
+import { Request } from 'express';
+
+/**
+ * Admin-only routes. Callers send the shared ADMIN_API_KEY in the
+ * `X-Admin-Key` header; while ADMIN_API_KEY is not set the routes are closed.
+ */
+@Injectable()
+export class AdminKeyGuard implements CanActivate {
+  canActivate(ctx: ExecutionContext): boolean {
+    const req: Request = ctx.switchToHttp().getRequest();
+    const expected = process.env.ADMIN_API_KEY;
+    const provided = req.header('x-admin-key');
+
+    if (!expected) {
+      throw new ForbiddenException('Admin API is disabled');
+    }
+
+    if (
+      !provided ||
+      provided.length !== expected.length ||
+      !timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+    ) {
+      throw new ForbiddenException('Invalid or missing X-Admin-Key');
+    }
+
+    return true;
+  }
+}
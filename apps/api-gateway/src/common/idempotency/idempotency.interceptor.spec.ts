@@ -0,0 +1,165 @@
+import {
+  CallHandler,
+  ConflictException,
+  ExecutionContext,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { firstValueFrom, Observable, of, throwError } from 'rxjs';
+import { IdempotencyInterceptor } from './idempotency.interceptor';
+import { IdempotencyRecord, IdempotencyService } from './idempotency.service';
+
+// Same contract as the Redis store, kept in memory
+class InMemoryIdempotencyService {
+  available = true;
+  records = new Map<string, IdempotencyRecord>();
+
+  async reserve(key: string, fingerprint: string) {
+    const existing = this.records.get(key);
+    if (existing) return existing;
+
+    this.records.set(key, { state: 'IN_PROGRESS', fingerprint });
+    return null;
+  }
+
+  async complete(key: string, fingerprint: string, body: unknown) {
+    this.records.set(key, { state: 'COMPLETED', fingerprint, body });
+  }
+
+  async release(key: string) {
+    this.records.delete(key);
+  }
+}
+
+interface FakeRequest {
+  method?: string;
+  url?: string;
+  body?: unknown;
+  key?: string;
+  userId?: string;
+}
+
+describe('IdempotencyInterceptor', () => {
+  let store: InMemoryIdempotencyService;
+  let interceptor: IdempotencyInterceptor;
+  let setHeader: jest.Mock;
+
+  beforeEach(() => {
+    store = new InMemoryIdempotencyService();
+    interceptor = new IdempotencyInterceptor(
+      store as unknown as IdempotencyService
+    );
+    setHeader = jest.fn();
+  });
+
+  function contextFor({
+    method = 'POST',
+    url = '/trips',
+    body = { pickup: 'A' },
+    key = 'key-1',
+    userId = 'user-1',
+  }: FakeRequest = {}): ExecutionContext {
+    const headers: Record<string, string> = key
+      ? { 'idempotency-key': key }
+      : {};
+    const req = {
+      method,
+      originalUrl: url,
+      body,
+      headers,
+      ip: '127.0.0.1',
+      user: { id: userId },
+      header: (name: string) => headers[name.toLowerCase()],
+    };
+
+    return {
+      getType: () => 'http',
+      switchToHttp: () => ({
+        getRequest: () => req,
+        getResponse: () => ({ setHeader }),
+      }),
+    } as unknown as ExecutionContext;
+  }
+
+  function handler(result: () => Observable<unknown>) {
+    const handle = jest.fn(result);
+    return { next: { handle } as CallHandler, handle };
+  }
+
+  function run(context: ExecutionContext, next: CallHandler) {
+    return firstValueFrom(interceptor.intercept(context, next));
+  }
+
+  it('runs a request once and replays its response to retries', async () => {
+    const { next, handle } = handler(() => of({ id: 'trip-1' }));
+
+    expect(await run(contextFor(), next)).toEqual({ id: 'trip-1' });
+    expect(await run(contextFor(), next)).toEqual({ id: 'trip-1' });
+
+    expect(handle).toHaveBeenCalledTimes(1);
+    expect(setHeader).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    const { next } = handler(() => of({ id: 'trip-1' }));
+    await run(contextFor(), next);
+
+    await expect(
+      run(contextFor({ body: { pickup: 'B' } }), next)
+    ).rejects.toBeInstanceOf(UnprocessableEntityException);
+  });
+
+  it('rejects a retry while the first request is still running', async () => {
+    const { next, handle } = handler(() => new Observable(() => undefined));
+
+    // Never completes, so the key stays reserved
+    interceptor.intercept(contextFor(), next).subscribe();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await expect(run(contextFor(), next)).rejects.toBeInstanceOf(
+      ConflictException
+    );
+    expect(handle).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets a failed request be retried with the same key', async () => {
+    const failing = handler(() => throwError(() => new Error('unavailable')));
+    await expect(run(contextFor(), failing.next)).rejects.toThrow(
+      'unavailable'
+    );
+
+    const { next, handle } = handler(() => of({ id: 'trip-1' }));
+    expect(await run(contextFor(), next)).toEqual({ id: 'trip-1' });
+    expect(handle).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the keys of different callers apart', async () => {
+    const { next, handle } = handler(() => of({ id: 'trip-1' }));
+
+    await run(contextFor({ userId: 'user-1' }), next);
+    await run(contextFor({ userId: 'user-2' }), next);
+
+    expect(handle).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs requests without a key, or not POST or PATCH, every time', async () => {
+    const { next, handle } = handler(() => of({ id: 'trip-1' }));
+
+    await run(contextFor({ key: '' }), next);
+    await run(contextFor({ key: '' }), next);
+    await run(contextFor({ method: 'DELETE' }), next);
+    await run(contextFor({ method: 'DELETE' }), next);
+
+    expect(handle).toHaveBeenCalledTimes(4);
+    expect(store.records.size).toBe(0);
+  });
+
+  it('runs without deduplication while the store is down', async () => {
+    store.available = false;
+    const { next, handle } = handler(() => of({ id: 'trip-1' }));
+
+    await run(contextFor(), next);
+    await run(contextFor(), next);
+
+    expect(handle).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,146 @@
+import {
+  BadRequestException,
+  CallHandler,
+  ConflictException,
+  ExecutionContext,
+  Injectable,
+  Logger,
+  NestInterceptor,
+  UnprocessableEntityException,
+} from '@nestjs/common';
+import { createHash } from 'crypto';
+import { Request, Response } from 'express';
+import { catchError, from, mergeMap, Observable, of } from 'rxjs';
+import { IdempotencyService } from './idempotency.service';
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+/**
+ * Idempotency keys for mutating routes
+ *
+ * A POST or PATCH carrying an `Idempotency-Key` header runs at most once per
+ * key and caller. Retries get the stored response back, marked with
+ * `Idempotent-Replayed: true`. Reusing a key for a different request is a 422,
+ * and a retry arriving while the first request is still running is a 409.
+ * Failed requests are not stored, so they can be retried with the same key.
+ *
+ * Requests without the header are not affected.
+ */
+@Injectable()
+export class IdempotencyInterceptor implements NestInterceptor {
+  private readonly logger = new Logger(IdempotencyInterceptor.name);
+
+  constructor(private readonly idempotencyService: IdempotencyService) {}
+
+  intercept(context: ExecutionContext, next: CallHandler): Observable<unknown> {
+    if (context.getType() !== 'http') {
+      return next.handle();
+    }
+
+    const req: Request = context.switchToHttp().getRequest();
+    const res: Response = context.switchToHttp().getResponse();
+    const idempotencyKey = req.header(IDEMPOTENCY_HEADER);
+
+    if (!idempotencyKey || !IDEMPOTENT_METHODS.includes(req.method)) {
+      return next.handle();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      throw new BadRequestException(
+        `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      );
+    }
+
+    const key = `idempotency:${callerOf(req)}:${idempotencyKey}`;
+    const fingerprint = hash(
+      `${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? {})}`
+    );
+    const reservation = this.idempotencyService.available
+      ? this.idempotencyService.reserve(key, fingerprint)
+      : Promise.reject(new Error('not connected'));
+
+    return from(
+      reservation.then(
+        (existing) => ({ existing }),
+        (error) => {
+          this.logger.warn(
+            `Idempotency store unavailable (${error.message}), ${req.method} ${req.originalUrl} runs without deduplication`
+          );
+          return null;
+        }
+      )
+    ).pipe(
+      mergeMap((reserved) => {
+        if (!reserved) {
+          return next.handle();
+        }
+
+        const { existing } = reserved;
+
+        if (!existing) {
+          return this.runOnce(key, fingerprint, next);
+        }
+
+        if (existing.fingerprint !== fingerprint) {
+          throw new UnprocessableEntityException(
+            'Idempotency-Key was already used for a different request'
+          );
+        }
+
+        if (existing.state === 'IN_PROGRESS') {
+          throw new ConflictException(
+            'A request with this Idempotency-Key is still in progress'
+          );
+        }
+
+        res.setHeader('Idempotent-Replayed', 'true');
+        return of(existing.body);
+      })
+    );
+  }
+
+  private runOnce(
+    key: string,
+    fingerprint: string,
+    next: CallHandler
+  ): Observable<unknown> {
+    return next.handle().pipe(
+      mergeMap(async (body) => {
+        try {
+          await this.idempotencyService.complete(key, fingerprint, body);
+        } catch (error) {
+          // The request did run; answer it even if a retry may repeat it
+          this.logger.error(
+            `Could not store idempotent response: ${error.message}`
+          );
+        }
+        return body;
+      }),
+      catchError(async (error) => {
+        await this.idempotencyService.release(key).catch(() => undefined);
+        throw error;
+      })
+    );
+  }
+}
+
+// Authenticated user when known, otherwise the credentials or address used
+function callerOf(req: Request): string {
+  const user = (req as Request & { user?: { id?: string } }).user;
+
+  if (user?.id) {
+    return `user:${user.id}`;
+  }
+
+  if (req.headers.authorization) {
+    return `auth:${hash(req.headers.authorization)}`;
+  }
+
+  return `ip:${req.ip}`;
+}
+
+function hash(value: string): string {
+  return createHash('sha256').update(value).digest('hex');
+}
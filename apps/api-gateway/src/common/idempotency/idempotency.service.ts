@@ -0,0 +1,114 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import { createClient, RedisClientType } from 'redis';
+
+export type IdempotencyRecord =
+  | { state: 'IN_PROGRESS'; fingerprint: string }
+  | { state: 'COMPLETED'; fingerprint: string; body: unknown };
+
+/**
+ * Redis store for idempotency records
+ *
+ * A record is reserved while the first request with a key is running and
+ * replaced by its response once it succeeds. Completed records live for
+ * IDEMPOTENCY_TTL_SECONDS (default 86400); a reservation expires after
+ * IDEMPOTENCY_LOCK_SECONDS (default 60) in case the gateway dies mid-request.
+ *
+ * The store is best effort: while Redis is unreachable every call reports
+ * it as unavailable and requests go through without deduplication.
+ */
+@Injectable()
+export class IdempotencyService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(IdempotencyService.name);
+  private readonly client: RedisClientType;
+
+  private readonly ttlSeconds = parseInt(
+    process.env.IDEMPOTENCY_TTL_SECONDS || '86400'
+  );
+  private readonly lockSeconds = parseInt(
+    process.env.IDEMPOTENCY_LOCK_SECONDS || '60'
+  );
+
+  constructor() {
+    const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+
+    this.client = createClient({
+      url: redisUrl,
+      // Fail fast instead of holding requests while Redis is down
+      disableOfflineQueue: true,
+    });
+
+    this.client.on('error', (err) => {
+      this.logger.error(`Redis Client Error: ${err.message}`);
+    });
+  }
+
+  onModuleInit() {
+    this.client
+      .connect()
+      .then(() => this.logger.log('Idempotency store connected'))
+      .catch((error) =>
+        this.logger.error(
+          `Failed to connect to the idempotency store: ${error.message}`
+        )
+      );
+  }
+
+  async onModuleDestroy() {
+    if (this.client.isOpen) {
+      await this.client.close();
+    }
+  }
+
+  get available(): boolean {
+    return this.client.isReady;
+  }
+
+  /**
+   * Claim `key` for a new request. Returns null when the claim succeeded,
+   * otherwise the record left by an earlier request with the same key.
+   */
+  async reserve(
+    key: string,
+    fingerprint: string
+  ): Promise<IdempotencyRecord | null> {
+    const record: IdempotencyRecord = { state: 'IN_PROGRESS', fingerprint };
+
+    const claimed = await this.client.set(key, JSON.stringify(record), {
+      condition: 'NX',
+      expiration: { type: 'EX', value: this.lockSeconds },
+    });
+
+    if (claimed) {
+      return null;
+    }
+
+    const existing = await this.client.get(key);
+
+    // Expired between the two calls, so nobody holds it now
+    if (!existing) {
+      return this.reserve(key, fingerprint);
+    }
+
+    return JSON.parse(existing.toString());
+  }
+
+  async complete(key: string, fingerprint: string, body: unknown) {
+    const record: IdempotencyRecord = { state: 'COMPLETED', fingerprint, body };
+
+    await this.client.set(key, JSON.stringify(record), {
+      expiration: { type: 'EX', value: this.ttlSeconds },
+    });
+  }
+
+  /**
+   * Drop a reservation so the request can be retried with the same key
+   */
+  async release(key: string) {
+    await this.client.del(key);
+  }
+}
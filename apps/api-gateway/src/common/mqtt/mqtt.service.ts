@@ -0,0 +1,91 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import * as mqtt from 'mqtt';
+import { Observable } from 'rxjs';
+
+type MessageListener = (payload: Buffer) => void;
+
+/**
+ * Read-only MQTT access for the gateway
+ *
+ * One broker connection is shared by every HTTP stream. A topic is
+ * subscribed on the broker while at least one caller is watching it and
+ * unsubscribed when the last one goes away. Topics are matched exactly, so
+ * wildcards are not supported.
+ */
+@Injectable()
+export class MqttService implements OnModuleInit, OnModuleDestroy {
+  private client: mqtt.MqttClient;
+  private readonly logger = new Logger(MqttService.name);
+  private readonly listeners = new Map<string, Set<MessageListener>>();
+
+  onModuleInit() {
+    const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://mosquitto:1883';
+
+    this.client = mqtt.connect(brokerUrl, {
+      clientId: `api-gateway-${Math.random().toString(16).slice(3)}`,
+      clean: true,
+      connectTimeout: 4000,
+      reconnectPeriod: 1000,
+    });
+
+    this.client.on('connect', () => {
+      this.logger.log(`Connected to MQTT broker at ${brokerUrl}`);
+
+      // Clean sessions drop subscriptions, restore the ones still in use
+      const topics = [...this.listeners.keys()];
+      if (topics.length > 0) {
+        this.client.subscribe(topics);
+      }
+    });
+
+    this.client.on('message', (topic, payload) => {
+      this.listeners.get(topic)?.forEach((listener) => listener(payload));
+    });
+
+    this.client.on('error', (error) => {
+      this.logger.error('MQTT connection error:', error);
+    });
+
+    this.client.on('offline', () => {
+      this.logger.warn('MQTT client is offline');
+    });
+  }
+
+  onModuleDestroy() {
+    this.client?.end(true);
+  }
+
+  /**
+   * Messages published on `topic` for as long as the subscription lives
+   */
+  watch(topic: string): Observable<Buffer> {
+    return new Observable<Buffer>((subscriber) => {
+      const listener: MessageListener = (payload) => subscriber.next(payload);
+
+      let topicListeners = this.listeners.get(topic);
+      if (!topicListeners) {
+        topicListeners = new Set();
+        this.listeners.set(topic, topicListeners);
+        this.client.subscribe(topic, (err) => {
+          if (err) {
+            this.logger.error(`Failed to subscribe to ${topic}:`, err);
+          }
+        });
+      }
+      topicListeners.add(listener);
+
+      return () => {
+        topicListeners.delete(listener);
+        if (topicListeners.size === 0) {
+          this.listeners.delete(topic);
+          this.client.unsubscribe(topic);
+        }
+      };
+    });
+  }
+}
@@ -5,8 +5,9 @@
 
 import { Logger, VersioningType } from '@nestjs/common';
 // import { NestFactory, Reflector } from '@nestjs/core';
-import { NestFactory } from '@nestjs/core';
+import { HttpAdapterHost, NestFactory } from '@nestjs/core';
 import { AppModule } from './app/app.module';
+import { GrpcExceptionFilter } from './common/filter/grpc-exception.filter';
 //import { ClerkAuthGuard } from './common/guard/clerk-auth.guard';
 
 async function bootstrap() {
@@ -17,6 +18,8 @@ async function bootstrap() {
     type: VersioningType.URI,
     prefix: 'v',
   });  const port = process.env.PORT || 3000;
+  const { httpAdapter } = app.get(HttpAdapterHost);
+  app.useGlobalFilters(new GrpcExceptionFilter(httpAdapter));
   //   const reflector = app.get(Reflector);
   // app.useGlobalGuards(new ClerkAuthGuard(reflector));
   await app.listen(port);
@@ -1,5 +1,17 @@
-import { Body, Controller, Get, Param, Patch, Query, Delete } from '@nestjs/common';
+import {
+  BadRequestException,
+  Body,
+  Controller,
+  Get,
+  Param,
+  Patch,
+  Post,
+  Query,
+  Delete,
+  UseGuards,
+} from '@nestjs/common';
 import { DriverStatusEnum, NearbyQuery } from '@uit-go/shared-types';
+import { AdminKeyGuard } from '../../common/guard/admin-key.guard';
 import { DriverService } from './driver.service';
 
 @Controller({
@@ -14,6 +26,13 @@ export class DriverController {
     return (await this.driverService.searchNearBy(query)).list;
   }
 
+  // Repair drift between the search index and driver records (admin)
+  @Post('/index/reconcile')
+  @UseGuards(AdminKeyGuard)
+  async reconcileIndex(@Query('dryRun') dryRun?: string) {
+    return this.driverService.reconcileIndex(dryRun === 'true');
+  }
+
   @Get()
   async findAll(
     @Query('page') page?: number,
@@ -39,9 +58,14 @@ export class DriverController {
       vehicleType?: string;
       licensePlate?: string;
       licenseNumber?: string;
-      balance?: number;
+      seatCapacity?: number;
     }
   ) {
+    // Balances only move through trip settlement (wallet ledger)
+    if ('balance' in data) {
+      throw new BadRequestException('balance cannot be updated directly');
+    }
+
     return this.driverService.updateProfile({ userId: id, ...data });
   }
 
@@ -64,7 +64,7 @@ export class DriverService {
     vehicleType?: string;
     licensePlate?: string;
     licenseNumber?: string;
-    balance?: number;
+    seatCapacity?: number;
   }) {
     return firstValueFrom(this.driverService.updateDriverProfile(request));
   }
@@ -72,4 +72,8 @@ export class DriverService {
   async deleteDriver(userId: string) {
     return firstValueFrom(this.driverService.deleteDriver({ userId }));
   }
+
+  async reconcileIndex(dryRun: boolean) {
+    return firstValueFrom(this.driverService.reconcileIndex({ dryRun }));
+  }
 }
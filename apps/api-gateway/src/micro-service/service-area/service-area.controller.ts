@@ -0,0 +1,86 @@
+import {
+  BadRequestException,
+  Body,
+  Controller,
+  Delete,
+  Get,
+  Param,
+  ParseFloatPipe,
+  Patch,
+  Post,
+  Query,
+  UseGuards,
+} from '@nestjs/common';
+import { AdminKeyGuard } from '../../common/guard/admin-key.guard';
+import { ServiceAreaService } from './service-area.service';
+
+interface ServiceAreaBody {
+  name?: string;
+  // GeoJSON Polygon, MultiPolygon or a Feature wrapping one
+  geojson?: Record<string, unknown>;
+  active?: boolean;
+  requireStartPin?: boolean;
+}
+
+@Controller({
+  version: '1',
+  path: 'service-areas',
+})
+export class ServiceAreaController {
+  constructor(private readonly serviceAreaService: ServiceAreaService) {}
+
+  @Get()
+  async findAll(@Query('all') all?: string) {
+    return this.serviceAreaService.findAll(all !== 'true');
+  }
+
+  @Get('coverage')
+  async checkCoverage(
+    @Query('latitude', ParseFloatPipe) latitude: number,
+    @Query('longitude', ParseFloatPipe) longitude: number
+  ) {
+    return this.serviceAreaService.checkCoverage(latitude, longitude);
+  }
+
+  @Post()
+  @UseGuards(AdminKeyGuard)
+  async create(
+    @Body() { name, geojson, active, requireStartPin }: ServiceAreaBody
+  ) {
+    if (!geojson || typeof geojson !== 'object') {
+      throw new BadRequestException('geojson must be a GeoJSON object');
+    }
+
+    return this.serviceAreaService.create({
+      name,
+      geojson: JSON.stringify(geojson),
+      active,
+      requireStartPin,
+    });
+  }
+
+  @Patch(':id')
+  @UseGuards(AdminKeyGuard)
+  async update(
+    @Param('id') id: string,
+    @Body() { name, geojson, active, requireStartPin }: ServiceAreaBody
+  ) {
+    if (geojson !== undefined && (!geojson || typeof geojson !== 'object')) {
+      throw new BadRequestException('geojson must be a GeoJSON object');
+    }
+
+    return this.serviceAreaService.update({
+      id,
+      name,
+      geojson: geojson ? JSON.stringify(geojson) : undefined,
+      active,
+      requireStartPin,
+    });
+  }
+
+  @Delete(':id')
+  @UseGuards(AdminKeyGuard)
+  async remove(@Param('id') id: string) {
+    return this.serviceAreaService.remove(id);
+  }
+}
@@ -0,0 +1,21 @@
+import { Module } from '@nestjs/common';
+import { ClientsModule } from '@nestjs/microservices';
+import { driverGrpcOptions, GRPC_SERVICE } from '@uit-go/shared-client';
+import { ServiceAreaController } from './service-area.controller';
+import { ServiceAreaService } from './service-area.service';
+
+@Module({
+  imports: [
+    ClientsModule.registerAsync([
+      {
+        name: GRPC_SERVICE.DRIVER.NAME,
+        useFactory: async () => ({
+          ...driverGrpcOptions,
+        }),
+      },
+    ]),
+  ],
+  controllers: [ServiceAreaController],
+  providers: [ServiceAreaService],
+})
+export class ServiceAreaModule {}
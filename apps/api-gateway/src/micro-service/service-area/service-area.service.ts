@@ -0,0 +1,74 @@
+import { Inject, Injectable } from '@nestjs/common';
+import { ClientGrpc } from '@nestjs/microservices';
+import { DriverServiceClient, GRPC_SERVICE } from '@uit-go/shared-client';
+import {
+  CreateServiceAreaRequest,
+  ServiceAreaResponse,
+  UpdateServiceAreaRequest,
+} from '@uit-go/shared-types';
+import { firstValueFrom } from 'rxjs';
+
+@Injectable()
+export class ServiceAreaService {
+  private driverService: DriverServiceClient;
+
+  constructor(
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private driverClient: ClientGrpc
+  ) {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  async create(data: CreateServiceAreaRequest) {
+    return toJson(
+      await firstValueFrom(this.driverService.createServiceArea(data))
+    );
+  }
+
+  async findAll(activeOnly: boolean) {
+    const { list } = await firstValueFrom(
+      this.driverService.getServiceAreas({ activeOnly })
+    );
+    return (list ?? []).map(toJson);
+  }
+
+  async update(data: UpdateServiceAreaRequest) {
+    return toJson(
+      await firstValueFrom(this.driverService.updateServiceArea(data))
+    );
+  }
+
+  async remove(id: string) {
+    return toJson(
+      await firstValueFrom(this.driverService.deleteServiceArea({ id }))
+    );
+  }
+
+  async checkCoverage(latitude: number, longitude: number) {
+    const coverage = await firstValueFrom(
+      this.driverService.checkCoverage({ points: [{ latitude, longitude }] })
+    );
+    const [point] = coverage.list ?? [];
+
+    return {
+      latitude,
+      longitude,
+      covered: point?.covered ?? false,
+      areaId: point?.areaId ?? null,
+      areaName: point?.areaName ?? null,
+      requireStartPin: point?.requireStartPin ?? false,
+      restricted: coverage.restricted ?? false,
+    };
+  }
+}
+
+// GeoJSON travels as a string over gRPC; hand it to HTTP clients as JSON
+function toJson(area: ServiceAreaResponse) {
+  return {
+    ...area,
+    active: area.active ?? false,
+    requireStartPin: area.requireStartPin ?? false,
+    geojson: JSON.parse(area.geojson),
+  };
+}
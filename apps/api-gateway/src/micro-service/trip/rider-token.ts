@@ -0,0 +1,36 @@
+import { clerkClient } from '@clerk/clerk-sdk-node';
+import { Logger, UnauthorizedException } from '@nestjs/common';
+
+const logger = new Logger('RiderToken');
+
+/**
+ * Bearer token from the Authorization header, falling back to an
+ * `access_token` query param for clients that cannot send headers
+ */
+export function riderToken(
+  authorization?: string,
+  accessToken?: string
+): string | undefined {
+  return authorization?.startsWith('Bearer ')
+    ? authorization.split(' ')[1]
+    : accessToken;
+}
+
+/**
+ * Verify a Clerk session token and return the rider's user id
+ */
+export async function verifyRiderToken(
+  token: string | undefined
+): Promise<string> {
+  if (!token) {
+    throw new UnauthorizedException('Missing access token');
+  }
+
+  try {
+    const session = await clerkClient.verifyToken(token);
+    return session.sub;
+  } catch (err) {
+    logger.warn(`Rider token rejected: ${err.message}`);
+    throw new UnauthorizedException('Invalid or expired token');
+  }
+}
@@ -0,0 +1,120 @@
+import { MessageEvent } from '@nestjs/common';
+import { ClientGrpc } from '@nestjs/microservices';
+import { TripResponse } from '@uit-go/shared-types';
+import {
+  Observable,
+  Subject,
+  lastValueFrom,
+  of,
+  throwError,
+  toArray,
+} from 'rxjs';
+import { MqttService } from '../../common/mqtt/mqtt.service';
+import { TripService } from './trip.service';
+import { TripTrackingService } from './trip-tracking.service';
+
+jest.mock('@clerk/clerk-sdk-node', () => ({
+  clerkClient: { verifyToken: async () => ({ sub: 'rider-1' }) },
+}));
+
+const accepted = {
+  id: 'trip-1',
+  userId: 'rider-1',
+  driverId: 'driver-1',
+  status: 'DRIVER_ACCEPTED',
+  pickupLatitude: 10.76,
+  pickupLongitude: 106.68,
+} as TripResponse;
+const completed = { ...accepted, status: 'COMPLETED' } as TripResponse;
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('TripTrackingService', () => {
+  let positions: Subject<Buffer>;
+  let polls: Array<() => Observable<TripResponse>>;
+  let tracking: TripTrackingService;
+
+  beforeAll(() => {
+    process.env.TRACKING_POLL_INTERVAL_MS = '20';
+  });
+
+  afterAll(() => {
+    delete process.env.TRACKING_POLL_INTERVAL_MS;
+  });
+
+  beforeEach(() => {
+    positions = new Subject();
+    // The first read opens the stream, the rest are polls
+    polls = [() => of(accepted)];
+
+    const tripService = {
+      getTripById: jest.fn(() => (polls.shift() ?? (() => of(completed)))()),
+    };
+    const mqttService = {
+      watch: jest.fn((topic: string) =>
+        topic === 'driver/position/driver-1' ? positions : new Subject()
+      ),
+    };
+    const driverClient = {
+      getService: () => ({ estimateArrival: () => of({ etaSeconds: 120 }) }),
+    };
+
+    tracking = new TripTrackingService(
+      tripService as unknown as TripService,
+      mqttService as unknown as MqttService,
+      driverClient as unknown as ClientGrpc
+    );
+  });
+
+  function publish(position: Record<string, unknown>) {
+    positions.next(
+      Buffer.from(
+        JSON.stringify({ driverId: 'driver-1', latitude: 10.77, ...position })
+      )
+    );
+  }
+
+  async function events(): Promise<MessageEvent[]> {
+    const stream = await tracking.track('trip-1', 'token');
+    return lastValueFrom(stream.pipe(toArray()));
+  }
+
+  it('keeps streaming through a failed poll', async () => {
+    polls.push(
+      () => throwError(() => new Error('trip-service unavailable')),
+      () => of(accepted)
+    );
+
+    const statuses = (await events())
+      .filter((event) => event.type === 'status')
+      .map((event) => (event.data as { status: string }).status);
+
+    expect(statuses).toEqual(['DRIVER_ACCEPTED', 'COMPLETED']);
+  });
+
+  it('sends accepted positions in the order they were taken', async () => {
+    // A poll that holds the trip open until the positions are in
+    const held = new Subject<TripResponse>();
+    polls.push(() => held);
+
+    const received = events();
+    await sleep(50);
+
+    publish({ longitude: 106.68, timestamp: 2000 });
+    publish({ longitude: 106.67, timestamp: 1000 });
+    publish({ longitude: 106.69, timestamp: 3000 });
+    // Published under another driver, or undated
+    publish({ driverId: 'driver-2', longitude: 106.6, timestamp: 4000 });
+    publish({ longitude: 106.6 });
+    // Let the ETAs come back before the trip ends
+    await sleep(10);
+    held.next(completed);
+    held.complete();
+
+    const locations = (await received)
+      .filter((event) => event.type === 'location')
+      .map((event) => (event.data as { timestamp: number }).timestamp);
+
+    expect(locations).toEqual([2000, 3000]);
+  });
+});
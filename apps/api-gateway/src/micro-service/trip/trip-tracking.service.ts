@@ -0,0 +1,243 @@
+import {
+  ForbiddenException,
+  Inject,
+  Injectable,
+  Logger,
+  MessageEvent,
+} from '@nestjs/common';
+import { ClientGrpc } from '@nestjs/microservices';
+import { DriverServiceClient, GRPC_SERVICE } from '@uit-go/shared-client';
+import { TripResponse } from '@uit-go/shared-types';
+import {
+  EMPTY,
+  Observable,
+  catchError,
+  concatMap,
+  defer,
+  distinctUntilChanged,
+  exhaustMap,
+  filter,
+  firstValueFrom,
+  map,
+  merge,
+  shareReplay,
+  startWith,
+  switchMap,
+  takeWhile,
+  timer,
+} from 'rxjs';
+import { MqttService } from '../../common/mqtt/mqtt.service';
+import { TripService } from './trip.service';
+import { verifyRiderToken } from './rider-token';
+
+// Statuses in which a driver is on the way to or with the rider
+const TRACKED_STATUSES = new Set([
+  'DRIVER_ACCEPTED',
+  'DRIVER_ARRIVED',
+  'ONGOING',
+]);
+const FINAL_STATUSES = new Set(['COMPLETED', 'CANCELED', 'NO_DRIVER_FOUND']);
+
+interface DriverPosition {
+  latitude: number;
+  longitude: number;
+  timestamp: number;
+}
+
+/**
+ * Live trip tracking for riders
+ *
+ * A stream carries two kinds of Server-Sent Events:
+ * - `status`: the trip's status and assigned driver, sent on every change
+ * - `location`: the assigned driver's position, with the ETA to the pickup
+ *   (until ONGOING) or destination (ONGOING)
+ *
+ * The stream ends once the trip is COMPLETED, CANCELED or NO_DRIVER_FOUND.
+ *
+ * Status comes from polling trip-service every TRACKING_POLL_INTERVAL_MS
+ * (default 2000); a failed poll is skipped and the next one tried. Positions
+ * are pushed from `driver/position/{id}`, where driver-service publishes the
+ * ones it accepted; a position taken before the last one sent is dropped, so
+ * the driver never jumps back. The ETA
+ * comes from driver-service's EstimateArrival, the same travel-time model
+ * as the trip's `driverEtaSeconds`.
+ */
+@Injectable()
+export class TripTrackingService {
+  private readonly logger = new Logger(TripTrackingService.name);
+  private driverService: DriverServiceClient;
+
+  private readonly pollIntervalMs = parseInt(
+    process.env.TRACKING_POLL_INTERVAL_MS || '2000'
+  );
+
+  constructor(
+    private readonly tripService: TripService,
+    private readonly mqttService: MqttService,
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private driverClient: ClientGrpc
+  ) {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  /**
+   * Verify that the token belongs to the trip's rider and open the stream.
+   */
+  async track(
+    tripId: string,
+    token: string | undefined
+  ): Promise<Observable<MessageEvent>> {
+    const riderId = await verifyRiderToken(token);
+    const trip = await firstValueFrom(this.tripService.getTripById(tripId));
+
+    if (trip.userId !== riderId) {
+      throw new ForbiddenException('Only the rider can track this trip');
+    }
+
+    this.logger.debug(`Rider ${riderId} tracking trip ${tripId}`);
+
+    return this.stream(trip);
+  }
+
+  private stream(initial: TripResponse): Observable<MessageEvent> {
+    const trip$ = timer(this.pollIntervalMs, this.pollIntervalMs).pipe(
+      exhaustMap(() =>
+        this.tripService.getTripById(initial.id).pipe(
+          catchError((error) => {
+            this.logger.warn(
+              `Tracking poll for trip ${initial.id} failed: ${error.message}`
+            );
+            return EMPTY;
+          })
+        )
+      ),
+      startWith(initial),
+      distinctUntilChanged(
+        (previous, current) =>
+          previous.status === current.status &&
+          previous.driverId === current.driverId
+      ),
+      takeWhile((trip) => !FINAL_STATUSES.has(trip.status), true),
+      // Locations subscribe after statuses, and must see the opening status
+      shareReplay({ bufferSize: 1, refCount: true })
+    );
+
+    const status$ = trip$.pipe(
+      map((trip) => ({
+        type: 'status',
+        data: {
+          tripId: trip.id,
+          status: trip.status,
+          driverId: trip.driverId ?? null,
+        },
+      }))
+    );
+
+    // Follow whichever driver is assigned while the trip is tracked; the
+    // final status switches away from the driver and completes the stream
+    const location$ = trip$.pipe(
+      switchMap((trip) =>
+        TRACKED_STATUSES.has(trip.status) && trip.driverId
+          ? this.driverPositions(trip)
+          : EMPTY
+      )
+    );
+
+    return merge(status$, location$);
+  }
+
+  private driverPositions(trip: TripResponse): Observable<MessageEvent> {
+    const known =
+      trip.driverLatitude != null && trip.driverLongitude != null
+        ? [
+            {
+              latitude: trip.driverLatitude,
+              longitude: trip.driverLongitude,
+              timestamp: Date.now(),
+            },
+          ]
+        : [];
+
+    const live$ = defer(() => {
+      let lastSent = -Infinity;
+
+      return this.mqttService.watch(`driver/position/${trip.driverId}`).pipe(
+        map((message) => parsePosition(message, trip.driverId)),
+        filter((position): position is DriverPosition => position !== null),
+        filter((position) => {
+          if (position.timestamp < lastSent) return false;
+
+          lastSent = position.timestamp;
+          return true;
+        })
+      );
+    });
+
+    return merge(known, live$).pipe(
+      concatMap(async (position) => ({
+        type: 'location',
+        data: {
+          driverId: trip.driverId,
+          ...position,
+          ...(await this.eta(trip)),
+        },
+      }))
+    );
+  }
+
+  private async eta(
+    trip: TripResponse
+  ): Promise<{ etaTarget: string; etaSeconds: number | null }> {
+    const toPickup = trip.status !== 'ONGOING';
+    const latitude = toPickup ? trip.pickupLatitude : trip.destinationLatitude;
+    const longitude = toPickup
+      ? trip.pickupLongitude
+      : trip.destinationLongitude;
+    const etaTarget = toPickup ? 'PICKUP' : 'DESTINATION';
+
+    if (latitude == null || longitude == null) {
+      return { etaTarget, etaSeconds: null };
+    }
+
+    try {
+      const arrival = await firstValueFrom(
+        this.driverService.estimateArrival({
+          driverId: trip.driverId,
+          latitude,
+          longitude,
+        })
+      );
+
+      return { etaTarget, etaSeconds: arrival.etaSeconds ?? null };
+    } catch (error) {
+      this.logger.warn(
+        `No ETA for driver ${trip.driverId} on trip ${trip.id}: ${error.message}`
+      );
+      return { etaTarget, etaSeconds: null };
+    }
+  }
+}
+
+function parsePosition(
+  message: Buffer,
+  driverId: string
+): DriverPosition | null {
+  try {
+    const payload = JSON.parse(message.toString());
+    const { latitude, longitude, timestamp } = payload;
+
+    if (
+      payload.driverId !== driverId ||
+      typeof latitude !== 'number' ||
+      typeof longitude !== 'number' ||
+      typeof timestamp !== 'number'
+    ) {
+      return null;
+    }
+
+    return { latitude, longitude, timestamp };
+  } catch {
+    return null;
+  }
+}
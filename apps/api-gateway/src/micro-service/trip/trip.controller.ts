@@ -1,6 +1,26 @@
-import { Controller, Post, Get, Param, Body, Query, Patch } from '@nestjs/common';
-import { CreateTripRequest } from '@uit-go/shared-types';
+import {
+  BadRequestException,
+  Controller,
+  Post,
+  Get,
+  Param,
+  Body,
+  Query,
+  Patch,
+  Put,
+  Headers,
+  Sse,
+  ParseFloatPipe,
+  ParseIntPipe,
+} from '@nestjs/common';
+import {
+  CreateTripRequest,
+  VehicleTypeEnum,
+  WaypointInput,
+} from '@uit-go/shared-types';
 import { TripService } from './trip.service';
+import { TripTrackingService } from './trip-tracking.service';
+import { riderToken, verifyRiderToken } from './rider-token';
 //import { CurrentUser } from '../../common/decorator/current-user.decorator';
 
 @Controller({
@@ -8,7 +28,10 @@ import { TripService } from './trip.service';
   path: 'trips',
 })
 export class TripController {
-  constructor(private readonly tripService: TripService) {}
+  constructor(
+    private readonly tripService: TripService,
+    private readonly tripTrackingService: TripTrackingService
+  ) {}
 
   @Post()
   // createTrip(
@@ -20,7 +43,20 @@ export class TripController {
   //   return this.tripService.createTrip({ ...data, userId });
   // }
   createTrip(@Body() data: CreateTripRequest) {
-    return this.tripService.createTrip(data);
+    // Vehicle types are named in JSON, as in GET /trips/estimate
+    const requested = data.vehicleType as unknown as string | undefined;
+    const vehicleType =
+      requested === undefined
+        ? undefined
+        : VehicleTypeEnum[requested as keyof typeof VehicleTypeEnum];
+
+    if (requested !== undefined && vehicleType === undefined) {
+      throw new BadRequestException(
+        `vehicleType must be one of: MOTOBIKE, BIKE`
+      );
+    }
+
+    return this.tripService.createTrip({ ...data, vehicleType });
   }
 
   @Get()
@@ -34,11 +70,93 @@ export class TripController {
     return this.tripService.getTrips({ userId, driverId, status, page, limit });
   }
 
+  @Get('scheduled')
+  getScheduledTrips(
+    @Query('userId') userId?: string,
+    @Query('page') page?: number,
+    @Query('limit') limit?: number
+  ) {
+    return this.tripService.getTrips({
+      userId,
+      status: 'SCHEDULED',
+      page,
+      limit,
+    });
+  }
+
+  @Get('estimate')
+  estimateFare(
+    @Query('pickupLatitude', ParseFloatPipe) pickupLatitude: number,
+    @Query('pickupLongitude', ParseFloatPipe) pickupLongitude: number,
+    @Query('destinationLatitude', ParseFloatPipe) destinationLatitude: number,
+    @Query('destinationLongitude', ParseFloatPipe) destinationLongitude: number,
+    @Query('vehicleType') vehicleType = 'MOTOBIKE'
+  ) {
+    const vehicleTypeEnum =
+      VehicleTypeEnum[vehicleType as keyof typeof VehicleTypeEnum];
+
+    if (vehicleTypeEnum === undefined) {
+      throw new BadRequestException(
+        `vehicleType must be one of: MOTOBIKE, BIKE`
+      );
+    }
+
+    return this.tripService.estimateFare({
+      pickupLatitude,
+      pickupLongitude,
+      destinationLatitude,
+      destinationLongitude,
+      vehicleType: vehicleTypeEnum,
+    });
+  }
+
+  @Get('surge')
+  getSurgeMap(
+    @Query('latitude', ParseFloatPipe) latitude: number,
+    @Query('longitude', ParseFloatPipe) longitude: number,
+    @Query('radius', new ParseIntPipe({ optional: true })) radius?: number
+  ) {
+    return this.tripService.getSurgeMap({ latitude, longitude, radius });
+  }
+
+  @Get('offers')
+  getDriverOffers(@Query('driverId') driverId: string) {
+    return this.tripService.getDriverOffers(driverId);
+  }
+
   @Get(':id')
   getTripById(@Param('id') id: string) {
     return this.tripService.getTripById(id);
   }
 
+  @Get(':id/events')
+  getTripEvents(@Param('id') id: string) {
+    return this.tripService.getTripEvents(id);
+  }
+
+  // EventSource cannot send headers, so the token may also come as a query param
+  @Sse(':id/track')
+  trackTrip(
+    @Param('id') id: string,
+    @Headers('authorization') authorization?: string,
+    @Query('access_token') accessToken?: string
+  ) {
+    return this.tripTrackingService.track(
+      id,
+      riderToken(authorization, accessToken)
+    );
+  }
+
+  // Shown to the rider only; they hand it to the driver at pickup
+  @Get(':id/pin')
+  async getStartPin(
+    @Param('id') id: string,
+    @Headers('authorization') authorization?: string
+  ) {
+    const userId = await verifyRiderToken(riderToken(authorization));
+    return this.tripService.getStartPin(id, userId);
+  }
+
   @Patch(':id')
   updateTrip(
     @Param('id') id: string,
@@ -51,23 +169,81 @@ export class TripController {
     return this.tripService.updateTrip({ id, ...data });
   }
 
+  @Put(':id/waypoints')
+  updateWaypoints(
+    @Param('id') id: string,
+    @Body() data: { waypoints: WaypointInput[] }
+  ) {
+    return this.tripService.updateWaypoints({ id, waypoints: data.waypoints });
+  }
+
+  @Post(':id/waypoints/:position/arrive')
+  arriveAtWaypoint(
+    @Param('id') id: string,
+    @Param('position', ParseIntPipe) position: number,
+    @Body() data: { driverId: string }
+  ) {
+    return this.tripService.markWaypoint({
+      id,
+      position,
+      driverId: data.driverId,
+      event: 'ARRIVED',
+    });
+  }
+
+  @Post(':id/waypoints/:position/depart')
+  departFromWaypoint(
+    @Param('id') id: string,
+    @Param('position', ParseIntPipe) position: number,
+    @Body() data: { driverId: string }
+  ) {
+    return this.tripService.markWaypoint({
+      id,
+      position,
+      driverId: data.driverId,
+      event: 'DEPARTED',
+    });
+  }
+
   @Post(':id/cancel')
-  cancelTrip(@Param('id') id: string) {
-    return this.tripService.cancelTrip(id);
+  cancelTrip(
+    @Param('id') id: string,
+    @Body() data: { actor: string; actorId?: string; reason?: string }
+  ) {
+    return this.tripService.cancelTrip({ id, ...data });
   }
 
   @Post(':id/accept')
-  acceptTrip(@Param('id') id: string, @Body() data: { driverId: string }) {
-    return this.tripService.acceptTrip(id, data.driverId);
+  acceptTrip(
+    @Param('id') id: string,
+    @Body() data: { driverId: string; accepted?: boolean }
+  ) {
+    return this.tripService.acceptTrip(id, data.driverId, data.accepted);
+  }
+
+  @Post(':id/arrive')
+  arriveTrip(@Param('id') id: string, @Body() data: { driverId: string }) {
+    return this.tripService.arriveTrip(id, data.driverId);
   }
 
   @Post(':id/start')
-  startTrip(@Param('id') id: string) {
-    return this.tripService.startTrip(id);
+  startTrip(
+    @Param('id') id: string,
+    @Body() data: { driverId: string; pin?: string }
+  ) {
+    return this.tripService.startTrip(id, data.driverId, data.pin);
   }
 
   @Post(':id/complete')
   completeTrip(@Param('id') id: string) {
     return this.tripService.completeTrip(id);
   }
+
+  @Post(':id/rating')
+  rateTrip(
+    @Param('id') id: string,
+    @Body() data: { raterId: string; score: number; comment?: string }
+  ) {
+    return this.tripService.rateTrip({ id, ...data });
+  }
 }
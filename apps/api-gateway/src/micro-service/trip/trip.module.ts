@@ -1,8 +1,13 @@
 import { Module } from '@nestjs/common';
 import { ClientsModule } from '@nestjs/microservices';
-import { GRPC_SERVICE, tripGrpcOptions } from '@uit-go/shared-client';
+import {
+  GRPC_SERVICE,
+  driverGrpcOptions,
+  tripGrpcOptions,
+} from '@uit-go/shared-client';
 import { TripController } from './trip.controller';
 import { TripService } from './trip.service';
+import { TripTrackingService } from './trip-tracking.service';
 
 @Module({
   imports: [
@@ -13,10 +18,16 @@ import { TripService } from './trip.service';
           ...tripGrpcOptions,
         }),
       },
+      {
+        name: GRPC_SERVICE.DRIVER.NAME,
+        useFactory: async () => ({
+          ...driverGrpcOptions,
+        }),
+      },
     ]),
   ],
   controllers: [TripController],
-  providers: [TripService],
+  providers: [TripService, TripTrackingService],
   exports: [],
 })
 export class TripModule {}
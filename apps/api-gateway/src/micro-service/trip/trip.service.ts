@@ -1,12 +1,23 @@
 import { GRPC_SERVICE } from '@uit-go/shared-client';
 import {
   AcceptTripRequest,
+  ArriveTripRequest,
+  CancelTripRequest,
   CreateTripRequest,
+  EstimateFareRequest,
+  GetDriverOffersRequest,
+  GetStartPinRequest,
+  GetSurgeMapRequest,
+  MarkWaypointRequest,
+  RateTripRequest,
+  StartTripRequest,
   TripId,
   TripServiceClient,
+  UpdateWaypointsRequest,
 } from '@uit-go/shared-types';
 import { Inject, Injectable, OnModuleInit } from '@nestjs/common';
 import { ClientGrpc } from '@nestjs/microservices';
+import { map } from 'rxjs';
 
 @Injectable()
 export class TripService implements OnModuleInit {
@@ -30,19 +41,41 @@ export class TripService implements OnModuleInit {
     return this.tripService.getTripById(tripId);
   }
 
-  cancelTrip(id: string) {
-    const tripId: TripId = { id };
-    return this.tripService.cancelTrip(tripId);
+  cancelTrip(request: CancelTripRequest) {
+    return this.tripService.cancelTrip(request);
+  }
+
+  updateWaypoints(request: UpdateWaypointsRequest) {
+    return this.tripService.updateWaypoints(request);
   }
 
-  acceptTrip(id: string, driverId: string) {
-    const acceptTripRequest: AcceptTripRequest = { id, driverId };
+  markWaypoint(request: MarkWaypointRequest) {
+    return this.tripService.markWaypoint(request);
+  }
+
+  acceptTrip(id: string, driverId: string, accepted?: boolean) {
+    const acceptTripRequest: AcceptTripRequest = { id, driverId, accepted };
     return this.tripService.acceptTrip(acceptTripRequest);
   }
 
-  startTrip(id: string) {
-    const tripId: TripId = { id };
-    return this.tripService.startTrip(tripId);
+  arriveTrip(id: string, driverId: string) {
+    const arriveTripRequest: ArriveTripRequest = { id, driverId };
+    return this.tripService.arriveTrip(arriveTripRequest);
+  }
+
+  startTrip(id: string, driverId: string, pin?: string) {
+    const startTripRequest: StartTripRequest = { id, driverId, pin };
+    return this.tripService.startTrip(startTripRequest);
+  }
+
+  getStartPin(id: string, userId: string) {
+    const getStartPinRequest: GetStartPinRequest = { id, userId };
+    return this.tripService.getStartPin(getStartPinRequest).pipe(
+      map((response) => ({
+        ...response,
+        required: response.required ?? false,
+      }))
+    );
   }
 
   completeTrip(id: string) {
@@ -50,6 +83,36 @@ export class TripService implements OnModuleInit {
     return this.tripService.completeTrip(tripId);
   }
 
+  getTripEvents(id: string) {
+    const tripId: TripId = { id };
+    // Payloads travel as JSON strings over gRPC
+    return this.tripService.getTripEvents(tripId).pipe(
+      map(({ events }) => ({
+        events: (events ?? []).map((event) => ({
+          ...event,
+          payload: event.payload ? JSON.parse(event.payload) : null,
+        })),
+      })),
+    );
+  }
+
+  estimateFare(request: EstimateFareRequest) {
+    return this.tripService.estimateFare(request);
+  }
+
+  rateTrip(request: RateTripRequest) {
+    return this.tripService.rateTrip(request);
+  }
+
+  getSurgeMap(request: GetSurgeMapRequest) {
+    return this.tripService.getSurgeMap(request);
+  }
+
+  getDriverOffers(driverId: string) {
+    const request: GetDriverOffersRequest = { driverId };
+    return this.tripService.getDriverOffers(request);
+  }
+
   getTrips(request: {
     userId?: string;
     driverId?: string;
@@ -1,4 +1,12 @@
-import { Controller, Get, Param, Patch, Body, Query } from '@nestjs/common';
+import {
+  BadRequestException,
+  Controller,
+  Get,
+  Param,
+  Patch,
+  Body,
+  Query,
+} from '@nestjs/common';
 import { UserService } from './user.service';
 
 @Controller({
@@ -26,9 +34,13 @@ export class UserController {
       full_name?: string;
       email?: string;
       phone?: string;
-      balance?: number;
     }
   ) {
+    // Balances only move through trip settlement (wallet ledger)
+    if ('balance' in data) {
+      throw new BadRequestException('balance cannot be updated directly');
+    }
+
     return this.userService.update({ user_id: id, ...data });
   }
 }
@@ -37,7 +37,6 @@ export class UserService {
     full_name?: string;
     email?: string;
     phone?: string;
-    balance?: number;
   }) {
     return firstValueFrom(this.userService.updateUserProfile(request));
   }
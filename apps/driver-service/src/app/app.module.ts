@@ -6,6 +6,10 @@ import { PrismaModule } from '../common/prisma/prisma.module';
 import { RedisModule } from '../common/redis/redis.module';
 import { MqttModule } from '../common/mqtt/mqtt.module';
 import { H3Module } from '../common/h3/h3.module';
+import { SpatialIndexModule } from '../common/spatial-index/spatial-index.module';
+import { LocationModule } from '../common/location/location.module';
+import { EtaModule } from '../eta/eta.module';
+import { ServiceAreaModule } from '../service-area/service-area.module';
 import { ConfigModule } from '@nestjs/config';
 
 @Module({
@@ -14,10 +18,16 @@ import { ConfigModule } from '@nestjs/config';
       isGlobal: true,
     }),
     DriverModule,
+    ServiceAreaModule,
     PrismaModule,
     RedisModule,
+    // Modules shut down in reverse order: MQTT stops taking updates, then
+    // LocationModule writes the pending positions, then Prisma disconnects
+    LocationModule,
     MqttModule,
     H3Module,
+    SpatialIndexModule,
+    EtaModule,
   ],
   controllers: [AppController],
   providers: [AppService],
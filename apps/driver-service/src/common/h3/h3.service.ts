@@ -1,5 +1,12 @@
 import { Injectable } from '@nestjs/common';
-import { latLngToCell, cellToLatLng, gridDisk } from 'h3-js';
+import {
+  latLngToCell,
+  cellToLatLng,
+  cellToBoundary,
+  gridDisk,
+  polygonToCells,
+} from 'h3-js';
+import { haversineDistance } from '../geo/geo.util';
 
 @Injectable()
 export class H3Service {
@@ -40,6 +47,33 @@ export class H3Service {
     return `shard:${shardId}:hex:${hex}`;
   }
 
+  /**
+   * Bucket key for an existing res-9 cell (shard derived from its center)
+   */
+  getBucketKeyForCell(h3Index: string): string {
+    const center = this.cellToLatLng(h3Index);
+    const shardId = this.getShardId(center.lat, center.lng);
+    return `shard:${shardId}:hex:${h3Index}`;
+  }
+
+  /**
+   * Bucket key narrowed to one vehicle type, or the all-types bucket when no
+   * type is given
+   * Format: "shard:{0-3}:hex:{h3_index_res9}:{vehicleType}"
+   */
+  static forVehicleType(bucketKey: string, vehicleType?: string): string {
+    return vehicleType ? `${bucketKey}:${vehicleType}` : bucketKey;
+  }
+
+  /**
+   * Bucket key in the pool index (BUSY drivers with a free seat), or the
+   * bucket itself for available drivers
+   * Format: "pool:shard:{0-3}:hex:{h3_index_res9}"
+   */
+  static forPool(bucketKey: string, pool?: boolean): string {
+    return pool ? `pool:${bucketKey}` : bucketKey;
+  }
+
   /**
    * Get K-ring neighbors (includes center)
    * K=0: 1 hex, K=1: 7 hexes, K=2: 19 hexes, K=5: 91 hexes
@@ -55,4 +89,25 @@ export class H3Service {
     const [lat, lng] = cellToLatLng(h3Index);
     return { lat, lng };
   }
+
+  /**
+   * Distance (km) from the center of an H3 cell to its farthest corner
+   */
+  cellRadiusKm(h3Index: string): number {
+    const center = this.cellToLatLng(h3Index);
+
+    return Math.max(
+      ...cellToBoundary(h3Index).map(([lat, lng]) =>
+        haversineDistance(center.lat, center.lng, lat, lng)
+      )
+    );
+  }
+
+  /**
+   * Cells whose centers fall inside a GeoJSON polygon: the outer ring first,
+   * then any holes, as [lng, lat] positions
+   */
+  polygonToCells(rings: number[][][], resolution: number): string[] {
+    return polygonToCells(rings, resolution, true);
+  }
 }
@@ -0,0 +1,154 @@
+import { Test } from '@nestjs/testing';
+import { Prisma } from '../../../generated/prisma';
+import { PrismaService } from '../prisma/prisma.service';
+import { LocationWriterService } from './location-writer.service';
+
+describe('LocationWriterService', () => {
+  let writer: LocationWriterService;
+  let executeRaw: jest.Mock;
+
+  beforeAll(() => {
+    process.env.LOCATION_FLUSH_BATCH_SIZE = '2';
+  });
+
+  afterAll(() => {
+    delete process.env.LOCATION_FLUSH_BATCH_SIZE;
+  });
+
+  beforeEach(async () => {
+    executeRaw = jest.fn().mockResolvedValue(1);
+
+    const app = await Test.createTestingModule({
+      providers: [
+        LocationWriterService,
+        { provide: PrismaService, useValue: { $executeRaw: executeRaw } },
+      ],
+    }).compile();
+
+    writer = app.get(LocationWriterService);
+  });
+
+  // (driverId, latitude, longitude) rows of each UPDATE, in order
+  function writtenBatches(): Array<Array<[string, number, number]>> {
+    return executeRaw.mock.calls.map(([, rows]: [unknown, Prisma.Sql]) => {
+      const batch: Array<[string, number, number]> = [];
+      for (let i = 0; i < rows.values.length; i += 3) {
+        batch.push(rows.values.slice(i, i + 3) as [string, number, number]);
+      }
+      return batch;
+    });
+  }
+
+  it('writes only the latest position of each driver', async () => {
+    writer.write('driver-1', 10.1, 106.1);
+    writer.write('driver-1', 10.2, 106.2);
+    writer.write('driver-1', 10.3, 106.3);
+
+    await writer.flush();
+
+    expect(writtenBatches()).toEqual([[['driver-1', 10.3, 106.3]]]);
+  });
+
+  it('writes in batches of LOCATION_FLUSH_BATCH_SIZE', async () => {
+    writer.write('driver-1', 10.1, 106.1);
+    writer.write('driver-2', 10.2, 106.2);
+    writer.write('driver-3', 10.3, 106.3);
+
+    await writer.flush();
+
+    expect(writtenBatches()).toEqual([
+      [
+        ['driver-1', 10.1, 106.1],
+        ['driver-2', 10.2, 106.2],
+      ],
+      [['driver-3', 10.3, 106.3]],
+    ]);
+  });
+
+  it('does nothing when no position is pending', async () => {
+    await writer.flush();
+
+    expect(executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('keeps the positions of a failed flush for the next one', async () => {
+    executeRaw.mockRejectedValueOnce(new Error('connection lost'));
+    writer.write('driver-1', 10.1, 106.1);
+
+    await expect(writer.flush()).rejects.toThrow('connection lost');
+    await writer.flush();
+
+    expect(writtenBatches()[1]).toEqual([['driver-1', 10.1, 106.1]]);
+  });
+
+  it('does not let a failed flush replace a newer position', async () => {
+    let fail: (error: Error) => void = () => undefined;
+    executeRaw.mockReturnValueOnce(
+      new Promise((_, reject) => {
+        fail = reject;
+      })
+    );
+    writer.write('driver-1', 10.1, 106.1);
+
+    const flushing = writer.flush();
+    writer.write('driver-1', 10.2, 106.2);
+    fail(new Error('connection lost'));
+    await expect(flushing).rejects.toThrow('connection lost');
+
+    await writer.flush();
+    expect(writtenBatches()[1]).toEqual([['driver-1', 10.2, 106.2]]);
+  });
+
+  it('runs one flush at a time', async () => {
+    writer.write('driver-1', 10.1, 106.1);
+
+    await Promise.all([writer.flush(), writer.flush()]);
+
+    expect(executeRaw).toHaveBeenCalledTimes(1);
+  });
+
+  describe('discard', () => {
+    it('drops a pending position', async () => {
+      writer.write('driver-1', 10.1, 106.1);
+      writer.write('driver-2', 10.2, 106.2);
+
+      await writer.discard('driver-1');
+      await writer.flush();
+
+      expect(writtenBatches()).toEqual([[['driver-2', 10.2, 106.2]]]);
+    });
+
+    it('waits for a flush in progress and keeps its failure from requeueing', async () => {
+      let fail: (error: Error) => void = () => undefined;
+      executeRaw.mockReturnValueOnce(
+        new Promise((_, reject) => {
+          fail = reject;
+        })
+      );
+      writer.write('driver-1', 10.1, 106.1);
+      const flushing = writer.flush().catch(() => undefined);
+
+      let discarded = false;
+      const discarding = writer.discard('driver-1').then(() => {
+        discarded = true;
+      });
+      await Promise.resolve();
+      expect(discarded).toBe(false);
+
+      fail(new Error('connection lost'));
+      await Promise.all([flushing, discarding]);
+      await writer.flush();
+
+      expect(executeRaw).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('writes what is still pending on shutdown', async () => {
+    writer.onModuleInit();
+    writer.write('driver-1', 10.1, 106.1);
+
+    await writer.onModuleDestroy();
+
+    expect(writtenBatches()).toEqual([[['driver-1', 10.1, 106.1]]]);
+  });
+});
@@ -0,0 +1,152 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import { Prisma } from '../../../generated/prisma';
+import { PrismaService } from '../prisma/prisma.service';
+
+interface PendingPosition {
+  latitude: number;
+  longitude: number;
+}
+
+/**
+ * Write-behind of driver positions to Postgres
+ *
+ * Location updates only reach the spatial index right away. Their positions
+ * are kept in memory, the last one per driver, and written every
+ * LOCATION_FLUSH_INTERVAL_MS (default 1000) in bulk UPDATEs of up to
+ * LOCATION_FLUSH_BATCH_SIZE (default 500) drivers, so `lastLat`/`lastLng`
+ * trail the index by about one interval.
+ *
+ * A failed flush keeps its positions for the next one. Positions still
+ * pending at shutdown are written after MQTT stops taking updates and
+ * before Prisma disconnects; AppModule imports LocationModule between the
+ * two for that.
+ *
+ * Whoever clears a driver's position in Postgres discards the pending one
+ * first, so a flush cannot bring the old position back.
+ */
+@Injectable()
+export class LocationWriterService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(LocationWriterService.name);
+  private pending = new Map<string, PendingPosition>();
+  private flushing: Promise<void> | null = null;
+  private timer: NodeJS.Timeout;
+
+  private readonly intervalMs = parseInt(
+    process.env.LOCATION_FLUSH_INTERVAL_MS || '1000'
+  );
+  private readonly batchSize = parseInt(
+    process.env.LOCATION_FLUSH_BATCH_SIZE || '500'
+  );
+
+  constructor(private readonly prisma: PrismaService) {}
+
+  onModuleInit() {
+    this.timer = setInterval(
+      () =>
+        this.flush().catch((error) =>
+          this.logger.error(`Location flush failed: ${error.message}`)
+        ),
+      this.intervalMs
+    );
+  }
+
+  async onModuleDestroy() {
+    clearInterval(this.timer);
+
+    // Let a flush in progress finish, then write what arrived meanwhile
+    await this.flush();
+    if (this.pending.size > 0) {
+      await this.flush();
+    }
+
+    this.logger.log('Pending driver positions written');
+  }
+
+  /**
+   * Queue a driver's position, replacing any not yet written
+   */
+  write(driverId: string, latitude: number, longitude: number): void {
+    this.pending.set(driverId, { latitude, longitude });
+  }
+
+  /**
+   * Drop a driver's pending position. Resolves once a flush in progress,
+   * which may still carry it, has finished.
+   */
+  async discard(driverId: string): Promise<void> {
+    this.pending.delete(driverId);
+
+    if (this.flushing) {
+      await this.flushing.catch(() => undefined);
+      // A failed flush puts its positions back
+      this.pending.delete(driverId);
+    }
+  }
+
+  /**
+   * Write every pending position. Only one flush runs at a time; calling
+   * this during a flush waits for that one.
+   */
+  flush(): Promise<void> {
+    if (!this.flushing) {
+      this.flushing = this.writePending().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  private async writePending(): Promise<void> {
+    if (this.pending.size === 0) return;
+
+    const positions = [...this.pending];
+    this.pending = new Map();
+
+    const startTime = Date.now();
+
+    for (let i = 0; i < positions.length; i += this.batchSize) {
+      try {
+        await this.writeBatch(positions.slice(i, i + this.batchSize));
+      } catch (error) {
+        // Retry next time, unless a newer position has arrived since
+        for (const [driverId, position] of positions.slice(i)) {
+          if (!this.pending.has(driverId)) {
+            this.pending.set(driverId, position);
+          }
+        }
+        throw error;
+      }
+    }
+
+    this.logger.debug(
+      `Wrote ${positions.length} driver positions in ${
+        Date.now() - startTime
+      }ms`
+    );
+  }
+
+  private async writeBatch(
+    positions: Array<[string, PendingPosition]>
+  ): Promise<void> {
+    const rows = Prisma.join(
+      positions.map(
+        ([driverId, { latitude, longitude }]) =>
+          Prisma.sql`(${driverId}, ${latitude}, ${longitude})`
+      )
+    );
+
+    await this.prisma.$executeRaw`
+      UPDATE driver_profile AS d
+      SET last_lat = v.lat::double precision,
+          last_lng = v.lng::double precision,
+          "updatedAt" = now()
+      FROM (VALUES ${rows}) AS v(user_id, lat, lng)
+      WHERE d."userId" = v.user_id`;
+  }
+}
@@ -0,0 +1,10 @@
+import { Global, Module } from '@nestjs/common';
+import { LocationService } from './location.service';
+import { LocationWriterService } from './location-writer.service';
+
+@Global()
+@Module({
+  providers: [LocationService, LocationWriterService],
+  exports: [LocationService],
+})
+export class LocationModule {}
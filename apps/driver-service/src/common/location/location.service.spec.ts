@@ -0,0 +1,294 @@
+import { Test } from '@nestjs/testing';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { VehicleType } from '../../../generated/prisma';
+import { PrismaService } from '../prisma/prisma.service';
+import { RedisService } from '../redis/redis.service';
+import {
+  IndexedDriver,
+  SpatialIndexService,
+} from '../spatial-index/spatial-index.service';
+import { LocationService } from './location.service';
+import { LocationWriterService } from './location-writer.service';
+
+type Fix = { lat: number; lng: number; at: number };
+
+// Redis as the location pipeline sees it, with acceptFix's compare-and-set
+class FakeRedis {
+  fixes = new Map<string, Fix>();
+  attributes = new Map<string, IndexedDriver>();
+
+  getDriverAttributes = jest.fn(async (driverId: string) =>
+    this.attributes.get(driverId)
+  );
+  getLastFix = jest.fn(
+    async (driverId: string) => this.fixes.get(driverId) ?? null
+  );
+  acceptFix = jest.fn(
+    async (driverId: string, lat: number, lng: number, at: number) => {
+      const last = this.fixes.get(driverId);
+      if (last && last.at > at) return false;
+
+      this.fixes.set(driverId, { lat, lng, at });
+      return true;
+    }
+  );
+  touchHeartbeat = jest.fn();
+}
+
+const LAT = 10.7626;
+const LNG = 106.6826;
+// About 1.1 km north
+const ONE_KM_NORTH = LAT + 0.01;
+
+describe('LocationService', () => {
+  let service: LocationService;
+  let redis: FakeRedis;
+  let write: jest.Mock;
+  let place: jest.Mock;
+  let recordSuspicious: jest.Mock;
+  let now: number;
+
+  beforeEach(async () => {
+    redis = new FakeRedis();
+    write = jest.fn();
+    place = jest.fn();
+    recordSuspicious = jest.fn();
+    now = Date.now();
+
+    const app = await Test.createTestingModule({
+      providers: [
+        LocationService,
+        {
+          provide: PrismaService,
+          useValue: { suspiciousLocation: { create: recordSuspicious } },
+        },
+        { provide: RedisService, useValue: redis },
+        { provide: SpatialIndexService, useValue: { place } },
+        { provide: LocationWriterService, useValue: { write } },
+      ],
+    }).compile();
+
+    service = app.get(LocationService);
+  });
+
+  function driver(vehicleType: VehicleType = VehicleType.MOTOBIKE) {
+    redis.attributes.set('driver-1', {
+      userId: 'driver-1',
+      status: 'ONLINE',
+      vehicleType,
+      seatCapacity: 1,
+      rating: 4.8,
+    });
+  }
+
+  function lastFix(driverId: string, fix: Fix) {
+    redis.fixes.set(driverId, fix);
+  }
+
+  it('indexes, queues and heartbeats an accepted position', async () => {
+    driver();
+
+    expect(
+      await service.ingest({
+        driverId: 'driver-1',
+        latitude: LAT,
+        longitude: LNG,
+        timestamp: now,
+      })
+    ).toBe(true);
+
+    expect(write).toHaveBeenCalledWith('driver-1', LAT, LNG);
+    expect(place).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'driver-1' }),
+      { latitude: LAT, longitude: LNG }
+    );
+    expect(redis.touchHeartbeat).toHaveBeenCalledWith('driver-1');
+  });
+
+  it('emits accepted positions only, dated when they were taken', async () => {
+    driver();
+    const accepted: unknown[] = [];
+    service.accepted.subscribe((fix) => accepted.push(fix));
+
+    await service.ingest({
+      driverId: 'driver-1',
+      latitude: LAT,
+      longitude: LNG,
+      timestamp: now,
+    });
+    await service.ingest({
+      driverId: 'driver-1',
+      latitude: LAT,
+      longitude: LNG,
+      timestamp: now - 5000,
+    });
+
+    expect(accepted).toEqual([
+      { driverId: 'driver-1', latitude: LAT, longitude: LNG, timestamp: now },
+    ]);
+  });
+
+  it('rejects coordinates out of range', async () => {
+    const error = await service
+      .ingest({ driverId: 'driver-1', latitude: 91, longitude: LNG })
+      .catch((error) => error);
+
+    expect(error).toBeInstanceOf(RpcException);
+    expect((error as RpcException).getError()).toMatchObject({
+      code: status.INVALID_ARGUMENT,
+    });
+  });
+
+  describe('ordering', () => {
+    it('drops a position taken before the last accepted one', async () => {
+      driver();
+      lastFix('driver-1', { lat: LAT, lng: LNG, at: now });
+
+      expect(
+        await service.ingest({
+          driverId: 'driver-1',
+          latitude: LAT,
+          longitude: LNG,
+          timestamp: now - 5000,
+        })
+      ).toBe(false);
+
+      expect(redis.acceptFix).not.toHaveBeenCalled();
+      expect(write).not.toHaveBeenCalled();
+      expect(place).not.toHaveBeenCalled();
+    });
+
+    it('dates a position from a clock running ahead no later than now', async () => {
+      driver();
+
+      await service.ingest({
+        driverId: 'driver-1',
+        latitude: LAT,
+        longitude: LNG,
+        timestamp: now + 3_600_000,
+      });
+
+      const [, , , takenAt] = redis.acceptFix.mock.calls[0];
+      expect(takenAt).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('drops a position overtaken by a newer one meanwhile', async () => {
+      driver();
+      // Another replica accepts a later position between the two reads
+      redis.acceptFix.mockImplementationOnce(async () => false);
+
+      expect(
+        await service.ingest({
+          driverId: 'driver-1',
+          latitude: LAT,
+          longitude: LNG,
+          timestamp: now,
+        })
+      ).toBe(false);
+
+      expect(write).not.toHaveBeenCalled();
+      expect(place).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('spoofing', () => {
+    it('holds back a jump faster than the vehicle can go', async () => {
+      driver();
+      lastFix('driver-1', { lat: LAT, lng: LNG, at: now - 60_000 });
+
+      // About 10 km in a minute
+      expect(
+        await service.ingest({
+          driverId: 'driver-1',
+          latitude: LAT + 0.09,
+          longitude: LNG,
+          timestamp: now,
+        })
+      ).toBe(false);
+
+      expect(recordSuspicious).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          driverId: 'driver-1',
+          latitude: LAT + 0.09,
+          previousLat: LAT,
+          previousLng: LNG,
+          speedKmh: expect.any(Number),
+        }),
+      });
+      expect(redis.fixes.get('driver-1')?.lat).toBe(LAT);
+      expect(write).not.toHaveBeenCalled();
+    });
+
+    it('limits each vehicle type to its own top speed', async () => {
+      // About 67 km/h
+      const update = {
+        driverId: 'driver-1',
+        latitude: ONE_KM_NORTH,
+        longitude: LNG,
+        timestamp: now,
+      };
+
+      driver(VehicleType.MOTOBIKE);
+      lastFix('driver-1', { lat: LAT, lng: LNG, at: now - 60_000 });
+      expect(await service.ingest(update)).toBe(true);
+
+      driver(VehicleType.BIKE);
+      lastFix('driver-1', { lat: LAT, lng: LNG, at: now - 60_000 });
+      expect(await service.ingest(update)).toBe(false);
+    });
+
+    it('never flags jitter under 200 m', async () => {
+      driver();
+      lastFix('driver-1', { lat: LAT, lng: LNG, at: now });
+
+      expect(
+        await service.ingest({
+          driverId: 'driver-1',
+          latitude: LAT + 0.001,
+          longitude: LNG,
+          timestamp: now,
+        })
+      ).toBe(true);
+      expect(recordSuspicious).not.toHaveBeenCalled();
+    });
+
+    it('counts updates less than a second apart as a second apart', async () => {
+      driver();
+      lastFix('driver-1', { lat: LAT, lng: LNG, at: now - 10 });
+
+      // 1.1 km would be over 100 000 km/h in 10 ms, and is still too fast
+      // in a second
+      expect(
+        await service.ingest({
+          driverId: 'driver-1',
+          latitude: ONE_KM_NORTH,
+          longitude: LNG,
+          timestamp: now,
+        })
+      ).toBe(false);
+
+      const [{ data }] = recordSuspicious.mock.calls[0];
+      expect(data.speedKmh).toBeGreaterThan(3900);
+      expect(data.speedKmh).toBeLessThan(4100);
+    });
+
+    it('only checks ghost drivers for order', async () => {
+      lastFix('ghost:1', { lat: LAT, lng: LNG, at: now - 1000 });
+
+      expect(
+        await service.ingest({
+          driverId: 'ghost:1',
+          latitude: LAT + 0.09,
+          longitude: LNG,
+          timestamp: now,
+        })
+      ).toBe(true);
+
+      expect(recordSuspicious).not.toHaveBeenCalled();
+      // No database record to write to
+      expect(write).not.toHaveBeenCalled();
+      expect(place).toHaveBeenCalled();
+    });
+  });
+});
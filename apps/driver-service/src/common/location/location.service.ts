@@ -0,0 +1,298 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Observable, Subject } from 'rxjs';
+import { PrismaService } from '../prisma/prisma.service';
+import { RedisService } from '../redis/redis.service';
+import { haversineDistance } from '../geo/geo.util';
+import { VehicleType } from '../../../generated/prisma';
+import { LocationWriterService } from './location-writer.service';
+import {
+  ghostDriver,
+  IndexedDriver,
+  SpatialIndexService,
+  toIndexedDriver,
+} from '../spatial-index/spatial-index.service';
+
+export interface LocationUpdate {
+  driverId: string;
+  latitude: number;
+  longitude: number;
+  // When the position was taken (ms); defaults to its arrival
+  timestamp?: number;
+}
+
+// A position that made it through the pipeline, dated when it was taken
+export interface AcceptedFix {
+  driverId: string;
+  latitude: number;
+  longitude: number;
+  timestamp: number;
+}
+
+const DEFAULT_MAX_SPEEDS_KMH: Record<VehicleType, number> = {
+  MOTOBIKE: 150,
+  BIKE: 60,
+};
+
+// Jumps shorter than this are GPS jitter, whatever speed they imply
+const SPOOF_MIN_DISTANCE_KM = 0.2;
+
+// How long the last accepted position is remembered per driver
+const LAST_FIX_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * The one path a driver location takes, whether it arrives over MQTT
+ * (`driver/location/{driverId}`) or through UpdateLocation:
+ *
+ * 1. check the coordinates, and drop updates taken before the last one
+ *    accepted for the driver
+ * 2. hold back jumps faster than the driver's vehicle can travel as
+ *    suspected GPS spoofing, see `LOCATION_MAX_SPEEDS_KMH`
+ * 3. queue the last position for Postgres (write-behind, see
+ *    LocationWriterService; ghost drivers have no record)
+ * 4. add or move the driver in the spatial index, in GEO or H3 mode per
+ *    USE_H3, including H3 hex moves and metadata
+ * 5. record the heartbeat
+ * 6. emit the position on `accepted`, which MqttService republishes on
+ *    `driver/position/{driverId}` for trip-service and the api-gateway
+ *
+ * The status, vehicle type, seats and rating a driver is indexed by are
+ * cached in Redis for DRIVER_ATTRIBUTES_TTL_SECONDS (default 300), and
+ * replaced whenever they change through driver-service.
+ *
+ * A suspected spoof is stored as a SuspiciousLocation for review and leaves
+ * the driver where they were. The top speeds (km/h) per vehicle type default
+ * to MOTOBIKE 150 and BIKE 60; LOCATION_MAX_SPEEDS_KMH overrides them as
+ * JSON, e.g. `{"BIKE": 45}`. Ghost drivers are simulated and only checked for
+ * order.
+ */
+@Injectable()
+export class LocationService {
+  private readonly logger = new Logger(LocationService.name);
+
+  private readonly attributesTtlSeconds = parseInt(
+    process.env.DRIVER_ATTRIBUTES_TTL_SECONDS || '300'
+  );
+  private readonly maxSpeedsKmh: Record<VehicleType, number> = {
+    ...DEFAULT_MAX_SPEEDS_KMH,
+    ...JSON.parse(process.env.LOCATION_MAX_SPEEDS_KMH || '{}'),
+  };
+
+  private readonly acceptedFixes = new Subject<AcceptedFix>();
+  readonly accepted: Observable<AcceptedFix> =
+    this.acceptedFixes.asObservable();
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly redisService: RedisService,
+    private readonly spatialIndex: SpatialIndexService,
+    private readonly writer: LocationWriterService
+  ) {}
+
+  /**
+   * Apply a location update. Returns false when it was dropped as out of
+   * order or held back as a suspected spoof.
+   */
+  async ingest(update: LocationUpdate): Promise<boolean> {
+    const { driverId, latitude, longitude, timestamp } = update;
+
+    if (!driverId || !isLatitude(latitude) || !isLongitude(longitude)) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `Invalid location update for driver ${driverId}: (${latitude}, ${longitude})`,
+      });
+    }
+
+    if (timestamp != null && !Number.isFinite(timestamp)) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `Invalid timestamp for driver ${driverId}: ${timestamp}`,
+      });
+    }
+
+    const startTime = Date.now();
+    // A clock running ahead must not hold back the driver's later updates
+    const takenAt = Math.min(timestamp ?? startTime, startTime);
+    const ghost = driverId.startsWith('ghost:');
+    const driver = ghost
+      ? ghostDriver(driverId)
+      : await this.attributesOf(driverId);
+
+    const last = await this.redisService.getLastFix(driverId);
+
+    if (last && takenAt < last.at) {
+      this.logger.debug(
+        `Dropped location of ${driverId} taken ${last.at - takenAt}ms ` +
+          `before the last accepted one`
+      );
+      return false;
+    }
+
+    if (last && !ghost) {
+      const speedKmh = this.impossibleSpeed(driver, last, update, takenAt);
+
+      if (speedKmh !== null) {
+        await this.recordSuspicious(driverId, last, update, takenAt, speedKmh);
+        return false;
+      }
+    }
+
+    // A newer update may have been accepted meanwhile, on any replica
+    const accepted = await this.redisService.acceptFix(
+      driverId,
+      latitude,
+      longitude,
+      takenAt,
+      LAST_FIX_TTL_SECONDS
+    );
+
+    if (!accepted) return false;
+
+    if (!ghost) {
+      this.writer.write(driverId, latitude, longitude);
+    }
+
+    await this.spatialIndex.place(driver, { latitude, longitude });
+    await this.redisService.touchHeartbeat(driverId);
+
+    this.acceptedFixes.next({
+      driverId,
+      latitude,
+      longitude,
+      timestamp: takenAt,
+    });
+
+    this.logger.debug(
+      `Location of ${driverId} at (${latitude}, ${longitude}) | ` +
+        `Status: ${driver.status} | Duration: ${Date.now() - startTime}ms`
+    );
+
+    return true;
+  }
+
+  /**
+   * Replace the cached attributes of a driver after they changed in Postgres
+   */
+  async remember(driver: IndexedDriver): Promise<void> {
+    await this.redisService.setDriverAttributes(
+      driver.userId,
+      driver,
+      this.attributesTtlSeconds
+    );
+  }
+
+  /**
+   * Drop the position waiting to be written for a driver, before their
+   * position is cleared in Postgres
+   */
+  async discardPosition(driverId: string): Promise<void> {
+    await this.writer.discard(driverId);
+  }
+
+  async forget(driverId: string): Promise<void> {
+    await this.redisService.deleteDriverAttributes(driverId);
+    await this.redisService.deleteLastFix(driverId);
+  }
+
+  /**
+   * The speed (km/h) a jump from the last accepted position implies, when
+   * more than the driver's vehicle can do, otherwise null
+   */
+  private impossibleSpeed(
+    driver: IndexedDriver,
+    last: { lat: number; lng: number; at: number },
+    update: LocationUpdate,
+    takenAt: number
+  ): number | null {
+    const distanceKm = haversineDistance(
+      last.lat,
+      last.lng,
+      update.latitude,
+      update.longitude
+    );
+
+    if (distanceKm < SPOOF_MIN_DISTANCE_KM) return null;
+
+    // Updates less than a second apart count as one second apart
+    const hours = Math.max(takenAt - last.at, 1000) / 3_600_000;
+    const speedKmh = distanceKm / hours;
+    const maxSpeedKmh =
+      this.maxSpeedsKmh[driver.vehicleType] ??
+      this.maxSpeedsKmh[VehicleType.MOTOBIKE];
+
+    return speedKmh > maxSpeedKmh ? speedKmh : null;
+  }
+
+  private async recordSuspicious(
+    driverId: string,
+    last: { lat: number; lng: number; at: number },
+    update: LocationUpdate,
+    takenAt: number,
+    speedKmh: number
+  ): Promise<void> {
+    this.logger.warn(
+      `Suspected GPS spoofing by ${driverId}: (${last.lat}, ${last.lng}) -> ` +
+        `(${update.latitude}, ${update.longitude}) at ` +
+        `${Math.round(speedKmh)} km/h`
+    );
+
+    await this.prisma.suspiciousLocation.create({
+      data: {
+        driverId,
+        latitude: update.latitude,
+        longitude: update.longitude,
+        previousLat: last.lat,
+        previousLng: last.lng,
+        speedKmh,
+        takenAt: new Date(takenAt),
+      },
+    });
+  }
+
+  private async attributesOf(driverId: string): Promise<IndexedDriver> {
+    const cached = await this.redisService.getDriverAttributes<IndexedDriver>(
+      driverId
+    );
+
+    if (cached) return cached;
+
+    const profile = await this.prisma.driverProfile.findUnique({
+      where: { userId: driverId },
+      select: {
+        userId: true,
+        status: true,
+        vehicleType: true,
+        seatCapacity: true,
+        rating: true,
+      },
+    });
+
+    if (!profile) {
+      throw new RpcException({
+        code: status.NOT_FOUND,
+        message: `Driver ${driverId} not found`,
+      });
+    }
+
+    const driver = toIndexedDriver(profile);
+
+    // A status change stored meanwhile is fresher than what was just read
+    await this.redisService.setDriverAttributes(
+      driverId,
+      driver,
+      this.attributesTtlSeconds,
+      true
+    );
+
+    return driver;
+  }
+}
+
+function isLatitude(value: unknown): value is number {
+  return typeof value === 'number' && value >= -90 && value <= 90;
+}
+
+function isLongitude(value: unknown): value is number {
+  return typeof value === 'number' && value >= -180 && value <= 180;
+}
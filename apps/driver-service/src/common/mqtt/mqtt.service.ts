@@ -1,25 +1,35 @@
-import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
 import * as mqtt from 'mqtt';
-import { RedisService } from '../redis/redis.service';
-import { PrismaService } from '../prisma/prisma.service';
-
-interface LocationUpdate {
-  driverId: string;
-  latitude: number;
-  longitude: number;
-  timestamp?: number;
-}
-
+import { Subscription } from 'rxjs';
+import {
+  AcceptedFix,
+  LocationService,
+  LocationUpdate,
+} from '../location/location.service';
+
+// Positions accepted by the location pipeline, per driver
+export const DRIVER_POSITION_TOPIC = 'driver/position';
+
+/**
+ * Takes driver locations from `driver/location/{driverId}` into the location
+ * pipeline, and republishes every accepted position, whichever way it came
+ * in, on `driver/position/{driverId}`. Other services follow drivers there
+ * rather than on the raw topic, so they only see positions that passed the
+ * order and spoofing checks.
+ */
 @Injectable()
-export class MqttService implements OnModuleInit {
+export class MqttService implements OnModuleInit, OnModuleDestroy {
   private client: mqtt.MqttClient;
+  private positions: Subscription;
   private readonly logger = new Logger(MqttService.name);
   private readonly TOPIC = 'driver/location/+'; // Subscribe to all driver location updates
 
-  constructor(
-    private readonly redisService: RedisService,
-    private readonly prismaService: PrismaService
-  ) {}
+  constructor(private readonly locationService: LocationService) {}
 
   async onModuleInit() {
     const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://mosquitto:1883';
@@ -62,39 +72,40 @@ export class MqttService implements OnModuleInit {
       this.client.on('reconnect', () => {
         this.logger.log('Reconnecting to MQTT broker...');
       });
+
+      this.positions = this.locationService.accepted.subscribe((fix) =>
+        this.publishPosition(fix)
+      );
     } catch (error) {
       this.logger.error('Failed to initialize MQTT client:', error);
     }
   }
 
+  async onModuleDestroy() {
+    // Stop taking location updates before pending positions are written
+    this.positions?.unsubscribe();
+
+    if (this.client) {
+      await this.disconnect();
+    }
+  }
+
   private async handleLocationUpdate(topic: string, message: Buffer) {
     try {
       const payload: LocationUpdate = JSON.parse(message.toString());
-      const { driverId, latitude, longitude } = payload;
 
-      if (!driverId || latitude === undefined || longitude === undefined) {
-        this.logger.warn('Invalid location update payload:', payload);
+      // A driver may only move themselves
+      if (payload.driverId !== topic.split('/')[2]) {
+        this.logger.warn(
+          `Dropped location update for ${payload.driverId} sent on ${topic}`
+        );
         return;
       }
 
-      this.logger.debug(
-        `Received location update for driver ${driverId}: (${latitude}, ${longitude})`
-      );
-
-      // Update PostgreSQL
-      await this.prismaService.driverProfile.update({
-        where: { userId: driverId },
-        data: {
-          lastLat: latitude,
-          lastLng: longitude,
-          updatedAt: new Date(),
-        },
-      });
+      // Same pipeline as UpdateLocation: Postgres, index, heartbeat
+      await this.locationService.ingest(payload);
 
-      // Update Redis geospatial index
-      await this.redisService.geoadd('drivers', longitude, latitude, driverId);
-
-      this.logger.debug(`Location updated for driver ${driverId}`);
+      this.logger.debug(`Location updated for driver ${payload.driverId}`);
     } catch (error) {
       this.logger.error('Failed to process location update:', error);
     }
@@ -115,6 +126,13 @@ export class MqttService implements OnModuleInit {
     });
   }
 
+  private publishPosition(fix: AcceptedFix): void {
+    // Failures are logged by publish; the next position replaces this one
+    this.publish(`${DRIVER_POSITION_TOPIC}/${fix.driverId}`, fix).catch(
+      () => undefined
+    );
+  }
+
   async disconnect(): Promise<void> {
     return new Promise((resolve) => {
       this.client.end(false, {}, () => {
@@ -1,6 +1,8 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import { Injectable, OnModuleInit, Logger } from '@nestjs/common';
 import { createClient, RedisClientType } from 'redis';
+import { H3Service } from '../h3/h3.service';
+import { VehicleType } from '../../../generated/prisma';
 
 @Injectable()
 export class RedisService implements OnModuleInit {
@@ -59,6 +61,329 @@ export class RedisService implements OnModuleInit {
     }
   }
 
+  /**
+   * GEO set of drivers of one vehicle type, or of all drivers. With `pool`,
+   * the matching set of BUSY drivers who still have a free seat.
+   */
+  static geoKey(vehicleType?: string, pool = false): string {
+    const prefix = pool ? 'drivers:pool' : 'drivers';
+    return vehicleType ? `${prefix}:${vehicleType}` : prefix;
+  }
+
+  /**
+   * Every GEO set a driver can be in
+   */
+  static allGeoKeys(): string[] {
+    return [false, true].flatMap((pool) => [
+      RedisService.geoKey(undefined, pool),
+      ...Object.values(VehicleType).map((vehicleType) =>
+        RedisService.geoKey(vehicleType, pool)
+      ),
+    ]);
+  }
+
+  /**
+   * Position a driver in the all-drivers GEO set and in the set of their
+   * vehicle type (or in the pool sets), and take them out of every other
+   * GEO set
+   */
+  async geoaddDriver(
+    driverId: string,
+    lon: number,
+    lat: number,
+    vehicleType: string,
+    pool = false
+  ) {
+    const position = { longitude: lon, latitude: lat, member: driverId };
+    const keys = [
+      RedisService.geoKey(undefined, pool),
+      RedisService.geoKey(vehicleType, pool),
+    ];
+    const multi = this.client.multi();
+
+    for (const key of keys) {
+      multi.geoAdd(key, position);
+    }
+    for (const key of RedisService.allGeoKeys()) {
+      if (!keys.includes(key)) {
+        multi.zRem(key, driverId);
+      }
+    }
+
+    await multi.exec();
+  }
+
+  /**
+   * GEO sets holding a driver and their position there, or null when they
+   * are in none
+   */
+  async geoFindDriver(driverId: string): Promise<{
+    keys: string[];
+    lat: number;
+    lng: number;
+  } | null> {
+    const allKeys = RedisService.allGeoKeys();
+    const multi = this.client.multi();
+
+    for (const key of allKeys) {
+      multi.zScore(key, driverId);
+    }
+
+    const scores = await multi.exec();
+    const keys = allKeys.filter(
+      (_, i) => scores[i] !== null && scores[i] !== undefined
+    );
+
+    if (keys.length === 0) return null;
+
+    const [position] = await this.client.geoPos(keys[0], driverId);
+
+    if (!position) return null;
+
+    return {
+      keys,
+      lat: Number(position.latitude),
+      lng: Number(position.longitude),
+    };
+  }
+
+  // ========================================================================
+  // Driver Heartbeats
+  // ========================================================================
+
+  /**
+   * Sorted set of drivers by the time (ms) they were last heard from
+   */
+  static readonly HEARTBEAT_KEY = 'drivers:heartbeat';
+
+  /**
+   * Running count of drivers taken offline for missing heartbeats, exported
+   * to Prometheus by redis_exporter
+   */
+  static readonly STALE_DRIVERS_KEY = 'drivers:stale:total';
+
+  async touchHeartbeat(driverId: string, at: number = Date.now()) {
+    await this.client.zAdd(RedisService.HEARTBEAT_KEY, {
+      score: at,
+      value: driverId,
+    });
+  }
+
+  /**
+   * Up to `limit` drivers last heard from before `before` (ms), oldest first
+   */
+  async staleDrivers(
+    before: number,
+    limit: number
+  ): Promise<Array<{ driverId: string; lastSeen: number }>> {
+    const results = await this.client.zRangeByScoreWithScores(
+      RedisService.HEARTBEAT_KEY,
+      '-inf',
+      `(${before}`,
+      { LIMIT: { offset: 0, count: limit } }
+    );
+
+    return results.map((r) => ({
+      driverId: r.value.toString(),
+      lastSeen: r.score,
+    }));
+  }
+
+  /**
+   * Drop a driver's heartbeat if it is still older than `before`. Returns
+   * false when the driver checked in since, so they must not be swept.
+   */
+  async claimStaleDriver(driverId: string, before: number): Promise<boolean> {
+    const claimed = await this.client.eval(
+      `local seen = redis.call('ZSCORE', KEYS[1], ARGV[1])
+       if seen and tonumber(seen) < tonumber(ARGV[2]) then
+         return redis.call('ZREM', KEYS[1], ARGV[1])
+       end
+       return 0`,
+      {
+        keys: [RedisService.HEARTBEAT_KEY],
+        arguments: [driverId, before.toString()],
+      }
+    );
+
+    return Number(claimed) === 1;
+  }
+
+  /**
+   * Record a heartbeat only for a driver who has none, e.g. to put back one
+   * claimed by a sweep that could not finish, or to start watching a driver
+   * indexed without a location update
+   */
+  async touchHeartbeatIfMissing(driverId: string, at: number = Date.now()) {
+    await this.client.zAdd(
+      RedisService.HEARTBEAT_KEY,
+      { score: at, value: driverId },
+      { condition: 'NX' }
+    );
+  }
+
+  /**
+   * Take a driver out of every spatial index (all GEO sets, their H3 buckets
+   * and metadata) and stop watching their heartbeat
+   */
+  async removeDriver(driverId: string): Promise<void> {
+    const meta = await this.h3GetDriverMeta(driverId);
+    const multi = this.client.multi();
+
+    for (const key of RedisService.allGeoKeys()) {
+      multi.zRem(key, driverId);
+    }
+
+    if (meta) {
+      const bucketKey = H3Service.forPool(
+        `shard:${meta.shard}:hex:${meta.hex}`,
+        meta.pool
+      );
+
+      multi.zRem(bucketKey, driverId);
+      if (meta.vehicleType) {
+        multi.zRem(
+          H3Service.forVehicleType(bucketKey, meta.vehicleType),
+          driverId
+        );
+      }
+    }
+
+    multi.del(`driver:${driverId}:h3meta`);
+    multi.zRem(RedisService.HEARTBEAT_KEY, driverId);
+
+    await multi.exec();
+  }
+
+  async countStaleDriver() {
+    await this.client.incr(RedisService.STALE_DRIVERS_KEY);
+  }
+
+  /**
+   * Ids of every driver found in a GEO set, in the heartbeat set or with H3
+   * metadata
+   */
+  async indexedDriverIds(): Promise<Set<string>> {
+    const ids = new Set<string>();
+
+    for (const key of [
+      ...RedisService.allGeoKeys(),
+      RedisService.HEARTBEAT_KEY,
+    ]) {
+      for await (const members of this.client.zScanIterator(key, {
+        COUNT: 1000,
+      })) {
+        members.forEach((member) => ids.add(member.value.toString()));
+      }
+    }
+
+    for await (const keys of this.client.scanIterator({
+      MATCH: 'driver:*:h3meta',
+      COUNT: 1000,
+    })) {
+      keys.forEach((key) =>
+        ids.add(key.toString().slice('driver:'.length, -':h3meta'.length))
+      );
+    }
+
+    return ids;
+  }
+
+  // ========================================================================
+  // Driver Attributes
+  // ========================================================================
+
+  /**
+   * Cached copy of the fields a driver is indexed by, as JSON, so location
+   * updates need not read Postgres
+   */
+  async getDriverAttributes<T>(driverId: string): Promise<T | null> {
+    const cached = await this.client.get(`driver:${driverId}:attrs`);
+    return cached ? JSON.parse(cached.toString()) : null;
+  }
+
+  /**
+   * Store a driver's attributes for `ttlSeconds`. With `onlyIfMissing`, a
+   * copy already cached (e.g. written by a concurrent status change) wins.
+   */
+  async setDriverAttributes(
+    driverId: string,
+    attributes: object,
+    ttlSeconds: number,
+    onlyIfMissing = false
+  ) {
+    await this.client.set(
+      `driver:${driverId}:attrs`,
+      JSON.stringify(attributes),
+      {
+        ...(onlyIfMissing && { condition: 'NX' as const }),
+        expiration: { type: 'EX', value: ttlSeconds },
+      }
+    );
+  }
+
+  async deleteDriverAttributes(driverId: string) {
+    await this.client.del(`driver:${driverId}:attrs`);
+  }
+
+  // ========================================================================
+  // Last Accepted Location
+  // ========================================================================
+
+  /**
+   * The last location update accepted for a driver, `at` in ms
+   */
+  async getLastFix(
+    driverId: string
+  ): Promise<{ lat: number; lng: number; at: number } | null> {
+    const data = await this.client.hGetAll(`driver:${driverId}:fix`);
+
+    if (!data || Object.keys(data).length === 0) return null;
+
+    return {
+      lat: parseFloat(data.lat),
+      lng: parseFloat(data.lng),
+      at: parseInt(data.at),
+    };
+  }
+
+  /**
+   * Record a driver's location as of `at` (ms), unless one taken later has
+   * been recorded already. Returns whether it was recorded.
+   */
+  async acceptFix(
+    driverId: string,
+    lat: number,
+    lng: number,
+    at: number,
+    ttlSeconds: number
+  ): Promise<boolean> {
+    const accepted = await this.client.eval(
+      `local last = redis.call('HGET', KEYS[1], 'at')
+       if last and tonumber(last) > tonumber(ARGV[3]) then
+         return 0
+       end
+       redis.call('HSET', KEYS[1], 'lat', ARGV[1], 'lng', ARGV[2], 'at', ARGV[3])
+       redis.call('EXPIRE', KEYS[1], ARGV[4])
+       return 1`,
+      {
+        keys: [`driver:${driverId}:fix`],
+        arguments: [
+          lat.toString(),
+          lng.toString(),
+          at.toString(),
+          ttlSeconds.toString(),
+        ],
+      }
+    );
+
+    return Number(accepted) === 1;
+  }
+
+  async deleteLastFix(driverId: string) {
+    await this.client.del(`driver:${driverId}:fix`);
+  }
+
   async geoadd(key: string, lon: number, lat: number, member: string) {
     return this.client.geoAdd(key, [{ longitude: lon, latitude: lat, member }]);
   }
@@ -126,7 +451,7 @@ export class RedisService implements OnModuleInit {
       key,
       { longitude: lon, latitude: lat },
       { radius: radiusKm, unit: 'km' },
-      ['WITHDIST'],
+      ['WITHDIST', 'WITHCOORD'],
       options
     );
     const duration = Date.now() - startTime;
@@ -138,6 +463,31 @@ export class RedisService implements OnModuleInit {
     return results.map((r) => ({
       member: r.member,
       distance: parseFloat(r.distance),
+      latitude: Number(r.coordinates.latitude),
+      longitude: Number(r.coordinates.longitude),
+    }));
+  }
+
+  /**
+   * Every member of a GEO set within `radiusKm` of a point, with its position
+   */
+  async geoPositionsWithin(
+    key: string,
+    lon: number,
+    lat: number,
+    radiusKm: number
+  ) {
+    const results = await this.client.geoSearchWith(
+      key,
+      { longitude: lon, latitude: lat },
+      { radius: radiusKm, unit: 'km' },
+      ['WITHCOORD']
+    );
+
+    return results.map((r) => ({
+      member: r.member,
+      latitude: Number(r.coordinates.latitude),
+      longitude: Number(r.coordinates.longitude),
     }));
   }
 
@@ -146,19 +496,34 @@ export class RedisService implements OnModuleInit {
   // ========================================================================
 
   /**
-   * Add driver to H3 smart bucket with rating as score
+   * Add driver to H3 smart bucket, and to the bucket of their vehicle type,
+   * with rating as score
    */
   async h3AddDriver(
     bucketKey: string,
     driverId: string,
     rating: number,
-    metadata: { lat: number; lng: number; hex: string; shard: number }
+    metadata: {
+      lat: number;
+      lng: number;
+      hex: string;
+      shard: number;
+      vehicleType: string;
+      pool?: boolean;
+    }
   ): Promise<void> {
     const multi = this.client.multi();
+    const indexKey = H3Service.forPool(bucketKey, metadata.pool);
+    const typedBucketKey = H3Service.forVehicleType(
+      indexKey,
+      metadata.vehicleType
+    );
 
     // Add to sorted set (rating as score)
-    multi.zAdd(bucketKey, { score: rating, value: driverId });
-    multi.expire(bucketKey, 30); // 30s TTL
+    multi.zAdd(indexKey, { score: rating, value: driverId });
+    multi.expire(indexKey, 30); // 30s TTL
+    multi.zAdd(typedBucketKey, { score: rating, value: driverId });
+    multi.expire(typedBucketKey, 30);
 
     // Store metadata
     const metaKey = `driver:${driverId}:h3meta`;
@@ -167,6 +532,8 @@ export class RedisService implements OnModuleInit {
       lng: metadata.lng.toString(),
       hex: metadata.hex,
       shard: metadata.shard.toString(),
+      vehicleType: metadata.vehicleType,
+      pool: metadata.pool ? '1' : '0',
       rating: rating.toString(),
       updated: Date.now().toString(),
     });
@@ -176,10 +543,24 @@ export class RedisService implements OnModuleInit {
   }
 
   /**
-   * Remove driver from old H3 bucket
+   * Remove driver from old H3 bucket (and its vehicle-type bucket), in the
+   * pool index when `pool` is set
    */
-  async h3RemoveDriver(oldBucketKey: string, driverId: string): Promise<void> {
-    await this.client.zRem(oldBucketKey, driverId);
+  async h3RemoveDriver(
+    oldBucketKey: string,
+    driverId: string,
+    vehicleType?: string,
+    pool = false
+  ): Promise<void> {
+    const multi = this.client.multi();
+    const indexKey = H3Service.forPool(oldBucketKey, pool);
+
+    multi.zRem(indexKey, driverId);
+    if (vehicleType) {
+      multi.zRem(H3Service.forVehicleType(indexKey, vehicleType), driverId);
+    }
+
+    await multi.exec();
   }
 
   /**
@@ -190,6 +571,8 @@ export class RedisService implements OnModuleInit {
     lng: number;
     hex: string;
     shard: number;
+    vehicleType?: string;
+    pool: boolean;
     rating: number;
     updated: number;
   } | null> {
@@ -203,11 +586,42 @@ export class RedisService implements OnModuleInit {
       lng: parseFloat(data.lng),
       hex: data.hex,
       shard: parseInt(data.shard),
+      vehicleType: data.vehicleType,
+      pool: data.pool === '1',
       rating: parseFloat(data.rating),
       updated: parseInt(data.updated),
     };
   }
 
+  /**
+   * Refresh a driver's rating in their H3 metadata and bucket score.
+   * No-op when the driver is not currently indexed.
+   */
+  async h3UpdateRating(driverId: string, rating: number): Promise<void> {
+    const meta = await this.h3GetDriverMeta(driverId);
+
+    if (!meta) return;
+
+    const bucketKey = H3Service.forPool(
+      `shard:${meta.shard}:hex:${meta.hex}`,
+      meta.pool
+    );
+    const multi = this.client.multi();
+
+    multi.hSet(`driver:${driverId}:h3meta`, 'rating', rating.toString());
+    // XX: only rescore, never re-add a driver that already left the bucket
+    multi.zAdd(bucketKey, { score: rating, value: driverId }, { XX: true });
+    if (meta.vehicleType) {
+      multi.zAdd(
+        H3Service.forVehicleType(bucketKey, meta.vehicleType),
+        { score: rating, value: driverId },
+        { XX: true }
+      );
+    }
+
+    await multi.exec();
+  }
+
   /**
    * Query multiple H3 buckets in parallel
    * Returns top N drivers from each bucket (sorted by rating DESC)
@@ -252,12 +666,71 @@ export class RedisService implements OnModuleInit {
     return driversByBucket;
   }
 
+  /**
+   * Remove H3 bucket entries whose driver metadata has expired. A bucket
+   * outlives its 30s TTL while other drivers keep refreshing it, and such
+   * entries would still be counted as supply. Returns how many were found;
+   * with `dryRun` nothing is removed.
+   */
+  async h3RemoveDanglingEntries(dryRun = false): Promise<number> {
+    let dangling = 0;
+
+    for (const match of ['shard:*', 'pool:shard:*']) {
+      for await (const bucketKeys of this.client.scanIterator({
+        MATCH: match,
+        COUNT: 1000,
+      })) {
+        for (const bucketKey of bucketKeys) {
+          const members = await this.client.zRange(bucketKey, 0, -1);
+
+          if (members.length === 0) continue;
+
+          const multi = this.client.multi();
+          for (const member of members) {
+            multi.exists(`driver:${member}:h3meta`);
+          }
+
+          const exists = await multi.exec();
+          const expired = members.filter((_, i) => Number(exists[i]) === 0);
+
+          dangling += expired.length;
+          if (!dryRun && expired.length > 0) {
+            await this.client.zRem(bucketKey, expired);
+          }
+        }
+      }
+    }
+
+    return dangling;
+  }
+
+  /**
+   * Count drivers in each H3 bucket (same order as bucketKeys)
+   */
+  async h3CountDrivers(bucketKeys: string[]): Promise<number[]> {
+    if (bucketKeys.length === 0) return [];
+
+    const multi = this.client.multi();
+
+    for (const bucketKey of bucketKeys) {
+      multi.zCard(bucketKey);
+    }
+
+    const results = await multi.exec();
+    return results.map((count) => Number(count) || 0);
+  }
+
   /**
    * Batch get driver metadata
    */
   async h3GetDriverMetaBatch(
     driverIds: string[]
-  ): Promise<Map<string, { lat: number; lng: number; rating: number }>> {
+  ): Promise<
+    Map<
+      string,
+      { lat: number; lng: number; rating: number; vehicleType?: string }
+    >
+  > {
     if (driverIds.length === 0) return new Map();
 
     const multi = this.client.multi();
@@ -280,6 +753,7 @@ export class RedisService implements OnModuleInit {
           lat: parseFloat(dataObj.lat),
           lng: parseFloat(dataObj.lng),
           rating: parseFloat(dataObj.rating),
+          vehicleType: dataObj.vehicleType,
         });
       }
     }
@@ -0,0 +1,9 @@
+import { Global, Module } from '@nestjs/common';
+import { SpatialIndexService } from './spatial-index.service';
+
+@Global()
+@Module({
+  providers: [SpatialIndexService],
+  exports: [SpatialIndexService],
+})
+export class SpatialIndexModule {}
@@ -0,0 +1,379 @@
+import {
+  DriverProfile,
+  DriverStatus,
+  VehicleType,
+} from '../../../generated/prisma';
+import { H3Service } from '../h3/h3.service';
+import { PrismaService } from '../prisma/prisma.service';
+import { RedisService } from '../redis/redis.service';
+import { IndexedDriver, SpatialIndexService } from './spatial-index.service';
+
+const h3 = new H3Service();
+const CELL = h3.latLngToCell(10.7626, 106.6826, H3Service.BUCKET_RESOLUTION);
+const CENTER = h3.cellToLatLng(CELL);
+const NEIGHBOUR = h3.cellToLatLng(
+  h3.gridDisk(CELL, 1).find((cell) => cell !== CELL) as string
+);
+
+function driver(overrides: Partial<IndexedDriver> = {}): IndexedDriver {
+  return {
+    userId: 'driver-1',
+    status: DriverStatus.ONLINE,
+    vehicleType: VehicleType.MOTOBIKE,
+    seatCapacity: 1,
+    rating: 4.8,
+    ...overrides,
+  };
+}
+
+// driver_profile as the reconcile pages and existence checks see it
+class FakeProfiles {
+  rows: DriverProfile[] = [];
+
+  add(userId: string, profile: Partial<DriverProfile> = {}) {
+    this.rows.push({
+      ...driver({ userId }),
+      lastLat: CENTER.lat,
+      lastLng: CENTER.lng,
+      ...profile,
+    } as unknown as DriverProfile);
+  }
+
+  findMany = jest.fn(async ({ where, cursor, take }) => {
+    if (where) {
+      return this.rows.filter((row) => where.userId.in.includes(row.userId));
+    }
+
+    const sorted = [...this.rows].sort((a, b) =>
+      a.userId.localeCompare(b.userId)
+    );
+    const start = cursor
+      ? sorted.findIndex((row) => row.userId === cursor.userId) + 1
+      : 0;
+    return sorted.slice(start, start + take);
+  });
+}
+
+describe('SpatialIndexService', () => {
+  let index: SpatialIndexService;
+  let redis: Record<string, jest.Mock>;
+  let profiles: FakeProfiles;
+  // GEO sets each driver is in, as geoFindDriver reports them
+  let indexed: Record<string, { keys: string[]; lat: number; lng: number }>;
+
+  beforeEach(() => {
+    profiles = new FakeProfiles();
+    indexed = {};
+    redis = {
+      geoFindDriver: jest.fn(async (driverId) => indexed[driverId] ?? null),
+      indexedDriverIds: jest.fn(async () => new Set(Object.keys(indexed))),
+      h3RemoveDanglingEntries: jest.fn().mockResolvedValue(0),
+      touchHeartbeatIfMissing: jest.fn(),
+      geoaddDriver: jest.fn(),
+      removeDriver: jest.fn(),
+      h3GetDriverMeta: jest.fn().mockResolvedValue(null),
+      h3AddDriver: jest.fn(),
+      h3RemoveDriver: jest.fn(),
+      geoPositionsWithin: jest.fn().mockResolvedValue([]),
+      h3CountDrivers: jest.fn().mockResolvedValue([]),
+    };
+
+    index = new SpatialIndexService(
+      { driverProfile: profiles } as unknown as PrismaService,
+      redis as unknown as RedisService,
+      h3
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.USE_H3;
+  });
+
+  describe('place', () => {
+    const here = { latitude: CENTER.lat, longitude: CENTER.lng };
+    const there = { latitude: NEIGHBOUR.lat, longitude: NEIGHBOUR.lng };
+
+    it('adds ONLINE drivers to the regular GEO sets', async () => {
+      await index.place(driver(), here);
+
+      expect(redis.geoaddDriver).toHaveBeenCalledWith(
+        'driver-1',
+        CENTER.lng,
+        CENTER.lat,
+        VehicleType.MOTOBIKE,
+        false
+      );
+    });
+
+    it('adds BUSY drivers with a free seat to the pool', async () => {
+      await index.place(
+        driver({ status: DriverStatus.BUSY, seatCapacity: 2 }),
+        here
+      );
+
+      expect(redis.geoaddDriver).toHaveBeenCalledWith(
+        'driver-1',
+        CENTER.lng,
+        CENTER.lat,
+        VehicleType.MOTOBIKE,
+        true
+      );
+    });
+
+    it('takes everyone else out of search', async () => {
+      await index.place(driver({ status: DriverStatus.BUSY }), here);
+      await index.place(driver({ status: DriverStatus.OFFLINE }), here);
+
+      expect(redis.removeDriver).toHaveBeenCalledTimes(2);
+      expect(redis.geoaddDriver).not.toHaveBeenCalled();
+    });
+
+    describe('in H3 mode', () => {
+      const bucket = h3.getSmartBucketKey(CENTER.lat, CENTER.lng);
+
+      beforeEach(() => {
+        process.env.USE_H3 = 'true';
+      });
+
+      function indexedAt(
+        hex: string,
+        vehicleType: string = VehicleType.MOTOBIKE
+      ) {
+        const center = h3.cellToLatLng(hex);
+        redis.h3GetDriverMeta.mockResolvedValue({
+          lat: center.lat,
+          lng: center.lng,
+          hex,
+          shard: h3.getShardId(center.lat, center.lng),
+          vehicleType,
+          pool: false,
+        });
+      }
+
+      it('adds the driver to the bucket of their cell with metadata', async () => {
+        await index.place(driver(), here);
+
+        expect(redis.h3AddDriver).toHaveBeenCalledWith(
+          bucket,
+          'driver-1',
+          4.8,
+          expect.objectContaining({
+            hex: CELL,
+            vehicleType: VehicleType.MOTOBIKE,
+            pool: false,
+          })
+        );
+        expect(redis.geoaddDriver).not.toHaveBeenCalled();
+      });
+
+      it('leaves the old bucket when the driver changes cell', async () => {
+        const from = h3.latLngToCell(
+          there.latitude,
+          there.longitude,
+          H3Service.BUCKET_RESOLUTION
+        );
+        indexedAt(from);
+
+        await index.place(driver(), here);
+
+        expect(redis.h3RemoveDriver).toHaveBeenCalledWith(
+          h3.getSmartBucketKey(there.latitude, there.longitude),
+          'driver-1',
+          VehicleType.MOTOBIKE,
+          false
+        );
+        expect(redis.h3AddDriver).toHaveBeenCalledWith(
+          bucket,
+          'driver-1',
+          4.8,
+          expect.objectContaining({ hex: CELL })
+        );
+      });
+
+      it('only updates the metadata within the same cell', async () => {
+        indexedAt(CELL);
+
+        await index.place(driver(), here);
+
+        expect(redis.h3RemoveDriver).not.toHaveBeenCalled();
+        expect(redis.h3AddDriver).toHaveBeenCalledTimes(1);
+      });
+
+      it('moves a driver who switched vehicle within the same cell', async () => {
+        indexedAt(CELL, VehicleType.BIKE);
+
+        await index.place(driver(), here);
+
+        expect(redis.h3RemoveDriver).toHaveBeenCalledWith(
+          bucket,
+          'driver-1',
+          VehicleType.BIKE,
+          false
+        );
+      });
+    });
+  });
+
+  function indexAt(
+    driverId: string,
+    { pool = false, vehicleType = VehicleType.MOTOBIKE } = {}
+  ) {
+    indexed[driverId] = {
+      keys: [
+        RedisService.geoKey(undefined, pool),
+        RedisService.geoKey(vehicleType, pool),
+      ],
+      lat: CENTER.lat,
+      lng: CENTER.lng,
+    };
+  }
+
+  describe('refresh', () => {
+    const fallback = { latitude: NEIGHBOUR.lat, longitude: NEIGHBOUR.lng };
+
+    it('keeps the driver where the index has them', async () => {
+      indexAt('driver-1');
+
+      await index.refresh(driver({ vehicleType: VehicleType.BIKE }), fallback);
+
+      expect(redis.geoaddDriver).toHaveBeenCalledWith(
+        'driver-1',
+        CENTER.lng,
+        CENTER.lat,
+        VehicleType.BIKE,
+        false
+      );
+      expect(redis.touchHeartbeatIfMissing).toHaveBeenCalledWith('driver-1');
+    });
+
+    it('places a driver the index lacks at the fallback', async () => {
+      await index.refresh(driver(), fallback);
+
+      expect(redis.geoaddDriver).toHaveBeenCalledWith(
+        'driver-1',
+        NEIGHBOUR.lng,
+        NEIGHBOUR.lat,
+        VehicleType.MOTOBIKE,
+        false
+      );
+    });
+
+    it('waits for a location update when no position is known', async () => {
+      await index.refresh(driver(), null);
+
+      expect(redis.geoaddDriver).not.toHaveBeenCalled();
+      expect(redis.touchHeartbeatIfMissing).not.toHaveBeenCalled();
+    });
+
+    it('removes drivers who went off duty', async () => {
+      indexAt('driver-1');
+
+      await index.refresh(driver({ status: DriverStatus.OFFLINE }), fallback);
+
+      expect(redis.removeDriver).toHaveBeenCalledWith('driver-1');
+      expect(redis.geoFindDriver).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcile', () => {
+    beforeEach(() => {
+      // ONLINE, missing from the index
+      profiles.add('driver-a');
+      // ONLINE, missing, and never sent a position
+      profiles.add('driver-b', { lastLat: null, lastLng: null });
+      // ONLINE, indexed in the pool sets
+      profiles.add('driver-c');
+      indexAt('driver-c', { pool: true });
+      // OFFLINE, still indexed
+      profiles.add('driver-d', { status: DriverStatus.OFFLINE });
+      indexAt('driver-d');
+      // ONLINE, indexed where they belong
+      profiles.add('driver-e');
+      indexAt('driver-e');
+      // Deleted without leaving the index
+      indexAt('driver-gone');
+      indexAt('ghost:1');
+
+      redis.h3RemoveDanglingEntries.mockResolvedValue(2);
+    });
+
+    const drift = {
+      checked: 5,
+      added: 1,
+      moved: 1,
+      removed: 2,
+      danglingEntries: 2,
+    };
+
+    it('fixes what differs from Postgres', async () => {
+      expect(await index.reconcile()).toEqual(drift);
+
+      expect(redis.geoaddDriver.mock.calls).toEqual([
+        ['driver-a', CENTER.lng, CENTER.lat, VehicleType.MOTOBIKE, false],
+        ['driver-c', CENTER.lng, CENTER.lat, VehicleType.MOTOBIKE, false],
+      ]);
+      expect(redis.removeDriver.mock.calls).toEqual([
+        ['driver-d'],
+        ['driver-gone'],
+      ]);
+      expect(redis.h3RemoveDanglingEntries).toHaveBeenCalledWith(false);
+    });
+
+    it('only counts the drift on a dry run', async () => {
+      expect(await index.reconcile(true)).toEqual(drift);
+
+      expect(redis.geoaddDriver).not.toHaveBeenCalled();
+      expect(redis.removeDriver).not.toHaveBeenCalled();
+      expect(redis.h3RemoveDanglingEntries).toHaveBeenCalledWith(true);
+    });
+
+    it('asks Postgres about indexed drivers but not ghosts', async () => {
+      await index.reconcile(true);
+
+      const [{ where }] = profiles.findMany.mock.calls.find(
+        ([query]) => query.where
+      );
+      expect([...where.userId.in].sort()).toEqual([
+        'driver-c',
+        'driver-d',
+        'driver-e',
+        'driver-gone',
+      ]);
+    });
+  });
+
+  describe('countInCells', () => {
+    it('counts the ONLINE drivers of the GEO set that fall in the cell', async () => {
+      redis.geoPositionsWithin.mockResolvedValue([
+        { member: 'driver-1', latitude: CENTER.lat, longitude: CENTER.lng },
+        // Near a corner, inside the search circle but in the next cell
+        {
+          member: 'driver-2',
+          latitude: NEIGHBOUR.lat,
+          longitude: NEIGHBOUR.lng,
+        },
+      ]);
+
+      expect(await index.countInCells([CELL])).toEqual([1]);
+
+      const [key, lng, lat, radiusKm] = redis.geoPositionsWithin.mock.calls[0];
+      expect(key).toBe(RedisService.geoKey());
+      expect([lat, lng]).toEqual([CENTER.lat, CENTER.lng]);
+      // A res-9 cell is about 0.17 km from center to corner
+      expect(radiusKm).toBeGreaterThan(0.1);
+      expect(radiusKm).toBeLessThan(0.25);
+    });
+
+    it('reads the cell buckets in H3 mode', async () => {
+      process.env.USE_H3 = 'true';
+      redis.h3CountDrivers.mockResolvedValue([3]);
+
+      expect(await index.countInCells([CELL])).toEqual([3]);
+
+      expect(redis.h3CountDrivers).toHaveBeenCalledWith([
+        h3.getBucketKeyForCell(CELL),
+      ]);
+      expect(redis.geoPositionsWithin).not.toHaveBeenCalled();
+    });
+  });
+});
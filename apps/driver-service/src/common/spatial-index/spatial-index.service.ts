@@ -0,0 +1,381 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ReconcileIndexResponse } from '@uit-go/shared-types';
+import {
+  DriverProfile,
+  DriverStatus,
+  VehicleType,
+} from '../../../generated/prisma';
+import { H3Service } from '../h3/h3.service';
+import { PrismaService } from '../prisma/prisma.service';
+import { RedisService } from '../redis/redis.service';
+
+export interface IndexedDriver {
+  userId: string;
+  status: DriverStatus;
+  vehicleType: VehicleType;
+  seatCapacity: number;
+  rating: number;
+}
+
+export interface IndexPosition {
+  latitude: number;
+  longitude: number;
+}
+
+interface IndexEntry extends IndexPosition {
+  pool: boolean;
+  vehicleType?: string;
+  // In exactly the sets of its pool and vehicle type, nowhere else
+  exact: boolean;
+}
+
+// Drivers per Postgres page and per existence check while reconciling
+const RECONCILE_PAGE_SIZE = 500;
+
+export function toIndexedDriver(
+  profile: Pick<
+    DriverProfile,
+    'userId' | 'status' | 'vehicleType' | 'seatCapacity' | 'rating'
+  >
+): IndexedDriver {
+  return {
+    userId: profile.userId,
+    status: profile.status,
+    vehicleType: profile.vehicleType,
+    seatCapacity: profile.seatCapacity,
+    rating: Number(profile.rating),
+  };
+}
+
+/**
+ * Ghost drivers have no database record; they ride motorbikes and rate 4.8
+ */
+export function ghostDriver(
+  userId: string,
+  status: DriverStatus = DriverStatus.ONLINE
+): IndexedDriver {
+  return {
+    userId,
+    status,
+    vehicleType: VehicleType.MOTOBIKE,
+    seatCapacity: 1,
+    rating: 4.8,
+  };
+}
+
+/**
+ * Where drivers can be found by searchNearbyDrivers
+ *
+ * Every change to a driver's position, status, vehicle or seats goes through
+ * here, in either index mode (Redis GEO sets, or H3 buckets with USE_H3=true):
+ *
+ * - ONLINE drivers are in the regular index
+ * - BUSY drivers with a free seat are in the pool index, for pooled search
+ * - everyone else (OFFLINE, BUSY without a free seat, deleted) is in none
+ *
+ * `reconcile` repairs drift between the index and Postgres.
+ */
+@Injectable()
+export class SpatialIndexService {
+  private readonly logger = new Logger(SpatialIndexService.name);
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly redisService: RedisService,
+    private readonly h3Service: H3Service
+  ) {}
+
+  /**
+   * Add or move a driver to `position`, in the index their status calls for
+   */
+  async place(driver: IndexedDriver, position: IndexPosition): Promise<void> {
+    const pool = poolOf(driver);
+
+    if (pool === null) {
+      await this.remove(driver.userId);
+      return;
+    }
+
+    if (!useH3()) {
+      await this.redisService.geoaddDriver(
+        driver.userId,
+        position.longitude,
+        position.latitude,
+        driver.vehicleType,
+        pool
+      );
+      return;
+    }
+
+    const hex = this.h3Service.latLngToCell(
+      position.latitude,
+      position.longitude,
+      H3Service.BUCKET_RESOLUTION
+    );
+    const shard = this.h3Service.getShardId(
+      position.latitude,
+      position.longitude
+    );
+    const old = await this.redisService.h3GetDriverMeta(driver.userId);
+
+    if (
+      old &&
+      (old.hex !== hex ||
+        old.pool !== pool ||
+        old.vehicleType !== driver.vehicleType)
+    ) {
+      await this.redisService.h3RemoveDriver(
+        `shard:${old.shard}:hex:${old.hex}`,
+        driver.userId,
+        old.vehicleType,
+        old.pool
+      );
+      this.logger.debug(`Driver ${driver.userId} moved: ${old.hex} -> ${hex}`);
+    }
+
+    await this.redisService.h3AddDriver(
+      `shard:${shard}:hex:${hex}`,
+      driver.userId,
+      driver.rating,
+      {
+        lat: position.latitude,
+        lng: position.longitude,
+        hex,
+        shard,
+        vehicleType: driver.vehicleType,
+        pool,
+      }
+    );
+  }
+
+  /**
+   * Re-index a driver whose status, vehicle or seats changed, at their
+   * indexed position or else at `fallback`. A driver with no known position
+   * is indexed by their next location update.
+   */
+  async refresh(
+    driver: IndexedDriver,
+    fallback?: IndexPosition | null
+  ): Promise<void> {
+    if (poolOf(driver) === null) {
+      await this.remove(driver.userId);
+      return;
+    }
+
+    const position = (await this.locate(driver.userId)) ?? fallback;
+
+    if (!position) return;
+
+    await this.place(driver, position);
+    // Make sure the sweeper notices if no location update ever follows
+    await this.redisService.touchHeartbeatIfMissing(driver.userId);
+  }
+
+  async remove(driverId: string): Promise<void> {
+    await this.redisService.removeDriver(driverId);
+  }
+
+  /**
+   * Where the index currently has a driver, or null when it has none
+   */
+  async locate(driverId: string): Promise<IndexEntry | null> {
+    if (useH3()) {
+      const meta = await this.redisService.h3GetDriverMeta(driverId);
+
+      return meta
+        ? {
+            latitude: meta.lat,
+            longitude: meta.lng,
+            pool: meta.pool,
+            vehicleType: meta.vehicleType,
+            exact: true,
+          }
+        : null;
+    }
+
+    const found = await this.redisService.geoFindDriver(driverId);
+
+    if (!found) return null;
+
+    const pool = found.keys.includes(RedisService.geoKey(undefined, true));
+    const vehicleType = Object.values(VehicleType).find((type) =>
+      found.keys.includes(RedisService.geoKey(type, pool))
+    );
+
+    return {
+      latitude: found.lat,
+      longitude: found.lng,
+      pool,
+      vehicleType,
+      exact:
+        found.keys.length === 2 &&
+        found.keys.includes(RedisService.geoKey(undefined, pool)) &&
+        vehicleType !== undefined,
+    };
+  }
+
+  /**
+   * How many available (ONLINE) drivers are in each of the given res-9 H3
+   * cells, in the same order. In GEO mode the drivers around each cell are
+   * read from the all-drivers set and counted by the cell they fall in.
+   */
+  async countInCells(cells: string[]): Promise<number[]> {
+    if (useH3()) {
+      return this.redisService.h3CountDrivers(
+        cells.map((cell) => this.h3Service.getBucketKeyForCell(cell))
+      );
+    }
+
+    return Promise.all(
+      cells.map(async (cell) => {
+        const center = this.h3Service.cellToLatLng(cell);
+        const around = await this.redisService.geoPositionsWithin(
+          RedisService.geoKey(),
+          center.lng,
+          center.lat,
+          this.h3Service.cellRadiusKm(cell)
+        );
+
+        return around.filter(
+          (driver) =>
+            this.h3Service.latLngToCell(
+              driver.latitude,
+              driver.longitude,
+              H3Service.BUCKET_RESOLUTION
+            ) === cell
+        ).length;
+      })
+    );
+  }
+
+  /**
+   * Compare the index with Postgres and fix what differs:
+   *
+   * - drivers who should be indexed but are not are added at their last
+   *   position in Postgres, if any
+   * - drivers indexed under the wrong status, vehicle type or pool are moved
+   * - drivers who should not be indexed, or no longer exist, are removed
+   * - H3 bucket entries left behind by expired metadata are dropped
+   *
+   * Ghost drivers are not checked. With `dryRun` the drift is only counted.
+   */
+  async reconcile(dryRun = false): Promise<ReconcileIndexResponse> {
+    const result: ReconcileIndexResponse = {
+      checked: 0,
+      added: 0,
+      moved: 0,
+      removed: 0,
+      danglingEntries: 0,
+    };
+    let cursor: string | undefined;
+
+    for (;;) {
+      const page = await this.prisma.driverProfile.findMany({
+        take: RECONCILE_PAGE_SIZE,
+        ...(cursor && { skip: 1, cursor: { userId: cursor } }),
+        orderBy: { userId: 'asc' },
+      });
+
+      if (page.length === 0) break;
+
+      for (const profile of page) {
+        result.checked++;
+        await this.reconcileDriver(profile, dryRun, result);
+      }
+
+      cursor = page[page.length - 1].userId;
+    }
+
+    // Entries of drivers deleted without leaving the index
+    const indexed = [...(await this.redisService.indexedDriverIds())].filter(
+      (driverId) => !driverId.startsWith('ghost:')
+    );
+
+    for (let i = 0; i < indexed.length; i += RECONCILE_PAGE_SIZE) {
+      const chunk = indexed.slice(i, i + RECONCILE_PAGE_SIZE);
+      const existing = await this.prisma.driverProfile.findMany({
+        where: { userId: { in: chunk } },
+        select: { userId: true },
+      });
+      const known = new Set(existing.map((profile) => profile.userId));
+
+      for (const driverId of chunk) {
+        if (known.has(driverId)) continue;
+
+        result.removed++;
+        if (!dryRun) await this.remove(driverId);
+      }
+    }
+
+    result.danglingEntries = await this.redisService.h3RemoveDanglingEntries(
+      dryRun
+    );
+
+    this.logger.log(
+      `Index ${dryRun ? 'drift' : 'reconciled'}: ${result.checked} checked, ` +
+        `${result.added} added, ${result.moved} moved, ` +
+        `${result.removed} removed, ${result.danglingEntries} dangling`
+    );
+
+    return result;
+  }
+
+  private async reconcileDriver(
+    profile: DriverProfile,
+    dryRun: boolean,
+    result: ReconcileIndexResponse
+  ): Promise<void> {
+    const driver = toIndexedDriver(profile);
+    const pool = poolOf(driver);
+    const entry = await this.locate(profile.userId);
+
+    if (pool === null) {
+      if (entry) {
+        result.removed++;
+        if (!dryRun) await this.remove(profile.userId);
+      }
+      return;
+    }
+
+    if (!entry) {
+      if (profile.lastLat === null || profile.lastLng === null) return;
+
+      result.added++;
+      if (!dryRun) {
+        await this.refresh(driver, {
+          latitude: profile.lastLat,
+          longitude: profile.lastLng,
+        });
+      }
+      return;
+    }
+
+    if (
+      !entry.exact ||
+      entry.pool !== pool ||
+      entry.vehicleType !== driver.vehicleType
+    ) {
+      result.moved++;
+      if (!dryRun) await this.place(driver, entry);
+    }
+  }
+}
+
+/**
+ * Which index a driver belongs in: true for the pool index, false for the
+ * regular one, null for none
+ */
+function poolOf(driver: IndexedDriver): boolean | null {
+  switch (driver.status) {
+    case DriverStatus.ONLINE:
+      return false;
+    case DriverStatus.BUSY:
+      return driver.seatCapacity > 1 ? true : null;
+    default:
+      return null;
+  }
+}
+
+function useH3(): boolean {
+  return process.env.USE_H3 === 'true';
+}
@@ -1,11 +1,19 @@
 import { GRPC_SERVICE } from '@uit-go/shared-client';
 import { Controller } from '@nestjs/common';
 import { DriverService } from './driver.service';
+import { WalletService } from './wallet.service';
 import { GrpcMethod } from '@nestjs/microservices';
+import { SpatialIndexService } from '../common/spatial-index/spatial-index.service';
 import {
+  ApplyWalletTransactionRequest,
+  CellSupplyRequest,
   CreateDriverRequest,
+  EstimateArrivalRequest,
   GetDriverRequest,
+  GetDriversByIdsRequest,
   NearbyQuery,
+  RecordDriverRatingRequest,
+  ReconcileIndexRequest,
   UpdateLocationRequest,
   UpdateStatusRequest,
 } from '@uit-go/shared-types';
@@ -21,7 +29,11 @@ import {
 
 @Controller()
 export class DriverController {
-  constructor(private readonly driverService: DriverService) {}
+  constructor(
+    private readonly driverService: DriverService,
+    private readonly walletService: WalletService,
+    private readonly spatialIndex: SpatialIndexService
+  ) {}
 
   @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.CREATE)
   async createDriverProfile(data: CreateDriverRequest) {
@@ -71,11 +83,36 @@ export class DriverController {
     return this.driverService.searchNearbyDrivers(data);
   }
 
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.CELL_SUPPLY)
+  async getCellSupply(data: CellSupplyRequest) {
+    return this.driverService.getCellSupply(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.ETA)
+  async estimateArrival(data: EstimateArrivalRequest) {
+    return this.driverService.estimateArrival(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.RATING)
+  async recordRating(data: RecordDriverRatingRequest) {
+    return this.driverService.recordRating(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.WALLET)
+  async applyWalletTransaction(data: ApplyWalletTransactionRequest) {
+    return this.walletService.applyTransaction(data);
+  }
+
   @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.LIST)
   async getDrivers(data: { page?: number; limit?: number; status?: string }) {
     return this.driverService.findAll(data);
   }
 
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.BATCH)
+  async getDriversByIds(data: GetDriversByIdsRequest) {
+    return this.driverService.findByIds(data.userIds ?? []);
+  }
+
   @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.UPDATE)
   async updateDriverProfile(data: any) {
     return this.driverService.updateProfile(data);
@@ -85,4 +122,12 @@ export class DriverController {
   async deleteDriver(data: GetDriverRequest) {
     return this.driverService.deleteDriver(data.userId);
   }
+
+  @GrpcMethod(
+    GRPC_SERVICE.DRIVER.NAME,
+    GRPC_SERVICE.DRIVER.METHODS.RECONCILE_INDEX
+  )
+  async reconcileIndex(data: ReconcileIndexRequest) {
+    return this.spatialIndex.reconcile(data.dryRun ?? false);
+  }
 }
@@ -1,11 +1,13 @@
 import { Module } from '@nestjs/common';
 import { DriverController } from './driver.controller';
 import { DriverService } from './driver.service';
+import { WalletService } from './wallet.service';
+import { HeartbeatSweeperService } from './heartbeat-sweeper.service';
 
 @Module({
   imports: [],
   controllers: [DriverController],
-  providers: [DriverService],
+  providers: [DriverService, WalletService, HeartbeatSweeperService],
   exports: [],
 })
 export class DriverModule {}
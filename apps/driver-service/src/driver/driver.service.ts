@@ -1,25 +1,54 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
-import { Injectable } from '@nestjs/common';
+import { Inject, Injectable } from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
 import {
+  CellSupplyRequest,
+  CellSupplyResponse,
   CreateDriverRequest,
   DriverProfileResponse,
   DriverStatusEnum,
+  DriversByIdsResponse,
+  EstimateArrivalRequest,
+  EstimateArrivalResponse,
+  NearbyDriver,
   NearbyDriverResponse,
   NearbyQuery,
+  RecordDriverRatingRequest,
   UpdateLocationRequest,
   UpdateStatusRequest,
+  VehicleTypeEnum,
 } from '@uit-go/shared-types';
-import { DriverProfile, VehicleType } from '../../generated/prisma';
+import {
+  DriverProfile,
+  DriverStatus,
+  Prisma,
+  VehicleType,
+} from '../../generated/prisma';
 import { PrismaService } from '../common/prisma/prisma.service';
 import { RedisService } from '../common/redis/redis.service';
 import { H3Service } from '../common/h3/h3.service';
+import { haversineDistance } from '../common/geo/geo.util';
+import {
+  ghostDriver,
+  SpatialIndexService,
+  toIndexedDriver,
+} from '../common/spatial-index/spatial-index.service';
+import { LocationService } from '../common/location/location.service';
+import { TRAVEL_TIME_MODEL, TravelTimeModel } from '../eta/travel-time.model';
+
+// Largest GetDriversByIds request, enough for a page of trips
+const MAX_BATCH_SIZE = 500;
 
 @Injectable()
 export class DriverService {
   constructor(
     private prismaService: PrismaService,
     private redisService: RedisService,
-    private h3Service: H3Service
+    private h3Service: H3Service,
+    private spatialIndex: SpatialIndexService,
+    private locationService: LocationService,
+    @Inject(TRAVEL_TIME_MODEL) private travelTime: TravelTimeModel
   ) {}
 
   private mapToResponse(profile: DriverProfile): DriverProfileResponse {
@@ -33,6 +62,8 @@ export class DriverService {
       licenseNumber: profile.licenseNumber,
       status: profile.status,
       rating: Number(profile.rating),
+      ratingCount: profile.ratingCount,
+      seatCapacity: profile.seatCapacity,
       balance: Number(profile.balance),
       lastLat: profile.lastLat,
       lastLng: profile.lastLng,
@@ -135,6 +166,13 @@ export class DriverService {
   async updateStatus(data: UpdateStatusRequest) {
     // 🟢 GHOST BYPASS: Ghost drivers don't have database records
     if (data.driverId.startsWith('ghost:')) {
+      await this.spatialIndex.refresh(
+        ghostDriver(
+          data.driverId,
+          DriverStatusEnum[data.status] as DriverStatus
+        )
+      );
+
       return {
         userId: data.driverId,
         name: 'Ghost Driver',
@@ -151,14 +189,20 @@ export class DriverService {
       };
     }
 
+    const clearsPosition =
+      data.status === DriverStatusEnum.BUSY ||
+      data.status === DriverStatusEnum.OFFLINE;
+
+    // A queued position must not be written back over the cleared one
+    if (clearsPosition) {
+      await this.locationService.discardPosition(data.driverId);
+    }
+
     const profile = await this.prismaService.$transaction(async (db) => {
-      const updateData: any = {
-        status: DriverStatusEnum[data.status],
+      const updateData: Prisma.DriverProfileUpdateInput = {
+        status: DriverStatusEnum[data.status] as DriverStatus,
       };
-      if (
-        data.status === DriverStatusEnum.BUSY ||
-        data.status === DriverStatusEnum.OFFLINE
-      ) {
+      if (clearsPosition) {
         updateData.lastLat = null;
         updateData.lastLng = null;
       }
@@ -171,124 +215,39 @@ export class DriverService {
       });
     });
 
+    // Only ONLINE drivers, and BUSY ones with a free seat, stay searchable
+    await this.locationService.remember(toIndexedDriver(profile));
+    await this.spatialIndex.refresh(
+      toIndexedDriver(profile),
+      profile.lastLat !== null && profile.lastLng !== null
+        ? { latitude: profile.lastLat, longitude: profile.lastLng }
+        : null
+    );
+
     return this.mapToResponse(profile);
   }
 
+  /**
+   * Record a driver's position through the same pipeline as MQTT updates
+   */
   async updateLocation(data: UpdateLocationRequest) {
-    const useH3 = process.env.USE_H3 === 'true';
-
-    if (!useH3) {
-      // PRE-TUNING MODE: Keep existing Redis GEO logic
-      await this.redisService.geoadd(
-        'drivers',
-        data.longitude,
-        data.latitude,
-        data.driverId
-      );
-
-      if (data.driverId.startsWith('ghost:')) {
-        // Return fake profile without hitting database
-        return {
-          userId: data.driverId,
-          name: 'Ghost Driver',
-          email: `${data.driverId}@ghost.test`,
-          phone: '+1000000000',
-          vehicleType: VehicleType.MOTOBIKE,
-          licensePlate: 'GHOST-001',
-          licenseNumber: 'DL-GHOST',
-          status: DriverStatusEnum.ONLINE,
-          rating: 4.8,
-          balance: 0.0,
-          lastLat: data.latitude,
-          lastLng: data.longitude,
-        };
-      }
+    const accepted = await this.locationService.ingest(data);
 
-      // Only update database for real drivers
-      const profile = await this.prismaService.$transaction(async (db) => {
-        return db.driverProfile.update({
-          where: {
-            userId: data.driverId,
-          },
-          data: {
-            lastLat: data.latitude,
-            lastLng: data.longitude,
-          },
-        });
-      });
-
-      return this.mapToResponse(profile);
-    }
-
-    // ========================================================================
-    // POST-TUNING MODE: H3 Virtual Sharding
-    // ========================================================================
-
-    const startTime = Date.now();
-
-    // Get driver rating
-    let rating = 4.8; // Default for ghosts
     if (!data.driverId.startsWith('ghost:')) {
       const profile = await this.prismaService.driverProfile.findUnique({
         where: { userId: data.driverId },
-        select: { rating: true },
       });
-      rating = profile ? Number(profile.rating) : 4.5;
-    }
-
-    // Calculate new H3 bucket
-    const newHex = this.h3Service.latLngToCell(
-      data.latitude,
-      data.longitude,
-      H3Service.BUCKET_RESOLUTION
-    );
-    const newShardId = this.h3Service.getShardId(data.latitude, data.longitude);
-    const newBucketKey = this.h3Service.getSmartBucketKey(
-      data.latitude,
-      data.longitude
-    );
-
-    // Check if driver moved between hexes
-    const oldMeta = await this.redisService.h3GetDriverMeta(data.driverId);
 
-    if (oldMeta && oldMeta.hex !== newHex) {
-      const oldBucketKey = `shard:${oldMeta.shard}:hex:${oldMeta.hex}`;
-      await this.redisService.h3RemoveDriver(oldBucketKey, data.driverId);
-      console.log(
-        `[H3] Driver ${data.driverId} moved: ${oldMeta.hex} -> ${newHex}`
+      // An accepted position may not be written to Postgres yet; a rejected
+      // one leaves the driver where they were
+      return this.mapToResponse(
+        accepted
+          ? { ...profile, lastLat: data.latitude, lastLng: data.longitude }
+          : profile
       );
     }
 
-    // Add to new bucket
-    await this.redisService.h3AddDriver(newBucketKey, data.driverId, rating, {
-      lat: data.latitude,
-      lng: data.longitude,
-      hex: newHex,
-      shard: newShardId,
-    });
-
-    const duration = Date.now() - startTime;
-    console.log(
-      `[H3] Updated ${data.driverId} | Bucket: ${newBucketKey} | ` +
-        `Rating: ${rating} | Duration: ${duration}ms`
-    );
-
-    // Update database for real drivers
-    if (!data.driverId.startsWith('ghost:')) {
-      const profile = await this.prismaService.$transaction(async (db) => {
-        return db.driverProfile.update({
-          where: {
-            userId: data.driverId,
-          },
-          data: {
-            lastLat: data.latitude,
-            lastLng: data.longitude,
-          },
-        });
-      });
-      return this.mapToResponse(profile);
-    }
-
+    // Return fake profile for ghost drivers
     return {
       userId: data.driverId,
       name: 'Ghost Driver',
@@ -298,7 +257,7 @@ export class DriverService {
       licensePlate: 'GHOST-001',
       licenseNumber: 'DL-GHOST',
       status: DriverStatusEnum.ONLINE,
-      rating: rating,
+      rating: 4.8,
       balance: 0.0,
       lastLat: data.latitude,
       lastLng: data.longitude,
@@ -306,7 +265,55 @@ export class DriverService {
   }
 
   /**
-   * Search for nearby drivers
+   * Search for nearby drivers. A pooled search keeps only drivers already on
+   * a trip (BUSY) who can take more than one rider, with their capacity and
+   * last known position so trip-service can judge the detour.
+   */
+  async searchNearbyDrivers(data: NearbyQuery): Promise<NearbyDriverResponse> {
+    if (!data.pooled) {
+      return this.searchIndex(data);
+    }
+
+    // The pool index can trail a status or seat change, so look further and
+    // confirm against Postgres
+    const requestedCount = data.count || 10;
+    const overfetch = parseInt(process.env.POOL_SEARCH_OVERFETCH || '4');
+    const nearby = await this.searchIndex({
+      ...data,
+      count: requestedCount * overfetch,
+    });
+
+    const ids = (nearby.list ?? [])
+      .map((driver) => driver.driverId)
+      .filter((driverId) => !driverId.startsWith('ghost:'));
+
+    const profiles = await this.prismaService.driverProfile.findMany({
+      where: {
+        userId: { in: ids },
+        status: DriverStatus.BUSY,
+        seatCapacity: { gt: 1 },
+      },
+    });
+    const byId = new Map(profiles.map((profile) => [profile.userId, profile]));
+
+    return {
+      list: (nearby.list ?? [])
+        .filter((driver) => byId.has(driver.driverId))
+        .slice(0, requestedCount)
+        .map((driver) => {
+          const profile = byId.get(driver.driverId);
+          return {
+            ...driver,
+            seatCapacity: profile.seatCapacity,
+            latitude: profile.lastLat,
+            longitude: profile.lastLng,
+          };
+        }),
+    };
+  }
+
+  /**
+   * Search the location index for nearby drivers
    *
    * PRE-TUNING MODE (USE_H3=false):
    * - Fetches up to MAX_DRIVER_SEARCH_COUNT (default 5000) drivers from Redis
@@ -323,8 +330,10 @@ export class DriverService {
    * @param data NearbyQuery with location and search parameters
    * @returns NearbyDriverResponse with list of nearby drivers
    */
-  async searchNearbyDrivers(data: NearbyQuery): Promise<NearbyDriverResponse> {
+  private async searchIndex(data: NearbyQuery): Promise<NearbyDriverResponse> {
     const useH3 = process.env.USE_H3 === 'true';
+    // Typed searches read the per-vehicle-type indexes
+    const vehicleType = this.toVehicleType(data.vehicleType);
 
     if (!useH3) {
       // ========================================================================
@@ -357,7 +366,7 @@ export class DriverService {
       // 💣 THE BOTTLENECK: Force Redis to sort and return 5000 drivers
       // Even though we only need 10, this is common in legacy code
       const allResults = await this.redisService.geosearchLarge(
-        'drivers',
+        RedisService.geoKey(vehicleType, data.pooled),
         data.longitude,
         data.latitude,
         data.radiusKm,
@@ -381,10 +390,16 @@ export class DriverService {
           `Real: ${realDrivers.length} | ` +
           `Ghosts: ${ghostDrivers.length} | ` +
           `Duration: ${searchDuration}ms | ` +
-          `Requested: ${data.count}`
+          `Requested: ${data.count} | ` +
+          `Vehicle: ${vehicleType ?? 'any'}`
       );
 
-      let results: Array<{ member: string; distance: number }>;
+      let results: Array<{
+        member: string;
+        distance: number;
+        latitude: number;
+        longitude: number;
+      }>;
 
       if (preferRealDrivers) {
         // Prioritize real drivers, fill remaining slots with ghosts if needed
@@ -408,12 +423,15 @@ export class DriverService {
         );
       }
 
-      return {
-        list: results.map((r) => ({
+      return this.withEta(
+        data,
+        results.map((r) => ({
           driverId: r.member,
-          distance: r.distance.toString(),
-        })),
-      };
+          distance: r.distance,
+          latitude: r.latitude,
+          longitude: r.longitude,
+        }))
+      );
     }
 
     // ========================================================================
@@ -426,7 +444,8 @@ export class DriverService {
 
     console.log(
       `[H3 SEARCH] Start | Origin: (${data.latitude}, ${data.longitude}) | ` +
-        `Radius: ${data.radiusKm}km | Max K: ${maxKRing} | Requested: ${requestedCount}`
+        `Radius: ${data.radiusKm}km | Max K: ${maxKRing} | Requested: ${requestedCount} | ` +
+        `Vehicle: ${vehicleType ?? 'any'}`
     );
 
     // Get origin hex at resolution 9
@@ -442,6 +461,7 @@ export class DriverService {
       lat: number;
       lng: number;
       distance: number;
+      vehicleType?: string;
     }> = [];
 
     const queriedBuckets = new Set<string>();
@@ -461,7 +481,10 @@ export class DriverService {
         // CRITICAL: Calculate shard per hex, not per origin
         const hexCenter = this.h3Service.cellToLatLng(hex);
         const shardId = this.h3Service.getShardId(hexCenter.lat, hexCenter.lng);
-        const key = `shard:${shardId}:hex:${hex}`;
+        const key = H3Service.forVehicleType(
+          H3Service.forPool(`shard:${shardId}:hex:${hex}`, data.pooled),
+          vehicleType
+        );
         bucketKeys.push(key);
       }
 
@@ -514,7 +537,7 @@ export class DriverService {
 
       // Calculate distances and filter by radius
       for (const [driverId, metadata] of metadataMap) {
-        const distance = this.haversineDistance(
+        const distance = haversineDistance(
           data.latitude,
           data.longitude,
           metadata.lat,
@@ -528,6 +551,7 @@ export class DriverService {
             lat: metadata.lat,
             lng: metadata.lng,
             distance,
+            vehicleType: metadata.vehicleType,
           });
         }
       }
@@ -568,11 +592,224 @@ export class DriverService {
         `Duration: ${searchDuration}ms`
     );
 
-    return {
-      list: results.map((r) => ({
+    return this.withEta(
+      data,
+      results.map((r) => ({
         driverId: r.driverId,
-        distance: r.distance.toString(),
-      })),
+        distance: r.distance,
+        latitude: r.lat,
+        longitude: r.lng,
+        vehicleType: r.vehicleType as VehicleType | undefined,
+      }))
+    );
+  }
+
+  /**
+   * Attach each driver's travel time to the search point. Drivers indexed
+   * without a vehicle type are timed as the searched type, if any.
+   */
+  private async withEta(
+    query: NearbyQuery,
+    drivers: Array<NearbyDriver & { vehicleType?: VehicleType }>
+  ): Promise<NearbyDriverResponse> {
+    const departAt = new Date();
+    const searchedType = this.toVehicleType(query.vehicleType);
+
+    const list = await Promise.all(
+      drivers.map(async ({ vehicleType, ...driver }) => {
+        const etaSeconds = await this.travelTime.estimate({
+          from: { latitude: driver.latitude, longitude: driver.longitude },
+          to: { latitude: query.latitude, longitude: query.longitude },
+          vehicleType: vehicleType ?? searchedType,
+          departAt,
+        });
+
+        return { ...driver, etaSeconds: Math.round(etaSeconds) };
+      })
+    );
+
+    return { list };
+  }
+
+  /**
+   * Travel time of a driver from their last accepted position to a point,
+   * e.g. the pickup of the trip they accepted. Without a known position the
+   * ETA is left unset.
+   */
+  async estimateArrival(
+    data: EstimateArrivalRequest
+  ): Promise<EstimateArrivalResponse> {
+    if (data.driverId.startsWith('ghost:')) {
+      return { driverId: data.driverId };
+    }
+
+    const profile = await this.prismaService.driverProfile.findUnique({
+      where: { userId: data.driverId },
+    });
+
+    if (!profile) {
+      throw new RpcException({
+        code: status.NOT_FOUND,
+        message: `Driver ${data.driverId} not found`,
+      });
+    }
+
+    // Postgres gets positions in batches; the last accepted one is fresher
+    const fix = await this.redisService.getLastFix(data.driverId);
+    const latitude = fix?.lat ?? profile.lastLat;
+    const longitude = fix?.lng ?? profile.lastLng;
+
+    if (latitude === null || longitude === null) {
+      return { driverId: data.driverId };
+    }
+
+    const etaSeconds = await this.travelTime.estimate({
+      from: { latitude, longitude },
+      to: { latitude: data.latitude, longitude: data.longitude },
+      vehicleType: profile.vehicleType,
+    });
+
+    return {
+      driverId: data.driverId,
+      etaSeconds: Math.round(etaSeconds),
+      latitude,
+      longitude,
+    };
+  }
+
+  /**
+   * Count available drivers in each of the given res-9 H3 cells, in either
+   * index mode. Used by trip-service to weigh demand against supply for
+   * surge pricing.
+   */
+  async getCellSupply(data: CellSupplyRequest): Promise<CellSupplyResponse> {
+    const cells = data.cells ?? [];
+    const counts = await this.spatialIndex.countInCells(cells);
+
+    return {
+      list: cells.map((cell, i) => ({ cell, drivers: counts[i] })),
+    };
+  }
+
+  /**
+   * Record a rider's rating for a trip and recompute the driver's average.
+   * The rating is keyed by trip, so a retried call does not count twice.
+   * The new average is pushed into the H3 index so matching picks it up
+   * immediately.
+   */
+  async recordRating(data: RecordDriverRatingRequest) {
+    if (!Number.isInteger(data.score) || data.score < 1 || data.score > 5) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: 'Rating score must be an integer from 1 to 5',
+      });
+    }
+
+    // Ghost drivers keep their synthetic rating
+    if (data.driverId.startsWith('ghost:')) {
+      return this.findOne(data.driverId);
+    }
+
+    let profile: DriverProfile;
+
+    try {
+      profile = await this.prismaService.$transaction(async (db) => {
+        await db.driverRating.createMany({
+          data: [
+            {
+              tripId: data.tripId,
+              driverId: data.driverId,
+              score: data.score,
+            },
+          ],
+          skipDuplicates: true,
+        });
+
+        const aggregate = await db.driverRating.aggregate({
+          where: { driverId: data.driverId },
+          _avg: { score: true },
+          _count: { _all: true },
+        });
+
+        return db.driverProfile.update({
+          where: { userId: data.driverId },
+          data: {
+            rating: Math.round((aggregate._avg.score ?? 0) * 100) / 100,
+            ratingCount: aggregate._count._all,
+          },
+        });
+      });
+    } catch (error) {
+      if (
+        error instanceof Prisma.PrismaClientKnownRequestError &&
+        error.code === 'P2025'
+      ) {
+        throw new RpcException({
+          code: status.NOT_FOUND,
+          message: `Driver ${data.driverId} not found`,
+        });
+      }
+
+      throw error;
+    }
+
+    await this.locationService.remember(toIndexedDriver(profile));
+    await this.redisService.h3UpdateRating(
+      data.driverId,
+      Number(profile.rating)
+    );
+
+    return this.mapToResponse(profile);
+  }
+
+  /**
+   * Profiles of several drivers in one query. Ghost drivers are answered
+   * without touching the database; unknown ids are left out.
+   */
+  async findByIds(userIds: string[]): Promise<DriversByIdsResponse> {
+    const ids = [...new Set(userIds)];
+
+    if (ids.length > MAX_BATCH_SIZE) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `At most ${MAX_BATCH_SIZE} drivers can be fetched at once`,
+      });
+    }
+
+    const realIds = ids.filter((id) => !id.startsWith('ghost:'));
+    const profiles =
+      realIds.length > 0
+        ? await this.prismaService.driverProfile.findMany({
+            where: { userId: { in: realIds } },
+          })
+        : [];
+    const byId = new Map(
+      profiles.map((profile) => [profile.userId, this.mapToResponse(profile)])
+    );
+
+    return {
+      drivers: ids
+        .map((id) =>
+          id.startsWith('ghost:') ? this.ghostProfile(id) : byId.get(id)
+        )
+        .filter((driver): driver is DriverProfileResponse => !!driver),
+    };
+  }
+
+  private ghostProfile(userId: string): DriverProfileResponse {
+    return {
+      userId,
+      name: 'Ghost Driver',
+      email: `${userId}@ghost.test`,
+      phone: '+1000000000',
+      vehicleType: VehicleType.MOTOBIKE,
+      licensePlate: 'GHOST-001',
+      licenseNumber: 'DL-GHOST',
+      status: DriverStatus.ONLINE,
+      rating: 4.8,
+      balance: 0.0,
+      lastLat: null,
+      lastLng: null,
     };
   }
 
@@ -623,9 +860,16 @@ export class DriverService {
     vehicleType?: string;
     licensePlate?: string;
     licenseNumber?: string;
-    balance?: number;
+    seatCapacity?: number;
   }): Promise<DriverProfileResponse> {
     const updateData: any = {};
+    const previous =
+      request.vehicleType !== undefined || request.seatCapacity !== undefined
+        ? await this.prismaService.driverProfile.findUnique({
+            where: { userId: request.userId },
+            select: { vehicleType: true, seatCapacity: true },
+          })
+        : null;
 
     if (request.name !== undefined) updateData.name = request.name;
     if (request.email !== undefined) updateData.email = request.email;
@@ -644,7 +888,18 @@ export class DriverService {
       updateData.licensePlate = request.licensePlate;
     if (request.licenseNumber !== undefined)
       updateData.licenseNumber = request.licenseNumber;
-    if (request.balance !== undefined) updateData.balance = request.balance;
+    if (request.seatCapacity !== undefined) {
+      if (
+        !Number.isInteger(request.seatCapacity) ||
+        request.seatCapacity < 1
+      ) {
+        throw new RpcException({
+          code: status.INVALID_ARGUMENT,
+          message: 'seatCapacity must be a positive integer',
+        });
+      }
+      updateData.seatCapacity = request.seatCapacity;
+    }
 
     const profile = await this.prismaService.driverProfile.update({
       where: {
@@ -653,6 +908,18 @@ export class DriverService {
       data: updateData,
     });
 
+    await this.locationService.remember(toIndexedDriver(profile));
+
+    // Match the driver under their new vehicle type, or move them in or out
+    // of the pool index
+    if (
+      previous &&
+      (previous.vehicleType !== profile.vehicleType ||
+        previous.seatCapacity !== profile.seatCapacity)
+    ) {
+      await this.spatialIndex.refresh(toIndexedDriver(profile));
+    }
+
     return this.mapToResponse(profile);
   }
 
@@ -670,11 +937,10 @@ export class DriverService {
         });
       });
 
-      // Remove from Redis geospatial index
+      // Remove from every spatial index
       try {
-        await this.redisService.geoadd('drivers', 0, 0, userId);
-        // Note: Redis GEOADD doesn't have a direct delete, so we'd need ZREM
-        // For now, just leaving this as a note
+        await this.spatialIndex.remove(userId);
+        await this.locationService.forget(userId);
       } catch (error) {
         console.log('Redis cleanup error:', error);
       }
@@ -691,6 +957,26 @@ export class DriverService {
     }
   }
 
+  /**
+   * Vehicle type name for a NearbyQuery enum value; undefined means any type
+   */
+  private toVehicleType(value?: number | null): VehicleType | undefined {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+
+    const vehicleType = VehicleTypeEnum[value] as VehicleType | undefined;
+
+    if (!vehicleType) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `Unknown vehicle type ${value}`,
+      });
+    }
+
+    return vehicleType;
+  }
+
   /**
    * Calculate max K-ring based on search radius
    * Fixed at K=5 for demo focus (91 hexes, ~1.5km radius)
@@ -701,26 +987,4 @@ export class DriverService {
   private calculateMaxKRing(radiusKm: number): number {
     return 5; // Cap at K=5 per user preference
   }
-
-  /**
-   * Haversine distance calculation (returns km)
-   */
-  private haversineDistance(
-    lat1: number,
-    lon1: number,
-    lat2: number,
-    lon2: number
-  ): number {
-    const R = 6371; // Earth radius in km
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLon = ((lon2 - lon1) * Math.PI) / 180;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos((lat1 * Math.PI) / 180) *
-        Math.cos((lat2 * Math.PI) / 180) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-  }
 }
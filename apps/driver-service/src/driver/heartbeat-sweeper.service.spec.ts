@@ -0,0 +1,147 @@
+import { Test } from '@nestjs/testing';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { RedisService } from '../common/redis/redis.service';
+import { MqttService } from '../common/mqtt/mqtt.service';
+import { SpatialIndexService } from '../common/spatial-index/spatial-index.service';
+import { LocationService } from '../common/location/location.service';
+import {
+  DRIVER_OFFLINE_TOPIC,
+  HeartbeatSweeperService,
+} from './heartbeat-sweeper.service';
+
+const LAST_SEEN = Date.parse('2026-01-01T08:00:00Z');
+
+describe('HeartbeatSweeperService', () => {
+  let service: HeartbeatSweeperService;
+  let redis: Record<string, jest.Mock>;
+  let updateMany: jest.Mock;
+  let remove: jest.Mock;
+  let publish: jest.Mock;
+  let location: Record<string, jest.Mock>;
+
+  beforeEach(async () => {
+    redis = {
+      staleDrivers: jest.fn().mockResolvedValue([]),
+      claimStaleDriver: jest.fn().mockResolvedValue(true),
+      touchHeartbeatIfMissing: jest.fn(),
+      countStaleDriver: jest.fn(),
+    };
+    updateMany = jest.fn().mockResolvedValue({ count: 1 });
+    remove = jest.fn();
+    publish = jest.fn().mockResolvedValue(undefined);
+    location = { discardPosition: jest.fn(), forget: jest.fn() };
+
+    const app = await Test.createTestingModule({
+      providers: [
+        HeartbeatSweeperService,
+        {
+          provide: PrismaService,
+          useValue: { driverProfile: { updateMany } },
+        },
+        { provide: RedisService, useValue: redis },
+        { provide: SpatialIndexService, useValue: { remove } },
+        { provide: MqttService, useValue: { publish } },
+        { provide: LocationService, useValue: location },
+      ],
+    }).compile();
+
+    service = app.get(HeartbeatSweeperService);
+  });
+
+  function silent(...driverIds: string[]) {
+    redis.staleDrivers.mockResolvedValue(
+      driverIds.map((driverId) => ({ driverId, lastSeen: LAST_SEEN }))
+    );
+  }
+
+  it('takes a silent ONLINE driver out of search and sets them OFFLINE', async () => {
+    silent('driver-1');
+
+    expect(await service.sweep()).toBe(1);
+
+    expect(remove).toHaveBeenCalledWith('driver-1');
+    expect(updateMany).toHaveBeenCalledWith({
+      where: { userId: 'driver-1', status: 'ONLINE' },
+      data: { status: 'OFFLINE', lastLat: null, lastLng: null },
+    });
+    // The queued position must not outlive the cleared one
+    expect(location.discardPosition.mock.invocationCallOrder[0]).toBeLessThan(
+      updateMany.mock.invocationCallOrder[0]
+    );
+    expect(location.forget).toHaveBeenCalledWith('driver-1');
+    expect(redis.countStaleDriver).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith(
+      DRIVER_OFFLINE_TOPIC,
+      expect.objectContaining({
+        type: 'HEARTBEAT_TIMEOUT',
+        driverId: 'driver-1',
+        lastSeenAt: new Date(LAST_SEEN).toISOString(),
+        statusChanged: true,
+      })
+    );
+  });
+
+  it('keeps the status of a silent BUSY driver', async () => {
+    silent('driver-1');
+    updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await service.sweep()).toBe(1);
+
+    expect(remove).toHaveBeenCalledWith('driver-1');
+    expect(location.forget).not.toHaveBeenCalled();
+    expect(publish).toHaveBeenCalledWith(
+      DRIVER_OFFLINE_TOPIC,
+      expect.objectContaining({ statusChanged: false })
+    );
+  });
+
+  it('skips drivers who checked in since the list was read', async () => {
+    silent('driver-1', 'driver-2');
+    redis.claimStaleDriver.mockImplementation(
+      async (driverId) => driverId === 'driver-2'
+    );
+
+    expect(await service.sweep()).toBe(1);
+
+    expect(remove).toHaveBeenCalledTimes(1);
+    expect(remove).toHaveBeenCalledWith('driver-2');
+  });
+
+  it('only removes ghost drivers from search', async () => {
+    silent('ghost:1');
+
+    expect(await service.sweep()).toBe(1);
+
+    expect(remove).toHaveBeenCalledWith('ghost:1');
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('puts the heartbeat back when the driver cannot be removed', async () => {
+    silent('driver-1');
+    remove.mockRejectedValue(new Error('Redis down'));
+
+    await expect(service.sweep()).rejects.toThrow('Redis down');
+
+    expect(redis.touchHeartbeatIfMissing).toHaveBeenCalledWith(
+      'driver-1',
+      LAST_SEEN
+    );
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not overlap a sweep still running', async () => {
+    let release: () => void = () => undefined;
+    redis.staleDrivers.mockReturnValue(
+      new Promise((resolve) => {
+        release = () => resolve([]);
+      })
+    );
+
+    const first = service.sweep();
+    expect(await service.sweep()).toBe(0);
+
+    release();
+    expect(await first).toBe(0);
+    expect(redis.staleDrivers).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,146 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import { DriverStatus } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { RedisService } from '../common/redis/redis.service';
+import { MqttService } from '../common/mqtt/mqtt.service';
+import { SpatialIndexService } from '../common/spatial-index/spatial-index.service';
+import { LocationService } from '../common/location/location.service';
+
+export const DRIVER_OFFLINE_TOPIC = 'driver/events/offline';
+
+/**
+ * Automatic OFFLINE for drivers who stopped reporting
+ *
+ * Every location update, over MQTT or UpdateLocation, counts as a heartbeat.
+ * Every DRIVER_SWEEP_INTERVAL_MS (default 15000) drivers not heard from for
+ * DRIVER_HEARTBEAT_TIMEOUT_MS (default 60000) are removed from the GEO sets
+ * and H3 buckets, and ONLINE ones are set OFFLINE. BUSY drivers keep their
+ * status, since their trip still holds them. At most DRIVER_SWEEP_BATCH_SIZE
+ * (default 500) drivers are swept per run.
+ *
+ * Each swept driver is published on `driver/events/offline` and added to the
+ * `drivers:stale:total` counter in Redis, which Prometheus scrapes.
+ *
+ * Drivers written to Redis without ever sending an update, like the seeded
+ * load-test ghosts, have no heartbeat and are left alone.
+ */
+@Injectable()
+export class HeartbeatSweeperService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(HeartbeatSweeperService.name);
+  private timer: NodeJS.Timeout;
+  private sweeping = false;
+
+  private readonly timeoutMs = parseInt(
+    process.env.DRIVER_HEARTBEAT_TIMEOUT_MS || '60000'
+  );
+  private readonly intervalMs = parseInt(
+    process.env.DRIVER_SWEEP_INTERVAL_MS || '15000'
+  );
+  private readonly batchSize = parseInt(
+    process.env.DRIVER_SWEEP_BATCH_SIZE || '500'
+  );
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly redisService: RedisService,
+    private readonly spatialIndex: SpatialIndexService,
+    private readonly mqttService: MqttService,
+    private readonly locationService: LocationService
+  ) {}
+
+  onModuleInit() {
+    this.timer = setInterval(
+      () =>
+        this.sweep().catch((error) =>
+          this.logger.error(`Heartbeat sweep failed: ${error.message}`)
+        ),
+      this.intervalMs
+    );
+  }
+
+  onModuleDestroy() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Take stale drivers out of search. Returns how many were swept.
+   */
+  async sweep(): Promise<number> {
+    // A slow sweep must not overlap the next one
+    if (this.sweeping) return 0;
+    this.sweeping = true;
+
+    try {
+      const before = Date.now() - this.timeoutMs;
+      const stale = await this.redisService.staleDrivers(
+        before,
+        this.batchSize
+      );
+      let swept = 0;
+
+      for (const { driverId, lastSeen } of stale) {
+        // Checked in since the list was read
+        if (!(await this.redisService.claimStaleDriver(driverId, before))) {
+          continue;
+        }
+
+        try {
+          await this.spatialIndex.remove(driverId);
+        } catch (error) {
+          await this.redisService.touchHeartbeatIfMissing(driverId, lastSeen);
+          throw error;
+        }
+
+        const wentOffline = await this.markOffline(driverId);
+        const lastSeenAt = new Date(lastSeen).toISOString();
+        swept++;
+
+        this.logger.warn(
+          `Driver ${driverId} silent since ${lastSeenAt}, removed from search` +
+            (wentOffline ? ' and set OFFLINE' : '')
+        );
+
+        await this.redisService.countStaleDriver();
+        this.mqttService
+          .publish(DRIVER_OFFLINE_TOPIC, {
+            type: 'HEARTBEAT_TIMEOUT',
+            driverId,
+            lastSeenAt,
+            statusChanged: wentOffline,
+            timestamp: Date.now(),
+          })
+          .catch(() => undefined);
+      }
+
+      return swept;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  private async markOffline(driverId: string): Promise<boolean> {
+    // Ghost drivers have no database record
+    if (driverId.startsWith('ghost:')) {
+      return false;
+    }
+
+    await this.locationService.discardPosition(driverId);
+
+    const { count } = await this.prisma.driverProfile.updateMany({
+      where: { userId: driverId, status: DriverStatus.ONLINE },
+      data: { status: DriverStatus.OFFLINE, lastLat: null, lastLng: null },
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await this.locationService.forget(driverId);
+    return true;
+  }
+}
@@ -0,0 +1,145 @@
+import { Test } from '@nestjs/testing';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Prisma } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { WalletService } from './wallet.service';
+
+function storedTransaction(amount: number, userId = 'driver-1') {
+  return {
+    id: 'tx-1',
+    userId,
+    amount: new Prisma.Decimal(amount),
+    balanceAfter: new Prisma.Decimal(140000),
+    reference: 'trip:trip-1:settlement:driver',
+    createdAt: new Date('2026-01-01T08:00:00Z'),
+  };
+}
+
+function prismaError(code: string) {
+  return Object.assign(new Error(code), { code });
+}
+
+describe('WalletService', () => {
+  let service: WalletService;
+  let findUnique: jest.Mock;
+  let update: jest.Mock;
+  let create: jest.Mock;
+
+  const payout = {
+    userId: 'driver-1',
+    amount: 40000,
+    reference: 'trip:trip-1:settlement:driver',
+    description: 'Trip trip-1 payout',
+  };
+
+  beforeEach(async () => {
+    findUnique = jest.fn().mockResolvedValue(null);
+    update = jest.fn().mockResolvedValue({
+      balance: new Prisma.Decimal(140000),
+    });
+    create = jest.fn().mockResolvedValue(storedTransaction(40000));
+
+    const db = {
+      driverProfile: { update },
+      walletTransaction: { create },
+    };
+
+    const app = await Test.createTestingModule({
+      providers: [
+        WalletService,
+        {
+          provide: PrismaService,
+          useValue: {
+            walletTransaction: { findUnique },
+            $transaction: jest.fn((work) => work(db)),
+          },
+        },
+      ],
+    }).compile();
+
+    service = app.get(WalletService);
+  });
+
+  async function rejection(promise: Promise<unknown>) {
+    const error = await promise.catch((error) => error);
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+
+  it('moves the balance and records the transaction', async () => {
+    const result = await service.applyTransaction(payout);
+
+    expect(result).toMatchObject({
+      amount: 40000,
+      balanceAfter: 140000,
+      applied: true,
+    });
+    expect(update).toHaveBeenCalledWith({
+      where: { userId: 'driver-1' },
+      data: { balance: { increment: 40000 } },
+    });
+  });
+
+  it('returns the original transaction for a repeated reference', async () => {
+    findUnique.mockResolvedValue(storedTransaction(40000));
+
+    const result = await service.applyTransaction(payout);
+
+    expect(result).toMatchObject({ amount: 40000, applied: false });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reference reused for another amount or wallet', async () => {
+    findUnique.mockResolvedValue(storedTransaction(35000));
+    expect((await rejection(service.applyTransaction(payout))).code).toBe(
+      status.ALREADY_EXISTS
+    );
+
+    findUnique.mockResolvedValue(storedTransaction(40000, 'driver-2'));
+    expect((await rejection(service.applyTransaction(payout))).code).toBe(
+      status.ALREADY_EXISTS
+    );
+  });
+
+  it('answers a concurrent retry that lost the race with the winner', async () => {
+    findUnique
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(storedTransaction(40000));
+    create.mockRejectedValue(prismaError('P2002'));
+
+    const result = await service.applyTransaction(payout);
+
+    expect(result).toMatchObject({ id: 'tx-1', applied: false });
+  });
+
+  it('reports a missing driver as NOT_FOUND', async () => {
+    update.mockRejectedValue(prismaError('P2025'));
+
+    const error = await rejection(service.applyTransaction(payout));
+
+    expect(error.code).toBe(status.NOT_FOUND);
+    expect(error.message).toBe('Driver driver-1 not found');
+  });
+
+  it('acknowledges ghost drivers without touching the database', async () => {
+    const result = await service.applyTransaction({
+      ...payout,
+      userId: 'ghost:7',
+    });
+
+    expect(result).toMatchObject({ userId: 'ghost:7', applied: false });
+    expect(findUnique).not.toHaveBeenCalled();
+  });
+
+  it('needs a reference', async () => {
+    const error = await rejection(
+      service.applyTransaction({ ...payout, reference: '' })
+    );
+
+    expect(error.code).toBe(status.INVALID_ARGUMENT);
+  });
+});
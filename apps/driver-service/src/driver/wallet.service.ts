@@ -0,0 +1,48 @@
+import { Injectable } from '@nestjs/common';
+import {
+  ApplyWalletTransactionRequest,
+  applyWalletTransaction,
+  WalletStore,
+  WalletTransactionResponse,
+} from '@uit-go/shared-types';
+import { PrismaService } from '../common/prisma/prisma.service';
+
+/**
+ * Driver wallet. `DriverProfile.balance` is only changed here, together with
+ * an append-only wallet_transaction row; see applyWalletTransaction for the
+ * replay rules.
+ */
+@Injectable()
+export class WalletService {
+  private readonly store: WalletStore = {
+    findByReference: (reference) =>
+      this.prismaService.walletTransaction.findUnique({
+        where: { reference },
+      }),
+    apply: (request) =>
+      this.prismaService.$transaction(async (db) => {
+        const profile = await db.driverProfile.update({
+          where: { userId: request.userId },
+          data: { balance: { increment: request.amount } },
+        });
+
+        return db.walletTransaction.create({
+          data: {
+            userId: request.userId,
+            amount: request.amount,
+            balanceAfter: profile.balance,
+            reference: request.reference,
+            description: request.description,
+          },
+        });
+      }),
+  };
+
+  constructor(private prismaService: PrismaService) {}
+
+  async applyTransaction(
+    request: ApplyWalletTransactionRequest
+  ): Promise<WalletTransactionResponse> {
+    return applyWalletTransaction(request, this.store, 'Driver');
+  }
+}
@@ -0,0 +1,28 @@
+import { Global, Module } from '@nestjs/common';
+import { SpeedProfileModel } from './speed-profile.model';
+import { TRAVEL_TIME_MODEL, TravelTimeModel } from './travel-time.model';
+
+/**
+ * Provides the travel-time model named by ETA_MODEL (default
+ * `speed-profile`). Add new models here.
+ */
+@Global()
+@Module({
+  providers: [
+    {
+      provide: TRAVEL_TIME_MODEL,
+      useFactory: (): TravelTimeModel => {
+        const model = process.env.ETA_MODEL || 'speed-profile';
+
+        switch (model) {
+          case 'speed-profile':
+            return new SpeedProfileModel();
+          default:
+            throw new Error(`Unknown ETA_MODEL "${model}"`);
+        }
+      },
+    },
+  ],
+  exports: [TRAVEL_TIME_MODEL],
+})
+export class EtaModule {}
@@ -0,0 +1,104 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { VehicleType } from '../../generated/prisma';
+import { haversineDistance } from '../common/geo/geo.util';
+import { TravelTimeModel, TravelTimeQuery } from './travel-time.model';
+
+interface SpeedBand {
+  // Local hours [fromHour, toHour); a band may wrap past midnight
+  fromHour: number;
+  toHour: number;
+  speedKmh: number;
+}
+
+export interface SpeedProfile {
+  speedKmh: number;
+  bands?: SpeedBand[];
+}
+
+const DEFAULT_PROFILES: Record<VehicleType, SpeedProfile> = {
+  MOTOBIKE: {
+    speedKmh: 25,
+    bands: [
+      { fromHour: 7, toHour: 9, speedKmh: 15 },
+      { fromHour: 16, toHour: 19, speedKmh: 15 },
+      { fromHour: 22, toHour: 6, speedKmh: 35 },
+    ],
+  },
+  BIKE: {
+    speedKmh: 12,
+    bands: [
+      { fromHour: 7, toHour: 9, speedKmh: 10 },
+      { fromHour: 16, toHour: 19, speedKmh: 10 },
+    ],
+  },
+};
+
+/**
+ * Travel time from an average speed per vehicle type and time of day
+ *
+ * Distance is the straight line scaled by ROUTE_DISTANCE_FACTOR (default 1.3)
+ * to approximate the road network. Speeds come from the profile of the
+ * vehicle type (MOTOBIKE when unknown) for the local hour of departure in
+ * ETA_TIME_ZONE (default Asia/Ho_Chi_Minh). ETA_SPEED_PROFILES replaces the
+ * built-in profiles per vehicle type, as JSON:
+ *
+ *   {"BIKE": {"speedKmh": 12, "bands": [{"fromHour": 7, "toHour": 9, "speedKmh": 10}]}}
+ */
+@Injectable()
+export class SpeedProfileModel implements TravelTimeModel {
+  private readonly logger = new Logger(SpeedProfileModel.name);
+  private readonly profiles: Record<VehicleType, SpeedProfile>;
+  private readonly hourFormat: Intl.DateTimeFormat;
+
+  private readonly routeFactor = parseFloat(
+    process.env.ROUTE_DISTANCE_FACTOR || '1.3'
+  );
+
+  constructor() {
+    this.profiles = {
+      ...DEFAULT_PROFILES,
+      ...JSON.parse(process.env.ETA_SPEED_PROFILES || '{}'),
+    };
+    this.hourFormat = new Intl.DateTimeFormat('en-GB', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      timeZone: process.env.ETA_TIME_ZONE || 'Asia/Ho_Chi_Minh',
+    });
+
+    this.logger.log(
+      `Speed profiles: ${Object.entries(this.profiles)
+        .map(([type, profile]) => `${type} ${profile.speedKmh}km/h`)
+        .join(', ')}`
+    );
+  }
+
+  async estimate(query: TravelTimeQuery): Promise<number> {
+    const distanceKm =
+      haversineDistance(
+        query.from.latitude,
+        query.from.longitude,
+        query.to.latitude,
+        query.to.longitude
+      ) * this.routeFactor;
+    const speedKmh = this.speedAt(
+      query.vehicleType ?? VehicleType.MOTOBIKE,
+      query.departAt ?? new Date()
+    );
+
+    return (distanceKm / speedKmh) * 3600;
+  }
+
+  private speedAt(vehicleType: VehicleType, at: Date): number {
+    const profile =
+      this.profiles[vehicleType] ?? this.profiles[VehicleType.MOTOBIKE];
+    const hour = parseInt(this.hourFormat.format(at));
+
+    const band = (profile.bands ?? []).find(({ fromHour, toHour }) =>
+      fromHour <= toHour
+        ? hour >= fromHour && hour < toHour
+        : hour >= fromHour || hour < toHour
+    );
+
+    return band?.speedKmh ?? profile.speedKmh;
+  }
+}
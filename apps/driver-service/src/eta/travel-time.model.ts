@@ -0,0 +1,25 @@
+import { VehicleType } from '../../generated/prisma';
+
+export const TRAVEL_TIME_MODEL = 'TRAVEL_TIME_MODEL';
+
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export interface TravelTimeQuery {
+  from: GeoPoint;
+  to: GeoPoint;
+  // Unknown for drivers indexed without their vehicle
+  vehicleType?: VehicleType;
+  departAt?: Date;
+}
+
+/**
+ * Estimates how long a driver needs to get from one point to another.
+ * Implementations are selected with ETA_MODEL, see EtaModule.
+ */
+export interface TravelTimeModel {
+  /** Travel time in seconds */
+  estimate(query: TravelTimeQuery): Promise<number>;
+}
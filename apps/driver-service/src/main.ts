@@ -16,6 +16,8 @@ async function bootstrap() {
       ...driverGrpcOptions,
     }
   );
+  // Shutdown hooks write buffered driver positions before exit
+  app.enableShutdownHooks();
   await app.listen();
 
   Logger.log(`🚀 Driver Microservice is running successfully!`);
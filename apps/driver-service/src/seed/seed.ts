@@ -17,6 +17,7 @@ const redisSeed = async () => {
   const driverIds = await prismaService.driverProfile.findMany({
     select: {
       userId: true,
+      vehicleType: true,
       lastLat: true,
       lastLng: true,
     },
@@ -36,6 +37,12 @@ const redisSeed = async () => {
     const member = `${driver.userId}`;
 
     await geoadd(key, driver.lastLng ?? 0, driver.lastLat ?? 0, member);
+    await geoadd(
+      `${key}:${driver.vehicleType}`,
+      driver.lastLng ?? 0,
+      driver.lastLat ?? 0,
+      member
+    );
 
     console.log(`✅ Seeded: ${member} (${driver.lastLat}, ${driver.lastLng})`);
   }
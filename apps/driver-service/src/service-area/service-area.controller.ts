@@ -0,0 +1,41 @@
+import { Controller } from '@nestjs/common';
+import { GrpcMethod } from '@nestjs/microservices';
+import { GRPC_SERVICE } from '@uit-go/shared-client';
+import {
+  CheckCoverageRequest,
+  CreateServiceAreaRequest,
+  GetServiceAreasRequest,
+  ServiceAreaId,
+  UpdateServiceAreaRequest,
+} from '@uit-go/shared-types';
+import { ServiceAreaService } from './service-area.service';
+
+@Controller()
+export class ServiceAreaController {
+  constructor(private readonly serviceAreaService: ServiceAreaService) {}
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.CREATE_AREA)
+  async createServiceArea(data: CreateServiceAreaRequest) {
+    return this.serviceAreaService.create(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.LIST_AREAS)
+  async getServiceAreas(data: GetServiceAreasRequest) {
+    return this.serviceAreaService.findAll(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.UPDATE_AREA)
+  async updateServiceArea(data: UpdateServiceAreaRequest) {
+    return this.serviceAreaService.update(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.DELETE_AREA)
+  async deleteServiceArea(data: ServiceAreaId) {
+    return this.serviceAreaService.remove(data.id);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.DRIVER.NAME, GRPC_SERVICE.DRIVER.METHODS.COVERAGE)
+  async checkCoverage(data: CheckCoverageRequest) {
+    return this.serviceAreaService.checkCoverage(data);
+  }
+}
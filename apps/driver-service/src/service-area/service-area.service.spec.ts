@@ -0,0 +1,239 @@
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { H3Service } from '../common/h3/h3.service';
+import { ServiceAreaService } from './service-area.service';
+
+const h3 = new H3Service();
+
+// [longitude, latitude] square, closed
+function square(west: number, south: number, east: number, north: number) {
+  return JSON.stringify({
+    type: 'Polygon',
+    coordinates: [
+      [
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+        [west, south],
+      ],
+    ],
+  });
+}
+
+const WEST = 106.66;
+const EAST = 106.7;
+const SOUTH = 10.74;
+const NORTH = 10.78;
+
+// service_area as create and findMany see it
+class FakeAreas {
+  rows: Array<Record<string, unknown>> = [];
+
+  create = jest.fn(async ({ data }) => {
+    const row = {
+      id: `area-${this.rows.length + 1}`,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      ...data,
+    };
+    this.rows.push(row);
+    return row;
+  });
+
+  findMany = jest.fn(async ({ where }) =>
+    this.rows.filter((row) => !where?.active || row.active)
+  );
+}
+
+describe('ServiceAreaService', () => {
+  let service: ServiceAreaService;
+  let areas: FakeAreas;
+
+  beforeEach(() => {
+    areas = new FakeAreas();
+    service = new ServiceAreaService(
+      { serviceArea: areas } as unknown as PrismaService,
+      h3
+    );
+  });
+
+  async function covered(latitude: number, longitude: number) {
+    const { list } = await service.checkCoverage({
+      points: [{ latitude, longitude }],
+    });
+    return list[0].covered;
+  }
+
+  async function rejection(promise: Promise<unknown>) {
+    const error = await promise.catch((error) => error);
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+
+  it('covers everything while no area is active', async () => {
+    const response = await service.checkCoverage({
+      points: [{ latitude: 48.85, longitude: 2.35 }],
+    });
+
+    expect(response).toEqual({
+      restricted: false,
+      list: [{ latitude: 48.85, longitude: 2.35, covered: true }],
+    });
+  });
+
+  it('tells which area a point lies in', async () => {
+    await service.create({
+      name: ' District 1 ',
+      geojson: square(WEST, SOUTH, EAST, NORTH),
+      requireStartPin: true,
+    });
+
+    const { restricted, list } = await service.checkCoverage({
+      points: [
+        { latitude: 10.76, longitude: 106.68 },
+        { latitude: 10.9, longitude: 106.68 },
+      ],
+    });
+
+    expect(restricted).toBe(true);
+    expect(list[0]).toMatchObject({
+      covered: true,
+      areaId: 'area-1',
+      areaName: 'District 1',
+      requireStartPin: true,
+    });
+    expect(list[1].covered).toBe(false);
+  });
+
+  it('ignores inactive areas', async () => {
+    await service.create({
+      name: 'Closed',
+      geojson: square(WEST, SOUTH, EAST, NORTH),
+      active: false,
+    });
+
+    expect(await covered(10.9, 106.68)).toBe(true);
+  });
+
+  it('follows the cells along the edge, not the outline', async () => {
+    await service.create({
+      name: 'District 1',
+      geojson: square(WEST, SOUTH, EAST, NORTH),
+    });
+
+    // Walk across the east edge at several latitudes
+    const outsideButCovered: number[][] = [];
+    const insideButNotCovered: number[][] = [];
+
+    for (let latitude = 10.745; latitude < 10.775; latitude += 0.002) {
+      for (let offset = -0.006; offset <= 0.006; offset += 0.0005) {
+        const longitude = EAST + offset;
+        const isCovered = await covered(latitude, longitude);
+
+        if (longitude > EAST && isCovered) {
+          outsideButCovered.push([latitude, longitude]);
+        }
+        if (longitude < EAST && !isCovered) {
+          insideButNotCovered.push([latitude, longitude]);
+        }
+      }
+    }
+
+    expect(outsideButCovered.length).toBeGreaterThan(0);
+    expect(insideButNotCovered.length).toBeGreaterThan(0);
+  });
+
+  it('never covers coordinates out of range', async () => {
+    await service.create({
+      name: 'District 1',
+      geojson: square(WEST, SOUTH, EAST, NORTH),
+    });
+
+    expect(await covered(91, 106.68)).toBe(false);
+    expect(await covered(10.76, Number.NaN)).toBe(false);
+  });
+
+  describe('filling an area', () => {
+    const cell = h3.latLngToCell(10.76, 106.68, 8);
+    const center = h3.cellToLatLng(cell);
+    const next = h3.cellToLatLng(
+      h3.gridDisk(cell, 1).find((other) => other !== cell) as string
+    );
+
+    it('takes a cell whose center the polygon holds', async () => {
+      const area = await service.create({
+        name: 'One cell',
+        geojson: square(
+          center.lng - 0.0005,
+          center.lat - 0.0005,
+          center.lng + 0.0005,
+          center.lat + 0.0005
+        ),
+      });
+
+      expect(area.cellCount).toBe(1);
+      expect(areas.create.mock.calls[0][0].data.cells).toEqual([cell]);
+    });
+
+    it('rejects a polygon across a cell edge holding no center', async () => {
+      // Around the middle of the edge two cells share
+      const lat = (center.lat + next.lat) / 2;
+      const lng = (center.lng + next.lng) / 2;
+
+      const error = await rejection(
+        service.create({
+          name: 'Sliver',
+          geojson: square(
+            lng - 0.0005,
+            lat - 0.0005,
+            lng + 0.0005,
+            lat + 0.0005
+          ),
+        })
+      );
+
+      expect(error.code).toBe(status.INVALID_ARGUMENT);
+      expect(error.message).toBe(
+        'Area is too small to cover any cell at resolution 8'
+      );
+      expect(areas.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects an empty polygon', async () => {
+      const error = await rejection(
+        service.create({
+          name: 'Empty',
+          geojson: JSON.stringify({ type: 'Polygon', coordinates: [] }),
+        })
+      );
+
+      expect(error.code).toBe(status.INVALID_ARGUMENT);
+    });
+
+    it('rejects an open ring', async () => {
+      const error = await rejection(
+        service.create({
+          name: 'Open',
+          geojson: JSON.stringify({
+            type: 'Polygon',
+            coordinates: [
+              [
+                [WEST, SOUTH],
+                [EAST, SOUTH],
+                [EAST, NORTH],
+                [WEST, NORTH],
+              ],
+            ],
+          }),
+        })
+      );
+
+      expect(error.code).toBe(status.INVALID_ARGUMENT);
+    });
+  });
+});
@@ -0,0 +1,377 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import {
+  CheckCoverageRequest,
+  CheckCoverageResponse,
+  CreateServiceAreaRequest,
+  GetServiceAreasRequest,
+  ServiceAreaResponse,
+  ServiceAreasListResponse,
+  UpdateServiceAreaRequest,
+} from '@uit-go/shared-types';
+import { Prisma, ServiceArea } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { H3Service } from '../common/h3/h3.service';
+
+type Polygon = number[][][];
+
+type IndexedArea = Pick<ServiceArea, 'id' | 'name' | 'requireStartPin'>;
+
+interface CoverageIndex {
+  // Distinct resolutions the active areas were filled at
+  resolutions: number[];
+  areaByCell: Map<string, IndexedArea>;
+  loadedAt: number;
+}
+
+/**
+ * Service areas
+ *
+ * Admins draw each area as a GeoJSON Polygon or MultiPolygon. On save it is
+ * filled with H3 cells at SERVICE_AREA_RESOLUTION (default 8, ~0.7 km² per
+ * cell) and a point is covered when its cell belongs to an active area, so
+ * the edge of coverage follows the cells rather than the exact outline. An
+ * area may span at most SERVICE_AREA_MAX_CELLS (default 100000) cells.
+ *
+ * Active areas are held in memory as one cell set, reloaded every
+ * SERVICE_AREA_CACHE_TTL_MS (default 30000) and after every change made
+ * through this instance. With no active area at all coverage is not
+ * restricted.
+ *
+ * An area can also require riders picked up in it to give their driver a
+ * start PIN (requireStartPin).
+ */
+@Injectable()
+export class ServiceAreaService {
+  private readonly logger = new Logger(ServiceAreaService.name);
+  private readonly resolution = parseInt(
+    process.env.SERVICE_AREA_RESOLUTION || '8'
+  );
+  private readonly cacheTtlMs = parseInt(
+    process.env.SERVICE_AREA_CACHE_TTL_MS || '30000'
+  );
+  private readonly maxCells = parseInt(
+    process.env.SERVICE_AREA_MAX_CELLS || '100000'
+  );
+
+  private index: CoverageIndex | null = null;
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly h3Service: H3Service
+  ) {}
+
+  async create(
+    request: CreateServiceAreaRequest
+  ): Promise<ServiceAreaResponse> {
+    const name = this.parseName(request.name);
+    const { geometry, cells } = this.fill(request.geojson);
+
+    const area = await this.prisma.serviceArea.create({
+      data: {
+        name,
+        geojson: geometry,
+        resolution: this.resolution,
+        cells,
+        active: request.active ?? true,
+        requireStartPin: request.requireStartPin ?? false,
+      },
+    });
+
+    this.logger.log(
+      `Service area ${area.id} (${area.name}) created with ${cells.length} cells`
+    );
+    this.index = null;
+
+    return this.mapToResponse(area);
+  }
+
+  async findAll(
+    request: GetServiceAreasRequest
+  ): Promise<ServiceAreasListResponse> {
+    const areas = await this.prisma.serviceArea.findMany({
+      where: request.activeOnly ? { active: true } : {},
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return { list: areas.map((area) => this.mapToResponse(area)) };
+  }
+
+  async update(
+    request: UpdateServiceAreaRequest
+  ): Promise<ServiceAreaResponse> {
+    const data: Prisma.ServiceAreaUpdateInput = {};
+
+    if (request.name !== undefined) {
+      data.name = this.parseName(request.name);
+    }
+
+    if (request.geojson !== undefined) {
+      const { geometry, cells } = this.fill(request.geojson);
+      data.geojson = geometry;
+      data.cells = cells;
+      data.resolution = this.resolution;
+    }
+
+    if (request.active !== undefined) {
+      data.active = request.active;
+    }
+
+    if (request.requireStartPin !== undefined) {
+      data.requireStartPin = request.requireStartPin;
+    }
+
+    try {
+      const area = await this.prisma.serviceArea.update({
+        where: { id: request.id },
+        data,
+      });
+
+      this.index = null;
+      return this.mapToResponse(area);
+    } catch (error) {
+      throw this.notFound(error, request.id);
+    }
+  }
+
+  async remove(id: string): Promise<ServiceAreaResponse> {
+    try {
+      const area = await this.prisma.serviceArea.delete({ where: { id } });
+
+      this.index = null;
+      return this.mapToResponse(area);
+    } catch (error) {
+      throw this.notFound(error, id);
+    }
+  }
+
+  /**
+   * Which active area, if any, each point lies in
+   */
+  async checkCoverage(
+    request: CheckCoverageRequest
+  ): Promise<CheckCoverageResponse> {
+    const index = await this.getIndex();
+    const restricted = index.areaByCell.size > 0;
+
+    return {
+      restricted,
+      list: (request.points ?? []).map(({ latitude, longitude }) => {
+        if (!restricted) {
+          return { latitude, longitude, covered: true };
+        }
+
+        const area = this.areaAt(index, latitude, longitude);
+
+        return {
+          latitude,
+          longitude,
+          covered: !!area,
+          areaId: area?.id,
+          areaName: area?.name,
+          requireStartPin: area?.requireStartPin,
+        };
+      }),
+    };
+  }
+
+  private areaAt(
+    index: CoverageIndex,
+    latitude: number,
+    longitude: number
+  ): IndexedArea | undefined {
+    if (
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      return undefined;
+    }
+
+    for (const resolution of index.resolutions) {
+      const cell = this.h3Service.latLngToCell(latitude, longitude, resolution);
+      const area = index.areaByCell.get(cell);
+
+      if (area) {
+        return area;
+      }
+    }
+
+    return undefined;
+  }
+
+  private async getIndex(): Promise<CoverageIndex> {
+    if (this.index && Date.now() - this.index.loadedAt < this.cacheTtlMs) {
+      return this.index;
+    }
+
+    const areas = await this.prisma.serviceArea.findMany({
+      where: { active: true },
+      select: {
+        id: true,
+        name: true,
+        requireStartPin: true,
+        resolution: true,
+        cells: true,
+      },
+    });
+
+    const areaByCell = new Map<string, IndexedArea>();
+    for (const { id, name, requireStartPin, cells } of areas) {
+      const area = { id, name, requireStartPin };
+
+      for (const cell of cells) {
+        areaByCell.set(cell, area);
+      }
+    }
+
+    this.index = {
+      resolutions: [...new Set(areas.map((area) => area.resolution))],
+      areaByCell,
+      loadedAt: Date.now(),
+    };
+    this.logger.debug(
+      `Loaded ${areas.length} service areas (${areaByCell.size} cells)`
+    );
+
+    return this.index;
+  }
+
+  /**
+   * Parse a GeoJSON Polygon or MultiPolygon, bare or inside a Feature, and
+   * fill it with cells
+   */
+  private fill(geojson: string): {
+    geometry: Prisma.InputJsonObject;
+    cells: string[];
+  } {
+    let parsed: {
+      type?: string;
+      geometry?: { type?: string; coordinates?: unknown };
+      coordinates?: unknown;
+    };
+
+    try {
+      parsed = JSON.parse(geojson);
+    } catch {
+      throw invalidArea('geojson is not valid JSON');
+    }
+
+    const geometry = parsed?.type === 'Feature' ? parsed.geometry : parsed;
+    let polygons: Polygon[];
+
+    if (geometry?.type === 'Polygon') {
+      polygons = [geometry.coordinates as Polygon];
+    } else if (geometry?.type === 'MultiPolygon') {
+      polygons = geometry.coordinates as Polygon[];
+    } else {
+      throw invalidArea('geojson must be a Polygon or MultiPolygon');
+    }
+
+    if (!Array.isArray(polygons) || !polygons.every(isPolygon)) {
+      throw invalidArea(
+        'Polygon rings must be closed lists of at least 4 [longitude, latitude] positions'
+      );
+    }
+
+    const cells = [
+      ...new Set(
+        polygons.flatMap((rings) =>
+          this.h3Service.polygonToCells(rings, this.resolution)
+        )
+      ),
+    ];
+
+    if (cells.length === 0) {
+      throw invalidArea(
+        `Area is too small to cover any cell at resolution ${this.resolution}`
+      );
+    }
+
+    if (cells.length > this.maxCells) {
+      throw invalidArea(
+        `Area spans ${cells.length} cells, more than the ${this.maxCells} allowed`
+      );
+    }
+
+    return {
+      geometry: {
+        type: geometry.type,
+        coordinates: geometry.coordinates as Prisma.InputJsonArray,
+      },
+      cells,
+    };
+  }
+
+  private parseName(name: string | undefined): string {
+    const trimmed = name?.trim();
+
+    if (!trimmed) {
+      throw invalidArea('name is required');
+    }
+
+    return trimmed;
+  }
+
+  private notFound(error: unknown, id: string) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === 'P2025'
+    ) {
+      return new RpcException({
+        code: status.NOT_FOUND,
+        message: `Service area ${id} not found`,
+      });
+    }
+
+    return error;
+  }
+
+  private mapToResponse(area: ServiceArea): ServiceAreaResponse {
+    return {
+      id: area.id,
+      name: area.name,
+      geojson: JSON.stringify(area.geojson),
+      active: area.active,
+      requireStartPin: area.requireStartPin,
+      resolution: area.resolution,
+      cellCount: area.cells.length,
+      createdAt: area.createdAt.toISOString(),
+      updatedAt: area.updatedAt.toISOString(),
+    };
+  }
+}
+
+function isPolygon(rings: unknown): rings is Polygon {
+  return (
+    Array.isArray(rings) &&
+    rings.length > 0 &&
+    rings.every((ring) => {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return false;
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+
+      return (
+        ring.every(
+          (position) =>
+            Array.isArray(position) &&
+            Number.isFinite(position[0]) &&
+            Number.isFinite(position[1]) &&
+            Math.abs(position[0]) <= 180 &&
+            Math.abs(position[1]) <= 90
+        ) &&
+        first[0] === last[0] &&
+        first[1] === last[1]
+      );
+    })
+  );
+}
+
+function invalidArea(message: string) {
+  return new RpcException({ code: status.INVALID_ARGUMENT, message });
+}
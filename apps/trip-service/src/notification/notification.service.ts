@@ -0,0 +1,62 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import * as mqtt from 'mqtt';
+
+export interface RiderNotification {
+  type: string;
+  tripId: string;
+  message: string;
+}
+
+/**
+ * Push notifications to riders over MQTT, on `rider/{userId}/notifications`.
+ * Delivery is best effort: a broker outage is logged and never blocks or
+ * fails the operation that triggered the notification.
+ */
+@Injectable()
+export class NotificationService implements OnModuleInit, OnModuleDestroy {
+  private client: mqtt.MqttClient;
+  private readonly logger = new Logger(NotificationService.name);
+
+  onModuleInit() {
+    const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://mosquitto:1883';
+
+    this.client = mqtt.connect(brokerUrl, {
+      clientId: `trip-service-${Math.random().toString(16).slice(3)}`,
+      clean: true,
+      connectTimeout: 4000,
+      reconnectPeriod: 1000,
+    });
+
+    this.client.on('connect', () => {
+      this.logger.log(`Connected to MQTT broker at ${brokerUrl}`);
+    });
+
+    this.client.on('error', (error) => {
+      this.logger.error('MQTT connection error:', error);
+    });
+  }
+
+  onModuleDestroy() {
+    this.client?.end(true);
+  }
+
+  notifyRider(userId: string, notification: RiderNotification): void {
+    const topic = `rider/${userId}/notifications`;
+    const payload = JSON.stringify({
+      ...notification,
+      timestamp: new Date().toISOString(),
+    });
+
+    // QoS 1 so the message survives a brief reconnect; the ack is not awaited
+    this.client.publish(topic, payload, { qos: 1 }, (error) => {
+      if (error) {
+        this.logger.warn(`Failed to notify rider ${userId}: ${error.message}`);
+      }
+    });
+  }
+}
@@ -0,0 +1,25 @@
+import { VehicleType } from '../../generated/prisma';
+
+// Starting prices (VND), written to rate_card on startup where a vehicle type
+// has no row yet and used as-is if the table cannot be read. Rows already in
+// the table are never overwritten, so prices ops have tuned stay.
+export const DEFAULT_RATE_CARDS = [
+  {
+    vehicleType: VehicleType.MOTOBIKE,
+    currency: 'VND',
+    baseFare: 12000,
+    perKm: 4300,
+    perMinute: 350,
+    minimumFare: 13000,
+    averageSpeedKmh: 25,
+  },
+  {
+    vehicleType: VehicleType.BIKE,
+    currency: 'VND',
+    baseFare: 8000,
+    perKm: 2500,
+    perMinute: 200,
+    minimumFare: 9000,
+    averageSpeedKmh: 12,
+  },
+];
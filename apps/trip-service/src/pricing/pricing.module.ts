@@ -0,0 +1,23 @@
+import { Module } from '@nestjs/common';
+import { ClientsModule } from '@nestjs/microservices';
+import { GRPC_SERVICE, driverGrpcOptions } from '@uit-go/shared-client';
+import { PrismaModule } from '../common/prisma/prisma.module';
+import { PricingService } from './pricing.service';
+import { SurgeService } from './surge.service';
+
+@Module({
+  imports: [
+    PrismaModule,
+    ClientsModule.registerAsync([
+      {
+        name: GRPC_SERVICE.DRIVER.NAME,
+        useFactory: async () => ({
+          ...driverGrpcOptions,
+        }),
+      },
+    ]),
+  ],
+  providers: [PricingService, SurgeService],
+  exports: [PricingService, SurgeService],
+})
+export class PricingModule {}
@@ -0,0 +1,225 @@
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import {
+  EstimateFareRequest,
+  EstimateFareResponse,
+  VehicleTypeEnum,
+} from '@uit-go/shared-types';
+import { Prisma, RateCard, VehicleType } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { haversineDistance } from '../common/geo/geo.util';
+import { SurgeService } from './surge.service';
+import { DEFAULT_RATE_CARDS } from './default-rate-cards';
+
+const VEHICLE_TYPES: Record<number, VehicleType> = {
+  [VehicleTypeEnum.MOTOBIKE]: VehicleType.MOTOBIKE,
+  [VehicleTypeEnum.BIKE]: VehicleType.BIKE,
+};
+
+/**
+ * Fare pricing backed by the rate_card table
+ *
+ * fare = max(baseFare + perKm * km + perMinute * minutes, minimumFare) * surge
+ *
+ * Rate cards are cached for RATE_CARD_CACHE_TTL_MS (default 60s). Trip
+ * distance is the straight line scaled by ROUTE_DISTANCE_FACTOR (default 1.3)
+ * to approximate the road network; duration comes from the card's average
+ * speed. The surge multiplier for the pickup cell comes from SurgeService.
+ *
+ * Vehicle types without a row get the built-in card (DEFAULT_RATE_CARDS) on
+ * startup. A card still missing, or a table that cannot be read, falls back
+ * to the built-in card, so pricing never blocks a trip from completing.
+ */
+@Injectable()
+export class PricingService implements OnModuleInit {
+  private readonly logger = new Logger(PricingService.name);
+  private readonly cacheTtlMs = parseInt(
+    process.env.RATE_CARD_CACHE_TTL_MS || '60000'
+  );
+  private readonly routeFactor = parseFloat(
+    process.env.ROUTE_DISTANCE_FACTOR || '1.3'
+  );
+
+  private rateCards = new Map<VehicleType, RateCard>();
+  private rateCardsLoadedAt = 0;
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly surgeService: SurgeService
+  ) {}
+
+  async onModuleInit() {
+    try {
+      const { count } = await this.prisma.rateCard.createMany({
+        data: DEFAULT_RATE_CARDS,
+        skipDuplicates: true,
+      });
+
+      if (count > 0) {
+        this.logger.log(`Added ${count} default rate cards`);
+      }
+    } catch (error) {
+      this.logger.warn(`Could not add default rate cards: ${error.message}`);
+    }
+  }
+
+  static toVehicleType(vehicleType?: VehicleTypeEnum | null): VehicleType {
+    const mapped = VEHICLE_TYPES[vehicleType ?? VehicleTypeEnum.MOTOBIKE];
+
+    if (!mapped) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `Unknown vehicle type ${vehicleType}`,
+      });
+    }
+
+    return mapped;
+  }
+
+  async estimateFare(
+    request: EstimateFareRequest
+  ): Promise<EstimateFareResponse> {
+    const vehicleType = PricingService.toVehicleType(request.vehicleType);
+    const distanceKm = this.routeDistance(
+      request.pickupLatitude,
+      request.pickupLongitude,
+      request.destinationLatitude,
+      request.destinationLongitude
+    );
+
+    const surgeMultiplier = await this.surgeService.getMultiplier(
+      request.pickupLatitude,
+      request.pickupLongitude
+    );
+
+    return this.quote(vehicleType, distanceKm, undefined, surgeMultiplier);
+  }
+
+  /**
+   * Price a route of known length. Without an explicit duration the card's
+   * average speed is used to estimate one.
+   */
+  async quote(
+    vehicleType: VehicleType,
+    distanceKm: number,
+    durationMinutes?: number,
+    surgeMultiplier = 1
+  ): Promise<EstimateFareResponse> {
+    const card = await this.getRateCard(vehicleType);
+    const minutes = durationMinutes ?? (distanceKm / card.averageSpeedKmh) * 60;
+
+    const baseFare = card.baseFare.toNumber();
+    const perKm = card.perKm.toNumber();
+    const perMinute = card.perMinute.toNumber();
+    const minimumFare = card.minimumFare.toNumber();
+
+    const distanceFare = roundMoney(perKm * distanceKm);
+    const timeFare = roundMoney(perMinute * minutes);
+    const total = roundMoney(
+      Math.max(baseFare + distanceFare + timeFare, minimumFare) *
+        surgeMultiplier
+    );
+
+    return {
+      vehicleType,
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      durationMinutes: Math.round(minutes * 10) / 10,
+      currency: card.currency,
+      breakdown: {
+        baseFare,
+        perKm,
+        distanceFare,
+        perMinute,
+        timeFare,
+        minimumFare,
+        surgeMultiplier,
+      },
+      total,
+    };
+  }
+
+  /**
+   * Estimated road distance between two points, in km
+   */
+  routeDistance(
+    fromLat: number,
+    fromLng: number,
+    toLat: number,
+    toLng: number
+  ): number {
+    for (const value of [fromLat, fromLng, toLat, toLng]) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new RpcException({
+          code: status.INVALID_ARGUMENT,
+          message: 'Pickup and destination coordinates are required',
+        });
+      }
+    }
+
+    return haversineDistance(fromLat, fromLng, toLat, toLng) * this.routeFactor;
+  }
+
+  /**
+   * Estimated road distance along a path of stops visited in order, in km
+   */
+  pathDistance(
+    points: { latitude: number | null; longitude: number | null }[]
+  ): number {
+    let distanceKm = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      distanceKm += this.routeDistance(
+        points[i - 1].latitude,
+        points[i - 1].longitude,
+        points[i].latitude,
+        points[i].longitude
+      );
+    }
+
+    return distanceKm;
+  }
+
+  private async getRateCard(vehicleType: VehicleType): Promise<RateCard> {
+    if (Date.now() - this.rateCardsLoadedAt > this.cacheTtlMs) {
+      try {
+        const cards = await this.prisma.rateCard.findMany();
+        this.rateCards = new Map(cards.map((card) => [card.vehicleType, card]));
+        this.logger.debug(`Loaded ${cards.length} rate cards`);
+      } catch (error) {
+        // Keep the cards loaded last time, or the defaults
+        this.logger.error(`Could not load rate cards: ${error.message}`);
+      }
+      this.rateCardsLoadedAt = Date.now();
+    }
+
+    const card = this.rateCards.get(vehicleType);
+
+    if (card) return card;
+
+    this.logger.warn(
+      `No rate card configured for ${vehicleType}, using the default`
+    );
+    return defaultRateCard(vehicleType);
+  }
+}
+
+function defaultRateCard(vehicleType: VehicleType): RateCard {
+  const card =
+    DEFAULT_RATE_CARDS.find((card) => card.vehicleType === vehicleType) ??
+    DEFAULT_RATE_CARDS[0];
+
+  return {
+    ...card,
+    vehicleType,
+    baseFare: new Prisma.Decimal(card.baseFare),
+    perKm: new Prisma.Decimal(card.perKm),
+    perMinute: new Prisma.Decimal(card.perMinute),
+    minimumFare: new Prisma.Decimal(card.minimumFare),
+    updatedAt: new Date(0),
+  };
+}
+
+function roundMoney(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
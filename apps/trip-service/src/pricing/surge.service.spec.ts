@@ -0,0 +1,96 @@
+import { Test } from '@nestjs/testing';
+import { GRPC_SERVICE } from '@uit-go/shared-client';
+import { of, throwError } from 'rxjs';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { SurgeService } from './surge.service';
+
+const LATITUDE = 10.7626;
+const LONGITUDE = 106.6826;
+
+describe('SurgeService', () => {
+  let service: SurgeService;
+  let groupBy: jest.Mock;
+  let getCellSupply: jest.Mock;
+  let cell: string;
+
+  beforeAll(() => {
+    // Price each cell on its own, so demand and supply are exact
+    process.env.SURGE_K_RING = '0';
+  });
+
+  afterAll(() => {
+    delete process.env.SURGE_K_RING;
+  });
+
+  beforeEach(async () => {
+    groupBy = jest.fn();
+    getCellSupply = jest.fn();
+
+    const app = await Test.createTestingModule({
+      providers: [
+        SurgeService,
+        { provide: PrismaService, useValue: { trip: { groupBy } } },
+        {
+          provide: GRPC_SERVICE.DRIVER.NAME,
+          useValue: { getService: () => ({ getCellSupply }) },
+        },
+      ],
+    }).compile();
+
+    service = app.get(SurgeService);
+    service.onModuleInit();
+    cell = service.cellFor(LATITUDE, LONGITUDE);
+  });
+
+  function market(demand: number, supply: number) {
+    groupBy.mockResolvedValue([{ pickupCell: cell, _count: { _all: demand } }]);
+    getCellSupply.mockReturnValue(of({ list: [{ cell, drivers: supply }] }));
+  }
+
+  it.each([
+    // demand, supply, multiplier
+    [2, 4, 1],
+    [4, 4, 1],
+    [3, 2, 1.3],
+    [6, 2, 2],
+    [4, 0, 2.5],
+    [20, 1, 3],
+  ])(
+    'prices %i requests against %i drivers at %d',
+    async (demand, supply, multiplier) => {
+      market(demand, supply);
+
+      expect(await service.getMultiplier(LATITUDE, LONGITUDE)).toBe(multiplier);
+    }
+  );
+
+  it('caches a cell between estimates', async () => {
+    market(6, 2);
+
+    await service.getMultiplier(LATITUDE, LONGITUDE);
+    await service.getMultiplier(LATITUDE, LONGITUDE);
+
+    expect(groupBy).toHaveBeenCalledTimes(1);
+    expect(getCellSupply).toHaveBeenCalledTimes(1);
+  });
+
+  it('prices without surge, and does not cache, when supply is unknown', async () => {
+    groupBy.mockResolvedValue([{ pickupCell: cell, _count: { _all: 50 } }]);
+    getCellSupply.mockReturnValue(throwError(() => new Error('unavailable')));
+
+    expect(await service.getMultiplier(LATITUDE, LONGITUDE)).toBe(1);
+
+    market(6, 2);
+    expect(await service.getMultiplier(LATITUDE, LONGITUDE)).toBe(2);
+  });
+
+  it('reports demand and supply per cell on the surge map', async () => {
+    market(6, 2);
+
+    const map = await service.getSurgeMap(LATITUDE, LONGITUDE, 0);
+
+    expect(map.cells).toEqual([
+      expect.objectContaining({ cell, demand: 6, supply: 2, multiplier: 2 }),
+    ]);
+  });
+});
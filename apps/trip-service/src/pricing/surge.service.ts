@@ -0,0 +1,219 @@
+import { Inject, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { GRPC_SERVICE, DriverServiceClient } from '@uit-go/shared-client';
+import { SurgeCell, SurgeMapResponse } from '@uit-go/shared-types';
+import { cellToLatLng, gridDisk, latLngToCell } from 'h3-js';
+import { firstValueFrom } from 'rxjs';
+import { PrismaService } from '../common/prisma/prisma.service';
+
+const SURGE_RESOLUTION = 9; // Same cells driver-service buckets drivers in
+const MAX_MAP_RADIUS = 5;
+
+/**
+ * Demand-based surge per H3 cell
+ *
+ * For a cell, demand is the number of trips requested from its k-ring in the
+ * last SURGE_WINDOW_MINUTES and supply the number of ONLINE drivers
+ * driver-service currently has in the same cells, in either of its index
+ * modes. The multiplier grows with the demand/supply ratio above 1:
+ *
+ * multiplier = clamp(1 + SURGE_SENSITIVITY * (demand / max(supply, 1) - 1),
+ *                    1, SURGE_MAX_MULTIPLIER)
+ *
+ * rounded to one decimal. Results are cached per cell for SURGE_CACHE_TTL_MS
+ * so a burst of estimates does not hammer Postgres and driver-service. If the
+ * supply lookup fails the area is priced without surge.
+ *
+ * Configuration:
+ * - SURGE_ENABLED: set to "false" to always price at 1.0 (default true)
+ * - SURGE_WINDOW_MINUTES: demand window (default 10)
+ * - SURGE_K_RING: neighbourhood size around a cell (default 2)
+ * - SURGE_SENSITIVITY: multiplier gained per unit of excess ratio (default 0.5)
+ * - SURGE_MAX_MULTIPLIER: cap (default 3)
+ * - SURGE_CACHE_TTL_MS: per-cell cache lifetime (default 30000)
+ */
+@Injectable()
+export class SurgeService implements OnModuleInit {
+  private readonly logger = new Logger(SurgeService.name);
+  private driverService: DriverServiceClient;
+
+  private readonly enabled = process.env.SURGE_ENABLED !== 'false';
+  private readonly windowMs =
+    parseInt(process.env.SURGE_WINDOW_MINUTES || '10') * 60 * 1000;
+  private readonly kRing = parseInt(process.env.SURGE_K_RING || '2');
+  private readonly sensitivity = parseFloat(
+    process.env.SURGE_SENSITIVITY || '0.5'
+  );
+  private readonly maxMultiplier = parseFloat(
+    process.env.SURGE_MAX_MULTIPLIER || '3'
+  );
+  private readonly cacheTtlMs = parseInt(
+    process.env.SURGE_CACHE_TTL_MS || '30000'
+  );
+
+  private cache = new Map<string, { cell: SurgeCell; expiresAt: number }>();
+
+  constructor(
+    private readonly prisma: PrismaService,
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  /**
+   * H3 cell a pickup is counted against
+   */
+  cellFor(latitude: number, longitude: number): string {
+    return latLngToCell(latitude, longitude, SURGE_RESOLUTION);
+  }
+
+  /**
+   * Current multiplier for a pickup location
+   */
+  async getMultiplier(latitude: number, longitude: number): Promise<number> {
+    if (!this.enabled) return 1;
+
+    const [cell] = await this.computeCells([this.cellFor(latitude, longitude)]);
+    return cell.multiplier;
+  }
+
+  /**
+   * Multipliers for every cell within `radius` rings of a location
+   */
+  async getSurgeMap(
+    latitude: number,
+    longitude: number,
+    radius?: number
+  ): Promise<SurgeMapResponse> {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: 'Latitude and longitude are required',
+      });
+    }
+
+    const rings = Math.min(Math.max(radius ?? 1, 0), MAX_MAP_RADIUS);
+    const center = this.cellFor(latitude, longitude);
+    const cells = this.enabled
+      ? await this.computeCells(gridDisk(center, rings))
+      : gridDisk(center, rings).map((cell) => this.flatCell(cell));
+
+    return {
+      resolution: SURGE_RESOLUTION,
+      windowMinutes: this.windowMs / 60000,
+      cells,
+    };
+  }
+
+  private async computeCells(cells: string[]): Promise<SurgeCell[]> {
+    const now = Date.now();
+    const result = new Map<string, SurgeCell>();
+
+    for (const cell of cells) {
+      const cached = this.cache.get(cell);
+      if (cached && cached.expiresAt > now) {
+        result.set(cell, cached.cell);
+      }
+    }
+
+    const missing = cells.filter((cell) => !result.has(cell));
+
+    if (missing.length > 0) {
+      // Every ring we need to sum over, fetched in one query / one RPC
+      const rings = new Map(
+        missing.map((cell) => [cell, gridDisk(cell, this.kRing)])
+      );
+      const area = [...new Set([...rings.values()].flat())];
+
+      const [demand, supply] = await Promise.all([
+        this.countDemand(area),
+        this.countSupply(area),
+      ]);
+
+      for (const [cell, ring] of rings) {
+        const surgeCell = supply
+          ? this.toSurgeCell(cell, ring, demand, supply)
+          : this.flatCell(cell);
+
+        result.set(cell, surgeCell);
+
+        if (supply) {
+          this.cache.set(cell, {
+            cell: surgeCell,
+            expiresAt: now + this.cacheTtlMs,
+          });
+        }
+      }
+    }
+
+    return cells.map((cell) => result.get(cell) as SurgeCell);
+  }
+
+  private toSurgeCell(
+    cell: string,
+    ring: string[],
+    demand: Map<string, number>,
+    supply: Map<string, number>
+  ): SurgeCell {
+    const ringDemand = ring.reduce((sum, c) => sum + (demand.get(c) ?? 0), 0);
+    const ringSupply = ring.reduce((sum, c) => sum + (supply.get(c) ?? 0), 0);
+    const ratio = ringDemand / Math.max(ringSupply, 1);
+    const raw = 1 + this.sensitivity * (ratio - 1);
+    const multiplier =
+      Math.round(Math.min(Math.max(raw, 1), this.maxMultiplier) * 10) / 10;
+    const [latitude, longitude] = cellToLatLng(cell);
+
+    return {
+      cell,
+      latitude,
+      longitude,
+      demand: ringDemand,
+      supply: ringSupply,
+      multiplier,
+    };
+  }
+
+  private flatCell(cell: string): SurgeCell {
+    const [latitude, longitude] = cellToLatLng(cell);
+    return { cell, latitude, longitude, demand: 0, supply: 0, multiplier: 1 };
+  }
+
+  private async countDemand(cells: string[]): Promise<Map<string, number>> {
+    const rows = await this.prisma.trip.groupBy({
+      by: ['pickupCell'],
+      where: {
+        pickupCell: { in: cells },
+        createdAt: { gte: new Date(Date.now() - this.windowMs) },
+      },
+      _count: { _all: true },
+    });
+
+    return new Map(
+      rows.map((row) => [row.pickupCell as string, row._count._all])
+    );
+  }
+
+  private async countSupply(
+    cells: string[]
+  ): Promise<Map<string, number> | null> {
+    try {
+      const response = await firstValueFrom(
+        this.driverService.getCellSupply({ cells })
+      );
+
+      return new Map(
+        (response.list ?? []).map((entry) => [entry.cell, entry.drivers ?? 0])
+      );
+    } catch (error) {
+      this.logger.warn(
+        `Supply lookup failed, pricing without surge: ${error.message}`
+      );
+      return null;
+    }
+  }
+}
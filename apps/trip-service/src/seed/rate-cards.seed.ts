@@ -0,0 +1,24 @@
+import { PrismaClient } from '../../generated/prisma/index.js';
+import { DEFAULT_RATE_CARDS } from '../pricing/default-rate-cards';
+
+const prisma = new PrismaClient();
+
+// Existing rows are left untouched so re-running the seed never overwrites
+// what ops have tuned. trip-service also adds missing cards on startup.
+async function main() {
+  for (const card of DEFAULT_RATE_CARDS) {
+    await prisma.rateCard.upsert({
+      where: { vehicleType: card.vehicleType },
+      create: card,
+      update: {},
+    });
+    console.log(`✅ Rate card ready: ${card.vehicleType}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Rate card seed failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
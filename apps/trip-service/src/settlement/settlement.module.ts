@@ -0,0 +1,36 @@
+import { Module } from '@nestjs/common';
+import { ClientsModule } from '@nestjs/microservices';
+import {
+  GRPC_SERVICE,
+  userGrpcOptions,
+  driverGrpcOptions,
+} from '@uit-go/shared-client';
+import { PrismaModule } from '../common/prisma/prisma.module';
+import { PricingModule } from '../pricing/pricing.module';
+import { TripEventModule } from '../trip-event/trip-event.module';
+import { SettlementService } from './settlement.service';
+
+@Module({
+  imports: [
+    PrismaModule,
+    PricingModule,
+    TripEventModule,
+    ClientsModule.registerAsync([
+      {
+        name: GRPC_SERVICE.USER.NAME,
+        useFactory: async () => ({
+          ...userGrpcOptions,
+        }),
+      },
+      {
+        name: GRPC_SERVICE.DRIVER.NAME,
+        useFactory: async () => ({
+          ...driverGrpcOptions,
+        }),
+      },
+    ]),
+  ],
+  providers: [SettlementService],
+  exports: [SettlementService],
+})
+export class SettlementModule {}
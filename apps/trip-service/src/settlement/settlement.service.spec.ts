@@ -0,0 +1,267 @@
+import { Test } from '@nestjs/testing';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { GRPC_SERVICE } from '@uit-go/shared-client';
+import { of, throwError } from 'rxjs';
+import { LedgerAccount, Prisma, Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { PricingService } from '../pricing/pricing.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { SettlementService } from './settlement.service';
+
+interface StoredEntry {
+  transactionId: string;
+  account: LedgerAccount;
+  amount: Prisma.Decimal;
+}
+
+function completedTrip(overrides: Partial<Trip> = {}): Trip {
+  return {
+    id: 'trip-1',
+    userId: 'rider-1',
+    driverId: 'driver-1',
+    status: 'COMPLETED',
+    fare: new Prisma.Decimal(50000),
+    currency: 'VND',
+    settledAt: null,
+    ...overrides,
+  } as Trip;
+}
+
+describe('SettlementService', () => {
+  let service: SettlementService;
+  let ledger: StoredEntry[];
+  let prisma: {
+    $transaction: jest.Mock;
+    ledgerEntry: Record<string, jest.Mock>;
+    trip: Record<string, jest.Mock>;
+  };
+  let riderWallet: jest.Mock;
+  let driverWallet: jest.Mock;
+
+  beforeEach(async () => {
+    ledger = [];
+    prisma = {
+      $transaction: jest.fn((work) => work(prisma)),
+      ledgerEntry: {
+        // Unique on (transactionId, account), like the table
+        createMany: jest.fn(async ({ data }) => {
+          for (const entry of data) {
+            const taken = ledger.some(
+              (stored) =>
+                stored.transactionId === entry.transactionId &&
+                stored.account === entry.account
+            );
+            if (!taken) {
+              ledger.push({
+                ...entry,
+                amount: new Prisma.Decimal(entry.amount),
+              });
+            }
+          }
+        }),
+        findMany: jest.fn(async ({ where }) =>
+          ledger.filter((entry) => entry.transactionId === where.transactionId)
+        ),
+      },
+      trip: {
+        update: jest.fn(async ({ data }) => completedTrip(data)),
+      },
+    };
+    riderWallet = jest.fn().mockReturnValue(of({ applied: true }));
+    driverWallet = jest.fn().mockReturnValue(of({ applied: true }));
+
+    service = await createService();
+  });
+
+  async function createService(): Promise<SettlementService> {
+    const app = await Test.createTestingModule({
+      providers: [
+        SettlementService,
+        { provide: PrismaService, useValue: prisma },
+        { provide: PricingService, useValue: {} },
+        { provide: TripEventService, useValue: { record: jest.fn() } },
+        {
+          provide: GRPC_SERVICE.DRIVER.NAME,
+          useValue: {
+            getService: () => ({ applyWalletTransaction: driverWallet }),
+          },
+        },
+        {
+          provide: GRPC_SERVICE.USER.NAME,
+          useValue: {
+            getService: () => ({ applyWalletTransaction: riderWallet }),
+          },
+        },
+      ],
+    }).compile();
+
+    const created = app.get(SettlementService);
+    created.onModuleInit();
+    return created;
+  }
+
+  afterEach(() => {
+    delete process.env.PLATFORM_COMMISSION_RATE;
+    delete process.env.CANCELLATION_FEE;
+    jest.useRealTimers();
+  });
+
+  function booked(account: LedgerAccount): number | undefined {
+    return ledger.find((entry) => entry.account === account)?.amount.toNumber();
+  }
+
+  it('books a balanced transaction and moves both wallets', async () => {
+    const settled = await service.settle(completedTrip());
+
+    expect(settled.settledAt).toBeInstanceOf(Date);
+    expect(booked(LedgerAccount.RIDER_WALLET)).toBe(-50000);
+    expect(booked(LedgerAccount.DRIVER_WALLET)).toBe(40000);
+    expect(booked(LedgerAccount.PLATFORM_REVENUE)).toBe(10000);
+    expect(riderWallet).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 'rider-1',
+        amount: -50000,
+        reference: 'trip:trip-1:settlement:rider',
+      })
+    );
+    expect(driverWallet).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 'driver-1',
+        amount: 40000,
+        reference: 'trip:trip-1:settlement:driver',
+      })
+    );
+  });
+
+  it('leaves a settled trip alone', async () => {
+    const trip = completedTrip({ settledAt: new Date() });
+
+    expect(await service.settle(trip)).toBe(trip);
+    expect(riderWallet).not.toHaveBeenCalled();
+  });
+
+  it('reports a partial settlement as retryable', async () => {
+    driverWallet.mockReturnValue(throwError(() => new Error('unavailable')));
+
+    const error = await service.settle(completedTrip()).catch((error) => error);
+
+    expect(error).toBeInstanceOf(RpcException);
+    expect((error as RpcException).getError()).toMatchObject({
+      code: status.UNAVAILABLE,
+    });
+    expect(prisma.trip.update).not.toHaveBeenCalled();
+  });
+
+  it('finishes a retry with the amounts the first attempt booked', async () => {
+    driverWallet.mockReturnValueOnce(
+      throwError(() => new Error('unavailable'))
+    );
+    await service.settle(completedTrip()).catch(() => undefined);
+
+    // The commission changes between the attempts
+    process.env.PLATFORM_COMMISSION_RATE = '0.3';
+    const retried = await createService();
+
+    await retried.settle(completedTrip());
+
+    expect(ledger).toHaveLength(3);
+    expect(driverWallet).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        amount: 40000,
+        reference: 'trip:trip-1:settlement:driver',
+      })
+    );
+    // Same reference both times, so user-service applies it once
+    expect(
+      riderWallet.mock.calls.map(([request]) => request.reference)
+    ).toEqual(['trip:trip-1:settlement:rider', 'trip:trip-1:settlement:rider']);
+  });
+
+  it('refuses trips that are not completed', async () => {
+    const error = await service
+      .settle(completedTrip({ status: 'ONGOING' }))
+      .catch((error) => error);
+
+    expect((error as RpcException).getError()).toMatchObject({
+      code: status.FAILED_PRECONDITION,
+    });
+    expect(ledger).toHaveLength(0);
+  });
+
+  describe('cancellationFee', () => {
+    const ACCEPTED_AT = new Date('2026-01-01T08:00:00Z');
+
+    function cancelledAfter(ms: number, overrides: Partial<Trip> = {}) {
+      jest.useFakeTimers().setSystemTime(ACCEPTED_AT.getTime() + ms);
+      return service.cancellationFee(
+        completedTrip({
+          status: 'DRIVER_ACCEPTED',
+          acceptedAt: ACCEPTED_AT,
+          ...overrides,
+        })
+      );
+    }
+
+    it('is free within CANCELLATION_GRACE_SECONDS of acceptance', () => {
+      expect(cancelledAfter(0)).toBeNull();
+      expect(cancelledAfter(119_999)).toBeNull();
+    });
+
+    it('charges CANCELLATION_FEE once the grace period is over', () => {
+      expect(cancelledAfter(120_000)).toEqual({
+        amount: 10000,
+        currency: 'VND',
+      });
+    });
+
+    it('charges while the driver waits at the pickup too', () => {
+      expect(cancelledAfter(300_000, { status: 'DRIVER_ARRIVED' })).toEqual({
+        amount: 10000,
+        currency: 'VND',
+      });
+    });
+
+    it('is free before a driver accepted', () => {
+      expect(
+        cancelledAfter(300_000, { status: 'FINDING_DRIVER', acceptedAt: null })
+      ).toBeNull();
+    });
+
+    it('is off with CANCELLATION_FEE=0', async () => {
+      process.env.CANCELLATION_FEE = '0';
+      service = await createService();
+
+      expect(cancelledAfter(300_000)).toBeNull();
+    });
+  });
+
+  describe('waitingFee', () => {
+    const ARRIVED_AT = new Date('2026-01-01T08:00:00Z');
+    const waited = (ms: number) =>
+      service.waitingFee(
+        completedTrip({ arrivedAt: ARRIVED_AT }),
+        new Date(ARRIVED_AT.getTime() + ms)
+      );
+
+    it('is free for the first WAITING_FREE_MINUTES', () => {
+      expect(waited(0)).toBeNull();
+      expect(waited(180_000)).toBeNull();
+    });
+
+    it('bills every started minute after that', () => {
+      expect(waited(180_001)).toEqual({ amount: 1000, minutes: 1 });
+      expect(waited(240_000)).toEqual({ amount: 1000, minutes: 1 });
+      expect(waited(240_001)).toEqual({ amount: 2000, minutes: 2 });
+    });
+
+    it('is free when the driver never reported arrival', () => {
+      expect(
+        service.waitingFee(
+          completedTrip({ arrivedAt: null }),
+          new Date(ARRIVED_AT.getTime() + 600_000)
+        )
+      ).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,328 @@
+import { Inject, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import {
+  GRPC_SERVICE,
+  DriverServiceClient,
+  UserServiceClient,
+} from '@uit-go/shared-client';
+import { firstValueFrom } from 'rxjs';
+import { LedgerAccount, Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { PricingService } from '../pricing/pricing.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+
+/**
+ * Wallet settlement for completed trips
+ *
+ * The fare is split into the driver's payout and the platform commission
+ * (PLATFORM_COMMISSION_RATE, default 0.2) and recorded as one balanced ledger
+ * transaction:
+ *
+ *   RIDER_WALLET      -fare
+ *   DRIVER_WALLET     +payout
+ *   PLATFORM_REVENUE  +commission
+ *
+ * The rider and driver wallets are then moved through user-service and
+ * driver-service. Every step is keyed by the trip (ledger rows by
+ * transactionId, wallet changes by reference), so a retried CompleteTrip
+ * finishes a partial settlement without charging anyone twice, moving the
+ * wallets by the amounts the ledger already holds rather than recomputing
+ * them. The trip is marked settled once both wallets have been updated.
+ *
+ * A rider who cancels more than CANCELLATION_GRACE_SECONDS (default 120) after
+ * a driver accepted is charged CANCELLATION_FEE (default 10000 VND, 0
+ * disables it), settled the same way under its own transaction.
+ *
+ * Once the driver has arrived at the pickup, the rider gets
+ * WAITING_FREE_MINUTES (default 3) to board. Every started minute after that
+ * costs WAITING_FEE_PER_MINUTE (default 1000 VND, 0 disables it), fixed when
+ * the ride starts and added to the fare.
+ */
+@Injectable()
+export class SettlementService implements OnModuleInit {
+  private readonly logger = new Logger(SettlementService.name);
+  private driverService: DriverServiceClient;
+  private userService: UserServiceClient;
+
+  private readonly commissionRate = parseFloat(
+    process.env.PLATFORM_COMMISSION_RATE || '0.2'
+  );
+  private readonly cancellationFeeAmount = parseFloat(
+    process.env.CANCELLATION_FEE || '10000'
+  );
+  private readonly cancellationGraceMs =
+    parseInt(process.env.CANCELLATION_GRACE_SECONDS || '120') * 1000;
+  private readonly waitingFreeMs =
+    parseFloat(process.env.WAITING_FREE_MINUTES || '3') * 60 * 1000;
+  private readonly waitingFeePerMinute = parseFloat(
+    process.env.WAITING_FEE_PER_MINUTE || '1000'
+  );
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly pricingService: PricingService,
+    private readonly tripEvents: TripEventService,
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc,
+    @Inject(GRPC_SERVICE.USER.NAME) private readonly userClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+    this.userService = this.userClient.getService<UserServiceClient>(
+      GRPC_SERVICE.USER.NAME
+    );
+  }
+
+  /**
+   * Fare over the trip's full route (pickup, waypoints, destination) with the
+   * surge locked in at request time. Gives the estimate while the route can
+   * still change and the final fare when the trip completes.
+   */
+  async priceTrip(trip: Trip): Promise<{ fare: number; currency: string }> {
+    const waypoints = await this.prisma.tripWaypoint.findMany({
+      where: { tripId: trip.id },
+      orderBy: { position: 'asc' },
+    });
+
+    const distanceKm = this.pricingService.pathDistance([
+      { latitude: trip.pickupLatitude, longitude: trip.pickupLongitude },
+      ...waypoints,
+      {
+        latitude: trip.destinationLatitude,
+        longitude: trip.destinationLongitude,
+      },
+    ]);
+
+    const quote = await this.pricingService.quote(
+      trip.vehicleType,
+      distanceKm,
+      undefined,
+      trip.surgeMultiplier.toNumber()
+    );
+
+    return { fare: quote.total, currency: quote.currency };
+  }
+
+  /**
+   * Late-cancellation fee owed by a rider cancelling `trip` now, or null
+   * while the cancellation is still free.
+   */
+  cancellationFee(trip: Trip): { amount: number; currency: string } | null {
+    if (
+      (trip.status !== 'DRIVER_ACCEPTED' && trip.status !== 'DRIVER_ARRIVED') ||
+      !trip.acceptedAt ||
+      this.cancellationFeeAmount <= 0
+    ) {
+      return null;
+    }
+
+    if (Date.now() - trip.acceptedAt.getTime() < this.cancellationGraceMs) {
+      return null;
+    }
+
+    return { amount: this.cancellationFeeAmount, currency: 'VND' };
+  }
+
+  /**
+   * Fee for keeping the driver waiting at the pickup from arrival until
+   * `startedAt`, or null when the rider boarded within the free period.
+   */
+  waitingFee(
+    trip: Trip,
+    startedAt = new Date()
+  ): { amount: number; minutes: number } | null {
+    if (!trip.arrivedAt || this.waitingFeePerMinute <= 0) {
+      return null;
+    }
+
+    const billedMs =
+      startedAt.getTime() - trip.arrivedAt.getTime() - this.waitingFreeMs;
+
+    if (billedMs <= 0) {
+      return null;
+    }
+
+    const minutes = Math.ceil(billedMs / 60000);
+
+    return { amount: minutes * this.waitingFeePerMinute, minutes };
+  }
+
+  /**
+   * Settle a completed trip. Safe to call repeatedly; returns the trip as
+   * stored after settlement.
+   */
+  async settle(trip: Trip): Promise<Trip> {
+    if (trip.settledAt) {
+      return trip;
+    }
+
+    if (trip.status !== 'COMPLETED' || !trip.driverId || !trip.fare) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Trip ${trip.id} is not ready for settlement`,
+      });
+    }
+
+    return this.post(trip, trip.driverId, {
+      transactionId: `trip:${trip.id}:settlement`,
+      amount: trip.fare.toNumber(),
+      riderDescription: `Trip ${trip.id} fare`,
+      driverDescription: `Trip ${trip.id} payout`,
+      retryHint: 'retry CompleteTrip',
+    });
+  }
+
+  /**
+   * Charge a late-cancellation fee. The driver who was on the way receives
+   * it minus the platform commission. Safe to call repeatedly.
+   */
+  async settleCancellation(trip: Trip): Promise<Trip> {
+    if (trip.settledAt) {
+      return trip;
+    }
+
+    if (trip.status !== 'CANCELED' || !trip.driverId || !trip.cancellationFee) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Trip ${trip.id} has no cancellation fee to settle`,
+      });
+    }
+
+    return this.post(trip, trip.driverId, {
+      transactionId: `trip:${trip.id}:cancellation`,
+      amount: trip.cancellationFee.toNumber(),
+      riderDescription: `Trip ${trip.id} cancellation fee`,
+      driverDescription: `Trip ${trip.id} cancellation compensation`,
+      retryHint: 'retry CancelTrip',
+    });
+  }
+
+  private async post(
+    trip: Trip,
+    driverId: string,
+    charge: {
+      transactionId: string;
+      amount: number;
+      riderDescription: string;
+      driverDescription: string;
+      retryHint: string;
+    }
+  ): Promise<Trip> {
+    const { transactionId } = charge;
+    const currency = trip.currency ?? 'VND';
+    const fee = Math.round(charge.amount * this.commissionRate * 100) / 100;
+
+    // 1. Ledger first: it is the source of truth for what each party owes
+    await this.prisma.ledgerEntry.createMany({
+      data: [
+        {
+          account: LedgerAccount.RIDER_WALLET,
+          ownerId: trip.userId,
+          amount: -charge.amount,
+        },
+        {
+          account: LedgerAccount.DRIVER_WALLET,
+          ownerId: driverId,
+          amount: Math.round((charge.amount - fee) * 100) / 100,
+        },
+        {
+          account: LedgerAccount.PLATFORM_REVENUE,
+          ownerId: null,
+          amount: fee,
+        },
+      ].map((entry) => ({
+        ...entry,
+        transactionId,
+        tripId: trip.id,
+        currency,
+      })),
+      // Already recorded by an earlier attempt
+      skipDuplicates: true,
+    });
+
+    // A retry moves the wallets by what the first attempt booked, even if
+    // the commission rate has changed since
+    const { amount, payout, commission } = await this.bookedAmounts(
+      transactionId
+    );
+
+    // 2. Move the wallets; each reference is applied at most once
+    try {
+      await firstValueFrom(
+        this.userService.applyWalletTransaction({
+          userId: trip.userId,
+          amount: -amount,
+          reference: `${transactionId}:rider`,
+          description: charge.riderDescription,
+        })
+      );
+
+      await firstValueFrom(
+        this.driverService.applyWalletTransaction({
+          userId: driverId,
+          amount: payout,
+          reference: `${transactionId}:driver`,
+          description: charge.driverDescription,
+        })
+      );
+    } catch (error) {
+      this.logger.error(
+        `Settlement of trip ${trip.id} incomplete: ${error.message}`
+      );
+      throw new RpcException({
+        code: status.UNAVAILABLE,
+        message: `Trip ${trip.id} is ${trip.status} but payment is pending, ${charge.retryHint}`,
+      });
+    }
+
+    // 3. Done
+    const settled = await this.prisma.$transaction(async (db) => {
+      const updated = await db.trip.update({
+        where: { id: trip.id },
+        data: { settledAt: new Date() },
+      });
+
+      await this.tripEvents.record(
+        trip.id,
+        {
+          type: 'SETTLED',
+          actorType: 'SYSTEM',
+          payload: { transactionId, amount, payout, commission, currency },
+        },
+        db
+      );
+
+      return updated;
+    });
+
+    this.logger.log(
+      `Trip ${trip.id} settled (${transactionId}): ${amount}, payout ${payout}, commission ${commission} ${currency}`
+    );
+
+    return settled;
+  }
+
+  /**
+   * What a ledger transaction charged the rider and split between the driver
+   * and the platform
+   */
+  private async bookedAmounts(
+    transactionId: string
+  ): Promise<{ amount: number; payout: number; commission: number }> {
+    const entries = await this.prisma.ledgerEntry.findMany({
+      where: { transactionId },
+    });
+    const booked = (account: LedgerAccount) =>
+      entries.find((entry) => entry.account === account)?.amount.toNumber() ??
+      0;
+
+    return {
+      amount: -booked(LedgerAccount.RIDER_WALLET),
+      payout: booked(LedgerAccount.DRIVER_WALLET),
+      commission: booked(LedgerAccount.PLATFORM_REVENUE),
+    };
+  }
+}
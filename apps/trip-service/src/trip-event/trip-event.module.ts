@@ -0,0 +1,10 @@
+import { Module } from '@nestjs/common';
+import { PrismaModule } from '../common/prisma/prisma.module';
+import { TripEventService } from './trip-event.service';
+
+@Module({
+  imports: [PrismaModule],
+  providers: [TripEventService],
+  exports: [TripEventService],
+})
+export class TripEventModule {}
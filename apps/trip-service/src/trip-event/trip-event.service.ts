@@ -0,0 +1,70 @@
+import { Injectable } from '@nestjs/common';
+import { TripEventsResponse } from '@uit-go/shared-types';
+import {
+  Prisma,
+  TripActor,
+  TripEvent,
+  TripEventType,
+} from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { tripNotFound } from '../trip/trip-status';
+
+export interface TripEventInput {
+  type: TripEventType;
+  actorType?: TripActor | null;
+  actorId?: string | null;
+  payload?: Prisma.InputJsonObject;
+}
+
+/**
+ * Append-only trip timeline. Pass the transaction client when the event
+ * belongs to a change made inside a transaction, so both commit together.
+ */
+@Injectable()
+export class TripEventService {
+  constructor(private readonly prisma: PrismaService) {}
+
+  async record(
+    tripId: string,
+    event: TripEventInput,
+    db: Prisma.TransactionClient = this.prisma
+  ): Promise<TripEvent> {
+    return db.tripEvent.create({
+      data: {
+        tripId,
+        type: event.type,
+        actorType: event.actorType ?? null,
+        actorId: event.actorId ?? null,
+        payload: event.payload,
+      },
+    });
+  }
+
+  async getTimeline(tripId: string): Promise<TripEventsResponse> {
+    const trip = await this.prisma.trip.findUnique({
+      where: { id: tripId },
+      select: { id: true },
+    });
+
+    if (!trip) {
+      throw tripNotFound(tripId);
+    }
+
+    const events = await this.prisma.tripEvent.findMany({
+      where: { tripId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return {
+      events: events.map((event) => ({
+        id: event.id,
+        tripId: event.tripId,
+        type: event.type,
+        actorType: event.actorType ?? undefined,
+        actorId: event.actorId ?? undefined,
+        payload: event.payload ? JSON.stringify(event.payload) : undefined,
+        createdAt: event.createdAt.toISOString(),
+      })),
+    };
+  }
+}
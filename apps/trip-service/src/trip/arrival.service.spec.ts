@@ -0,0 +1,118 @@
+import { Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { NotificationService } from '../notification/notification.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { ArrivalService } from './arrival.service';
+
+const PICKUP = { pickupLatitude: 10.7626, pickupLongitude: 106.6826 };
+
+const accepted = {
+  id: 'trip-1',
+  userId: 'rider-1',
+  driverId: 'driver-1',
+  status: 'DRIVER_ACCEPTED',
+  ...PICKUP,
+} as Trip;
+
+describe('ArrivalService', () => {
+  let service: ArrivalService;
+  let updateMany: jest.Mock;
+  let notifyRider: jest.Mock;
+
+  beforeEach(() => {
+    updateMany = jest.fn().mockResolvedValue({ count: 1 });
+    notifyRider = jest.fn();
+
+    const db = {
+      trip: {
+        updateMany,
+        findUniqueOrThrow: jest
+          .fn()
+          .mockResolvedValue({ ...accepted, status: 'DRIVER_ARRIVED' }),
+      },
+    };
+    const prisma = {
+      trip: { findUnique: jest.fn().mockResolvedValue(accepted) },
+      $transaction: jest.fn((work) => work(db)),
+    };
+
+    service = new ArrivalService(
+      prisma as unknown as PrismaService,
+      { record: jest.fn() } as unknown as TripEventService,
+      { notifyRider } as unknown as NotificationService
+    );
+    service.watch(accepted);
+  });
+
+  function position(
+    overrides: Record<string, unknown> = {},
+    topic = 'driver/position/driver-1'
+  ) {
+    return service.handleLocationUpdate(
+      topic,
+      Buffer.from(
+        JSON.stringify({
+          driverId: 'driver-1',
+          latitude: PICKUP.pickupLatitude,
+          longitude: PICKUP.pickupLongitude,
+          timestamp: Date.now(),
+          ...overrides,
+        })
+      )
+    );
+  }
+
+  it('marks the trip arrived once the driver reaches the pickup', async () => {
+    await position();
+
+    expect(updateMany).toHaveBeenCalledWith({
+      where: { id: 'trip-1', status: 'DRIVER_ACCEPTED', driverId: 'driver-1' },
+      data: { status: 'DRIVER_ARRIVED', arrivedAt: expect.any(Date) },
+    });
+    expect(notifyRider).toHaveBeenCalledWith(
+      'rider-1',
+      expect.objectContaining({ type: 'DRIVER_ARRIVED', tripId: 'trip-1' })
+    );
+  });
+
+  it('waits while the driver is still away', async () => {
+    // About 1.1 km north
+    await position({ latitude: PICKUP.pickupLatitude + 0.01 });
+
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('ignores a position published under another driver', async () => {
+    await position({}, 'driver/position/driver-2');
+
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('ignores a position older than ARRIVAL_MAX_POSITION_AGE_MS', async () => {
+    await position({ timestamp: Date.now() - 31_000 });
+
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('ignores a position dated ahead of the clock', async () => {
+    await position({ timestamp: Date.now() + 60_000 });
+
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('ignores a position without a usable date', async () => {
+    await position({ timestamp: undefined });
+    await position({ timestamp: 'now' });
+
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('ignores a position arriving after a newer one', async () => {
+    const now = Date.now();
+
+    await position({ latitude: PICKUP.pickupLatitude + 0.01, timestamp: now });
+    await position({ timestamp: now - 1000 });
+
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+});
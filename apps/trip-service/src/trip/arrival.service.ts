@@ -0,0 +1,317 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import * as mqtt from 'mqtt';
+import { Trip, TripActor } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { haversineDistance } from '../common/geo/geo.util';
+import { NotificationService } from '../notification/notification.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { assertTransition, tripNotFound } from './trip-status';
+import { TripWithWaypoints, WITH_WAYPOINTS } from './waypoint.service';
+
+interface PendingPickup {
+  tripId: string;
+  latitude: number;
+  longitude: number;
+}
+
+// How far ahead of this instance's clock a position may be dated
+const CLOCK_SKEW_MS = 5000;
+
+/**
+ * Driver arrival at the pickup
+ *
+ * A trip moves from DRIVER_ACCEPTED to DRIVER_ARRIVED when the driver reports
+ * it (ArriveTrip) or, automatically, when one of their positions lands within
+ * ARRIVAL_RADIUS_METERS (default 100) of the pickup. The rider is notified
+ * either way, and the waiting-time clock starts at arrival.
+ *
+ * Positions come from `driver/position/{driverId}`, where driver-service
+ * publishes those its location pipeline accepted. One published under another
+ * driver's topic, dated more than ARRIVAL_MAX_POSITION_AGE_MS (default 30000)
+ * ago, or dated before the last one seen for the driver is ignored.
+ *
+ * Accepted trips are kept in memory by driver and reloaded from the database
+ * every ARRIVAL_REFRESH_INTERVAL_MS (default 30000), so trips accepted on
+ * another instance are picked up too. The status change is conditional, so
+ * instances seeing the same update cannot record the arrival twice.
+ */
+@Injectable()
+export class ArrivalService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(ArrivalService.name);
+  private readonly TOPIC = 'driver/position/+';
+  private client: mqtt.MqttClient;
+  private refreshTimer: NodeJS.Timeout;
+  private refreshing = false;
+  private pickups = new Map<string, PendingPickup[]>();
+  // When the last position of each watched driver was taken
+  private lastPositionAt = new Map<string, number>();
+
+  private readonly radiusKm =
+    parseFloat(process.env.ARRIVAL_RADIUS_METERS || '100') / 1000;
+  private readonly refreshIntervalMs = parseInt(
+    process.env.ARRIVAL_REFRESH_INTERVAL_MS || '30000'
+  );
+  private readonly maxPositionAgeMs = parseInt(
+    process.env.ARRIVAL_MAX_POSITION_AGE_MS || '30000'
+  );
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly tripEvents: TripEventService,
+    private readonly notificationService: NotificationService
+  ) {}
+
+  onModuleInit() {
+    const refresh = () =>
+      this.refresh().catch((error) =>
+        this.logger.error(`Arrival refresh failed: ${error.message}`)
+      );
+
+    refresh();
+    this.refreshTimer = setInterval(refresh, this.refreshIntervalMs);
+
+    const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://mosquitto:1883';
+
+    this.client = mqtt.connect(brokerUrl, {
+      clientId: `trip-service-arrival-${Math.random().toString(16).slice(3)}`,
+      clean: true,
+      connectTimeout: 4000,
+      reconnectPeriod: 1000,
+    });
+
+    this.client.on('connect', () => {
+      this.client.subscribe(this.TOPIC, (err) => {
+        if (err) {
+          this.logger.error(`Failed to subscribe to ${this.TOPIC}:`, err);
+        }
+      });
+    });
+
+    this.client.on('message', (topic, message) => {
+      this.handleLocationUpdate(topic, message).catch((error) =>
+        this.logger.error(`Error processing location update: ${error.message}`)
+      );
+    });
+
+    this.client.on('error', (error) => {
+      this.logger.error('MQTT connection error:', error);
+    });
+  }
+
+  onModuleDestroy() {
+    clearInterval(this.refreshTimer);
+    this.client?.end(true);
+  }
+
+  /**
+   * Start watching the driver of a freshly accepted trip without waiting for
+   * the next refresh.
+   */
+  watch(trip: Trip): void {
+    if (
+      !trip.driverId ||
+      trip.pickupLatitude == null ||
+      trip.pickupLongitude == null
+    ) {
+      return;
+    }
+
+    const pending = (this.pickups.get(trip.driverId) ?? []).filter(
+      (pickup) => pickup.tripId !== trip.id
+    );
+
+    pending.push({
+      tripId: trip.id,
+      latitude: trip.pickupLatitude,
+      longitude: trip.pickupLongitude,
+    });
+    this.pickups.set(trip.driverId, pending);
+  }
+
+  /**
+   * Mark the driver as waiting at the pickup. Reporting arrival again is a
+   * no-op; `driverId` must be the trip's driver.
+   */
+  async arrive(
+    id: string,
+    driverId: string,
+    actor: TripActor = TripActor.DRIVER
+  ): Promise<TripWithWaypoints> {
+    const trip = await this.prisma.trip.findUnique({
+      where: { id },
+      include: WITH_WAYPOINTS,
+    });
+
+    if (!trip) {
+      throw tripNotFound(id);
+    }
+
+    if (!driverId || trip.driverId !== driverId) {
+      throw new RpcException({
+        code: status.PERMISSION_DENIED,
+        message: `Only the driver of trip ${id} can report arrival`,
+      });
+    }
+
+    if (trip.status === 'DRIVER_ARRIVED') {
+      return trip;
+    }
+
+    assertTransition(trip, 'DRIVER_ARRIVED');
+
+    const arrived = await this.prisma.$transaction(async (db) => {
+      const { count } = await db.trip.updateMany({
+        where: { id, status: trip.status, driverId: trip.driverId },
+        data: { status: 'DRIVER_ARRIVED', arrivedAt: new Date() },
+      });
+
+      if (count === 0) {
+        throw new RpcException({
+          code: status.ABORTED,
+          message: `Trip ${id} changed while moving to DRIVER_ARRIVED, retry`,
+        });
+      }
+
+      await this.tripEvents.record(
+        id,
+        { type: 'DRIVER_ARRIVED', actorType: actor, actorId: trip.driverId },
+        db
+      );
+
+      return db.trip.findUniqueOrThrow({
+        where: { id },
+        include: WITH_WAYPOINTS,
+      });
+    });
+
+    this.forget(arrived);
+
+    this.notificationService.notifyRider(arrived.userId, {
+      type: 'DRIVER_ARRIVED',
+      tripId: arrived.id,
+      message: 'Your driver has arrived at the pickup point',
+    });
+
+    return arrived;
+  }
+
+  /**
+   * Reload the accepted trips still waiting for their driver.
+   */
+  async refresh(): Promise<void> {
+    // A slow reload must not overlap the next one
+    if (this.refreshing) return;
+    this.refreshing = true;
+
+    try {
+      const accepted = await this.prisma.trip.findMany({
+        where: {
+          status: 'DRIVER_ACCEPTED',
+          driverId: { not: null },
+          pickupLatitude: { not: null },
+          pickupLongitude: { not: null },
+        },
+      });
+
+      this.pickups = new Map();
+      accepted.forEach((trip) => this.watch(trip));
+
+      for (const driverId of this.lastPositionAt.keys()) {
+        if (!this.pickups.has(driverId)) this.lastPositionAt.delete(driverId);
+      }
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  /**
+   * Mark arrived the trips whose pickup a driver position lands on
+   */
+  async handleLocationUpdate(topic: string, message: Buffer): Promise<void> {
+    const { driverId, latitude, longitude, timestamp } = JSON.parse(
+      message.toString()
+    );
+    const pending = this.pickups.get(driverId);
+
+    if (
+      !pending ||
+      driverId !== topic.split('/')[2] ||
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      !this.isLatest(driverId, timestamp)
+    ) {
+      return;
+    }
+
+    for (const pickup of pending) {
+      const distanceKm = haversineDistance(
+        latitude,
+        longitude,
+        pickup.latitude,
+        pickup.longitude
+      );
+
+      if (distanceKm > this.radiusKm) {
+        continue;
+      }
+
+      try {
+        await this.arrive(pickup.tripId, driverId, TripActor.SYSTEM);
+        this.logger.log(
+          `Driver ${driverId} arrived at the pickup of trip ${pickup.tripId}`
+        );
+      } catch (error) {
+        // Cancelled, started or reassigned since the last refresh
+        this.logger.warn(
+          `Cannot mark trip ${pickup.tripId} arrived: ${error.message}`
+        );
+        this.forget({ id: pickup.tripId, driverId });
+      }
+    }
+  }
+
+  /**
+   * Whether a position is recent and not older than the last one seen for
+   * the driver, in which case it becomes the last one
+   */
+  private isLatest(driverId: string, timestamp: unknown): boolean {
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+      return false;
+    }
+
+    const now = Date.now();
+
+    if (
+      timestamp < now - this.maxPositionAgeMs ||
+      timestamp > now + CLOCK_SKEW_MS ||
+      timestamp < (this.lastPositionAt.get(driverId) ?? -Infinity)
+    ) {
+      return false;
+    }
+
+    this.lastPositionAt.set(driverId, timestamp);
+    return true;
+  }
+
+  private forget(trip: Pick<Trip, 'id' | 'driverId'>): void {
+    if (!trip.driverId) return;
+
+    const pending = (this.pickups.get(trip.driverId) ?? []).filter(
+      (pickup) => pickup.tripId !== trip.id
+    );
+
+    if (pending.length > 0) {
+      this.pickups.set(trip.driverId, pending);
+    } else {
+      this.pickups.delete(trip.driverId);
+      this.lastPositionAt.delete(trip.driverId);
+    }
+  }
+}
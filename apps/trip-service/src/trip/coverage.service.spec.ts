@@ -0,0 +1,144 @@
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { CheckCoverageRequest } from '@uit-go/shared-types';
+import { of, throwError } from 'rxjs';
+import { CoverageService } from './coverage.service';
+
+const PICKUP = { latitude: 10.7626, longitude: 106.6826 };
+const DESTINATION = { latitude: 10.8231, longitude: 106.6297 };
+const STOP = { latitude: 10.78, longitude: 106.7 };
+
+describe('CoverageService', () => {
+  let service: CoverageService;
+  let checkCoverage: jest.Mock;
+
+  beforeEach(() => {
+    checkCoverage = jest.fn();
+    service = new CoverageService({
+      getService: () => ({ checkCoverage }),
+    } as unknown as ClientGrpc);
+    service.onModuleInit();
+  });
+
+  // Answers as driver-service would, covering the points `covered` accepts
+  function areas(covered: (latitude: number) => boolean, restricted = true) {
+    checkCoverage.mockImplementation(({ points }: CheckCoverageRequest) =>
+      of({
+        restricted,
+        list: points.map((point) => ({
+          ...point,
+          covered: !restricted || covered(point.latitude),
+        })),
+      })
+    );
+  }
+
+  async function rejection(promise: Promise<unknown>) {
+    const error = await promise.catch((error) => error);
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+
+  describe('assertCovered', () => {
+    it('lets a route inside the service area through', async () => {
+      areas(() => true);
+
+      await expect(
+        service.assertCovered({ pickup: PICKUP, destination: DESTINATION })
+      ).resolves.toBeUndefined();
+    });
+
+    it('names the first stop outside the service area', async () => {
+      areas((latitude) => latitude !== STOP.latitude);
+
+      const error = await rejection(
+        service.assertCovered({
+          pickup: PICKUP,
+          waypoints: [PICKUP, STOP],
+          destination: DESTINATION,
+        })
+      );
+
+      expect(error.code).toBe(status.OUT_OF_RANGE);
+      expect(error.message).toBe(
+        'Waypoint 2 (10.78, 106.7) is outside the service area'
+      );
+    });
+
+    it('does not restrict routes while no area is active', async () => {
+      areas(() => false, false);
+
+      await expect(
+        service.assertCovered({ pickup: PICKUP, destination: DESTINATION })
+      ).resolves.toBeUndefined();
+    });
+
+    it('lets the route through when driver-service cannot be reached', async () => {
+      checkCoverage.mockReturnValue(
+        throwError(() => new Error('14 UNAVAILABLE'))
+      );
+
+      await expect(
+        service.assertCovered({ pickup: PICKUP, destination: DESTINATION })
+      ).resolves.toBeUndefined();
+    });
+
+    it('checks 0 as a coordinate and skips points without one', async () => {
+      areas(() => false);
+
+      const error = await rejection(
+        service.assertCovered({
+          pickup: { latitude: 0, longitude: 0 },
+          destination: { latitude: DESTINATION.latitude },
+        })
+      );
+
+      expect(error.message).toBe('Pickup (0, 0) is outside the service area');
+      expect(checkCoverage).toHaveBeenCalledWith({
+        points: [{ latitude: 0, longitude: 0 }],
+      });
+    });
+
+    it('asks nothing for a route without points', async () => {
+      await service.assertCovered({});
+
+      expect(checkCoverage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lookup', () => {
+    it('returns the area of the point', async () => {
+      checkCoverage.mockReturnValue(
+        of({
+          restricted: true,
+          list: [{ ...PICKUP, covered: true, requireStartPin: true }],
+        })
+      );
+
+      expect(await service.lookup(PICKUP)).toEqual({
+        restricted: true,
+        coverage: { ...PICKUP, covered: true, requireStartPin: true },
+      });
+    });
+
+    it('reads a missing restricted flag as unrestricted', async () => {
+      checkCoverage.mockReturnValue(of({ list: [] }));
+
+      expect(await service.lookup(PICKUP)).toEqual({
+        restricted: false,
+        coverage: undefined,
+      });
+    });
+
+    it('returns null when driver-service cannot be reached', async () => {
+      checkCoverage.mockReturnValue(
+        throwError(() => new Error('14 UNAVAILABLE'))
+      );
+
+      expect(await service.lookup(PICKUP)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { Inject, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { GRPC_SERVICE, DriverServiceClient } from '@uit-go/shared-client';
+import {
+  CheckCoverageResponse,
+  CoveragePoint,
+  PointCoverage,
+} from '@uit-go/shared-types';
+import { firstValueFrom } from 'rxjs';
+
+interface RouteStop {
+  label: string;
+  point: CoveragePoint;
+}
+
+/**
+ * Service-area checks for trip routes
+ *
+ * A trip has to start and end where the platform operates: pickups,
+ * destinations and stops outside every active service area are rejected
+ * before anything is stored. Areas are managed in driver-service; if it
+ * cannot be reached the route is let through rather than blocking every
+ * booking.
+ */
+@Injectable()
+export class CoverageService implements OnModuleInit {
+  private readonly logger = new Logger(CoverageService.name);
+  private driverService: DriverServiceClient;
+
+  constructor(
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  async assertCovered(route: {
+    pickup?: Partial<CoveragePoint>;
+    destination?: Partial<CoveragePoint>;
+    waypoints?: CoveragePoint[];
+  }): Promise<void> {
+    const stops: RouteStop[] = [
+      { label: 'Pickup', point: route.pickup },
+      ...(route.waypoints ?? []).map((point, index) => ({
+        label: `Waypoint ${index + 1}`,
+        point,
+      })),
+      { label: 'Destination', point: route.destination },
+    ].filter((stop): stop is RouteStop => isPoint(stop.point));
+
+    if (stops.length === 0) {
+      return;
+    }
+
+    let coverage: CheckCoverageResponse;
+
+    try {
+      coverage = await firstValueFrom(
+        this.driverService.checkCoverage({
+          points: stops.map((stop) => stop.point),
+        })
+      );
+    } catch (error) {
+      this.logger.warn(`Coverage check skipped: ${error.message}`);
+      return;
+    }
+
+    const outside = stops.find((_, index) => !coverage.list?.[index]?.covered);
+
+    if (coverage.restricted && outside) {
+      const { latitude, longitude } = outside.point;
+
+      throw new RpcException({
+        code: status.OUT_OF_RANGE,
+        message: `${outside.label} (${latitude}, ${longitude}) is outside the service area`,
+      });
+    }
+  }
+
+  /**
+   * The service area a single point lies in, or null when driver-service
+   * cannot be reached.
+   */
+  async lookup(
+    point: CoveragePoint
+  ): Promise<{ restricted: boolean; coverage?: PointCoverage } | null> {
+    try {
+      const response = await firstValueFrom(
+        this.driverService.checkCoverage({ points: [point] })
+      );
+
+      return {
+        restricted: response.restricted ?? false,
+        coverage: response.list?.[0],
+      };
+    } catch (error) {
+      this.logger.warn(`Coverage lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+function isPoint(point: Partial<CoveragePoint> | undefined): boolean {
+  return Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+}
@@ -0,0 +1,383 @@
+import { Test } from '@nestjs/testing';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { GRPC_SERVICE } from '@uit-go/shared-client';
+import { of } from 'rxjs';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { NotificationService } from '../notification/notification.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { DispatchService } from './dispatch.service';
+import { PoolingService } from './pooling.service';
+
+const inFuture = () => new Date(Date.now() + 10_000);
+const inPast = () => new Date(Date.now() - 1_000);
+
+describe('DispatchService', () => {
+  let service: DispatchService;
+  let prisma: {
+    $transaction: jest.Mock;
+    $queryRaw: jest.Mock;
+    trip: Record<string, jest.Mock>;
+    tripOffer: Record<string, jest.Mock>;
+  };
+  let tripEvents: { record: jest.Mock };
+  let searchNearbyDrivers: jest.Mock;
+
+  const searchingTrip = {
+    id: 'trip-1',
+    userId: 'rider-1',
+    status: 'FINDING_DRIVER',
+    driverId: null,
+    pooled: false,
+    vehicleType: 'MOTOBIKE',
+    pickupLatitude: 10.76,
+    pickupLongitude: 106.68,
+    createdAt: new Date(),
+    matchingStartedAt: new Date(),
+    scheduledAt: null,
+  };
+
+  beforeEach(async () => {
+    prisma = {
+      // Interactive transactions run against the same mock
+      $transaction: jest.fn((work) => work(prisma)),
+      // Row lock taken before making an offer
+      $queryRaw: jest.fn().mockResolvedValue([{ status: 'FINDING_DRIVER' }]),
+      trip: {
+        findUnique: jest.fn().mockResolvedValue(searchingTrip),
+        findMany: jest.fn().mockResolvedValue([]),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        findUniqueOrThrow: jest.fn().mockResolvedValue({
+          ...searchingTrip,
+          status: 'DRIVER_ACCEPTED',
+          driverId: 'driver-1',
+        }),
+      },
+      tripOffer: {
+        findFirst: jest.fn(),
+        findMany: jest.fn().mockResolvedValue([]),
+        count: jest.fn().mockResolvedValue(0),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        create: jest.fn(({ data }) => ({ id: 'offer-2', ...data })),
+      },
+    };
+    tripEvents = { record: jest.fn() };
+    searchNearbyDrivers = jest.fn().mockReturnValue(of({ list: [] }));
+
+    const app = await Test.createTestingModule({
+      providers: [
+        DispatchService,
+        { provide: PrismaService, useValue: prisma },
+        { provide: TripEventService, useValue: tripEvents },
+        { provide: NotificationService, useValue: { notifyRider: jest.fn() } },
+        {
+          provide: PoolingService,
+          useValue: { findCandidates: jest.fn().mockResolvedValue([]) },
+        },
+        {
+          provide: GRPC_SERVICE.DRIVER.NAME,
+          useValue: { getService: () => ({ searchNearbyDrivers }) },
+        },
+      ],
+    }).compile();
+
+    service = app.get(DispatchService);
+    service.onModuleInit();
+  });
+
+  afterEach(() => {
+    service.onModuleDestroy();
+  });
+
+  function pendingOffer(expiresAt = inFuture()) {
+    prisma.tripOffer.findFirst.mockResolvedValue({
+      id: 'offer-1',
+      tripId: 'trip-1',
+      driverId: 'driver-1',
+      status: 'PENDING',
+      expiresAt,
+    });
+  }
+
+  async function rejection(promise: Promise<unknown>) {
+    const error = await promise.catch((error) => error);
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+
+  describe('acceptOffer', () => {
+    it('claims the offer and binds the driver to the trip', async () => {
+      pendingOffer();
+
+      const trip = await service.acceptOffer('trip-1', 'driver-1');
+
+      expect(trip.driverId).toBe('driver-1');
+      expect(prisma.tripOffer.updateMany).toHaveBeenCalledWith({
+        where: { id: 'offer-1', status: 'PENDING' },
+        data: expect.objectContaining({ status: 'ACCEPTED' }),
+      });
+      expect(prisma.trip.updateMany).toHaveBeenCalledWith({
+        where: { id: 'trip-1', status: 'FINDING_DRIVER' },
+        data: expect.objectContaining({
+          status: 'DRIVER_ACCEPTED',
+          driverId: 'driver-1',
+        }),
+      });
+      expect(tripEvents.record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({ type: 'ACCEPTED', actorId: 'driver-1' }),
+        prisma
+      );
+    });
+
+    it('rejects a driver without a pending offer', async () => {
+      prisma.tripOffer.findFirst.mockResolvedValue(null);
+
+      const error = await rejection(service.acceptOffer('trip-1', 'driver-1'));
+
+      expect(error.code).toBe(status.FAILED_PRECONDITION);
+      expect(error.message).toBe(
+        'Driver driver-1 has no pending offer for trip trip-1'
+      );
+    });
+
+    it('rejects an expired offer', async () => {
+      pendingOffer(inPast());
+
+      const error = await rejection(service.acceptOffer('trip-1', 'driver-1'));
+
+      expect(error.message).toBe('Offer for trip trip-1 has expired');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('lets only one of two concurrent answers win', async () => {
+      pendingOffer();
+      prisma.tripOffer.updateMany.mockResolvedValue({ count: 0 });
+
+      const error = await rejection(service.acceptOffer('trip-1', 'driver-1'));
+
+      expect(error.code).toBe(status.FAILED_PRECONDITION);
+      expect(error.message).toBe('Offer for trip trip-1 is no longer pending');
+      expect(tripEvents.record).not.toHaveBeenCalled();
+    });
+
+    it('rejects trips that are no longer searching', async () => {
+      prisma.trip.findUnique.mockResolvedValue({
+        ...searchingTrip,
+        status: 'CANCELED',
+      });
+
+      const error = await rejection(service.acceptOffer('trip-1', 'driver-1'));
+
+      expect(error.code).toBe(status.FAILED_PRECONDITION);
+      expect(prisma.tripOffer.findFirst).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revertAcceptance', () => {
+    it('puts the trip back to searching and reopens the offer', async () => {
+      await service.revertAcceptance(
+        'trip-1',
+        'driver-1',
+        'driver-service down'
+      );
+
+      expect(prisma.trip.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: 'trip-1',
+          status: 'DRIVER_ACCEPTED',
+          driverId: 'driver-1',
+        },
+        data: expect.objectContaining({
+          status: 'FINDING_DRIVER',
+          driverId: null,
+        }),
+      });
+      expect(prisma.tripOffer.updateMany).toHaveBeenCalledWith({
+        where: { tripId: 'trip-1', driverId: 'driver-1', status: 'ACCEPTED' },
+        data: { status: 'PENDING', respondedAt: null },
+      });
+      expect(tripEvents.record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({ type: 'ACCEPT_REVERTED' }),
+        prisma
+      );
+    });
+
+    it('leaves a trip that moved on meanwhile alone', async () => {
+      prisma.trip.updateMany.mockResolvedValue({ count: 0 });
+
+      await service.revertAcceptance('trip-1', 'driver-1', 'timeout');
+
+      expect(prisma.tripOffer.updateMany).not.toHaveBeenCalled();
+      expect(tripEvents.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('declineOffer', () => {
+    it('records the refusal and offers the trip to the next driver', async () => {
+      pendingOffer();
+      prisma.trip.findUnique
+        .mockResolvedValueOnce(searchingTrip)
+        .mockResolvedValueOnce({
+          ...searchingTrip,
+          offers: [{ driverId: 'driver-1', status: 'DECLINED' }],
+        });
+      searchNearbyDrivers.mockReturnValue(
+        of({ list: [{ driverId: 'driver-1' }, { driverId: 'driver-2' }] })
+      );
+
+      await service.declineOffer('trip-1', 'driver-1');
+
+      expect(prisma.tripOffer.updateMany).toHaveBeenCalledWith({
+        where: { id: 'offer-1', status: 'PENDING' },
+        data: expect.objectContaining({ status: 'DECLINED' }),
+      });
+      expect(tripEvents.record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({ type: 'OFFER_DECLINED' })
+      );
+      // Never re-offered to the driver who declined
+      expect(prisma.tripOffer.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          tripId: 'trip-1',
+          driverId: 'driver-2',
+        }),
+      });
+    });
+
+    it('does nothing more when the offer was answered meanwhile', async () => {
+      pendingOffer();
+      prisma.tripOffer.updateMany.mockResolvedValue({ count: 0 });
+
+      await service.declineOffer('trip-1', 'driver-1');
+
+      expect(tripEvents.record).not.toHaveBeenCalled();
+      expect(searchNearbyDrivers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('offerToNextCandidate', () => {
+    beforeEach(() => {
+      prisma.trip.findUnique.mockResolvedValue({
+        ...searchingTrip,
+        offers: [],
+      });
+      searchNearbyDrivers.mockReturnValue(
+        of({
+          list: [
+            { driverId: 'driver-1' },
+            { driverId: 'driver-2' },
+            { driverId: 'driver-3' },
+          ],
+        })
+      );
+    });
+
+    it('skips drivers on a trip or holding another offer', async () => {
+      prisma.trip.findMany.mockResolvedValue([{ driverId: 'driver-1' }]);
+      prisma.tripOffer.findMany.mockResolvedValue([{ driverId: 'driver-2' }]);
+
+      const offer = await service.offerToNextCandidate('trip-1');
+
+      expect(offer?.driverId).toBe('driver-3');
+      expect(tripEvents.record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({ type: 'OFFERED' }),
+        prisma
+      );
+    });
+
+    it('does not offer a trip that already has a live offer', async () => {
+      prisma.trip.findUnique.mockResolvedValue({
+        ...searchingTrip,
+        offers: [{ driverId: 'driver-1', status: 'PENDING' }],
+      });
+
+      expect(await service.offerToNextCandidate('trip-1')).toBeNull();
+      expect(searchNearbyDrivers).not.toHaveBeenCalled();
+    });
+
+    it('makes one offer when two runs dispatch the trip at once', async () => {
+      const offers: Array<{ tripId: string; status: string }> = [];
+      let lock = Promise.resolve();
+
+      // Transactions holding the trip row run one after the other
+      prisma.$transaction.mockImplementation((work) => {
+        const run = lock.then(() => work(prisma));
+        lock = run.then(
+          () => undefined,
+          () => undefined
+        );
+        return run;
+      });
+      prisma.tripOffer.count.mockImplementation(
+        async ({ where }) =>
+          offers.filter(
+            (offer) =>
+              offer.tripId === where.tripId && offer.status === where.status
+          ).length
+      );
+      prisma.tripOffer.create.mockImplementation(async ({ data }) => {
+        const offer = { id: `offer-${offers.length + 1}`, ...data };
+        offers.push({ ...offer, status: 'PENDING' });
+        return offer;
+      });
+
+      const results = await Promise.all([
+        service.offerToNextCandidate('trip-1'),
+        service.offerToNextCandidate('trip-1'),
+      ]);
+
+      expect(offers).toHaveLength(1);
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(tripEvents.record).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not offer a trip matched while candidates were searched', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ status: 'DRIVER_ACCEPTED' }]);
+
+      expect(await service.offerToNextCandidate('trip-1')).toBeNull();
+      expect(prisma.tripOffer.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('expires overdue offers and re-dispatches their trips', async () => {
+      prisma.tripOffer.findMany.mockResolvedValueOnce([
+        { id: 'offer-1', tripId: 'trip-1', driverId: 'driver-1' },
+      ]);
+      const offerToNextCandidate = jest
+        .spyOn(service, 'offerToNextCandidate')
+        .mockResolvedValue(null);
+
+      await service.expireOffers();
+
+      expect(prisma.tripOffer.updateMany).toHaveBeenCalledWith({
+        where: { id: 'offer-1', status: 'PENDING' },
+        data: expect.objectContaining({ status: 'EXPIRED' }),
+      });
+      expect(tripEvents.record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({ type: 'OFFER_EXPIRED' })
+      );
+      expect(offerToNextCandidate).toHaveBeenCalledWith('trip-1');
+    });
+
+    it('leaves offers collected by another instance alone', async () => {
+      prisma.tripOffer.findMany.mockResolvedValueOnce([
+        { id: 'offer-1', tripId: 'trip-1', driverId: 'driver-1' },
+      ]);
+      prisma.tripOffer.updateMany.mockResolvedValue({ count: 0 });
+      const offerToNextCandidate = jest.spyOn(service, 'offerToNextCandidate');
+
+      await service.expireOffers();
+
+      expect(tripEvents.record).not.toHaveBeenCalled();
+      expect(offerToNextCandidate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,578 @@
+import {
+  Inject,
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { GRPC_SERVICE, DriverServiceClient } from '@uit-go/shared-client';
+import { NearbyQuery, VehicleTypeEnum } from '@uit-go/shared-types';
+import { firstValueFrom } from 'rxjs';
+import { Trip, TripOffer } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { NotificationService } from '../notification/notification.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { PoolingService } from './pooling.service';
+import {
+  ACTIVE_TRIP_STATUSES,
+  assertTransition,
+  tripNotFound,
+} from './trip-status';
+
+/**
+ * Offer-based driver dispatch
+ *
+ * A trip waiting in FINDING_DRIVER is offered to one driver at a time. The
+ * driver answers through AcceptTrip; if they decline or let the offer expire,
+ * the next best candidate (nearest first, never re-offering the same driver)
+ * gets a fresh offer. Every offer is kept in trip_offer with its outcome.
+ * Drivers already on a trip are skipped, except for pooled trips, which go
+ * first to compatible drivers with a free seat (see PoolingService). Offers
+ * are made with the trip row locked, so a trip never holds two live offers.
+ *
+ * Trips left without a live offer (nobody nearby, or matching failed) are
+ * retried every DISPATCH_RETRY_INTERVAL_MS. The search radius starts at
+ * DISPATCH_RADIUS_KM and grows by DISPATCH_RADIUS_STEP_KM per retry interval
+ * since matching started, up to DISPATCH_MAX_RADIUS_KM. A trip still
+ * unmatched after MATCHING_DEADLINE_SECONDS becomes NO_DRIVER_FOUND and the
+ * rider is notified; for scheduled trips, which start matching ahead of the
+ * pickup, the deadline runs from the pickup time.
+ *
+ * Configuration:
+ * - OFFER_TTL_SECONDS: how long a driver has to answer (default 15)
+ * - OFFER_SWEEP_INTERVAL_MS: how often expired offers are collected (default 2000)
+ * - DISPATCH_RADIUS_KM: initial candidate search radius (default 5)
+ * - DISPATCH_RADIUS_STEP_KM: radius added per retry interval (default 2)
+ * - DISPATCH_MAX_RADIUS_KM: radius ceiling (default 15)
+ * - DISPATCH_RETRY_INTERVAL_MS: re-dispatch loop interval (default 10000)
+ * - DISPATCH_CANDIDATE_COUNT: candidates fetched per search (default 5)
+ * - MATCHING_DEADLINE_SECONDS: give up after this long (default 300)
+ */
+@Injectable()
+export class DispatchService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(DispatchService.name);
+  private driverService: DriverServiceClient;
+  private sweepTimer: NodeJS.Timeout;
+  private retryTimer: NodeJS.Timeout;
+  private retrying = false;
+
+  private readonly offerTtlMs =
+    parseInt(process.env.OFFER_TTL_SECONDS || '15') * 1000;
+  private readonly sweepIntervalMs = parseInt(
+    process.env.OFFER_SWEEP_INTERVAL_MS || '2000'
+  );
+  private readonly searchRadiusKm = parseFloat(
+    process.env.DISPATCH_RADIUS_KM || '5'
+  );
+  private readonly radiusStepKm = parseFloat(
+    process.env.DISPATCH_RADIUS_STEP_KM || '2'
+  );
+  private readonly maxRadiusKm = parseFloat(
+    process.env.DISPATCH_MAX_RADIUS_KM || '15'
+  );
+  private readonly retryIntervalMs = parseInt(
+    process.env.DISPATCH_RETRY_INTERVAL_MS || '10000'
+  );
+  private readonly candidateCount = parseInt(
+    process.env.DISPATCH_CANDIDATE_COUNT || '5'
+  );
+  private readonly matchingDeadlineMs =
+    parseInt(process.env.MATCHING_DEADLINE_SECONDS || '300') * 1000;
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly tripEvents: TripEventService,
+    private readonly notificationService: NotificationService,
+    private readonly poolingService: PoolingService,
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+
+    this.sweepTimer = setInterval(() => {
+      this.expireOffers().catch((error) =>
+        this.logger.error(`Offer sweep failed: ${error.message}`, error.stack)
+      );
+    }, this.sweepIntervalMs);
+
+    this.retryTimer = setInterval(() => {
+      this.retryStalledTrips().catch((error) =>
+        this.logger.error(
+          `Re-dispatch loop failed: ${error.message}`,
+          error.stack
+        )
+      );
+    }, this.retryIntervalMs);
+  }
+
+  onModuleDestroy() {
+    clearInterval(this.sweepTimer);
+    clearInterval(this.retryTimer);
+  }
+
+  /**
+   * Offer the trip to the best candidate that has not been offered it yet.
+   * Returns null when the trip is no longer searching, already has a live
+   * offer, or nobody suitable is nearby.
+   */
+  async offerToNextCandidate(tripId: string): Promise<TripOffer | null> {
+    const trip = await this.prisma.trip.findUnique({
+      where: { id: tripId },
+      include: { offers: { select: { driverId: true, status: true } } },
+    });
+
+    if (!trip || trip.status !== 'FINDING_DRIVER') {
+      return null;
+    }
+
+    if (trip.offers.some((offer) => offer.status === 'PENDING')) {
+      return null;
+    }
+
+    const alreadyOffered = new Set(trip.offers.map((offer) => offer.driverId));
+    const radiusKm = this.radiusFor(trip);
+    const pooledWith = trip.pooled
+      ? await this.poolingService.findCandidates(
+          trip,
+          radiusKm,
+          this.candidateCount,
+          alreadyOffered
+        )
+      : [];
+    const candidates = [
+      ...pooledWith,
+      ...(await this.findCandidates(trip, radiusKm, alreadyOffered)),
+    ];
+
+    if (candidates.length === 0) {
+      this.logger.log(
+        `[Dispatch] No candidates within ${radiusKm} km for trip ${tripId}`
+      );
+      return null;
+    }
+
+    // A driver only ever holds one live offer at a time
+    const engaged = await this.prisma.tripOffer.findMany({
+      where: { driverId: { in: candidates }, status: 'PENDING' },
+      select: { driverId: true },
+    });
+    const engagedIds = new Set(engaged.map((offer) => offer.driverId));
+    const driverId = candidates.find((id) => !engagedIds.has(id));
+
+    if (!driverId) {
+      this.logger.log(
+        `[Dispatch] All ${candidates.length} candidates for trip ${tripId} hold other offers`
+      );
+      return null;
+    }
+
+    const offer = await this.prisma.$transaction(async (db) => {
+      // Concurrent runs for the trip queue on its row; the one that waited
+      // sees the offer made meanwhile and backs off
+      const [locked] = await db.$queryRaw<Array<{ status: string }>>`
+        SELECT status FROM trip WHERE id = ${tripId} FOR UPDATE
+      `;
+
+      if (locked?.status !== 'FINDING_DRIVER') return null;
+
+      const live = await db.tripOffer.count({
+        where: { tripId, status: 'PENDING' },
+      });
+
+      if (live > 0) return null;
+
+      const created = await db.tripOffer.create({
+        data: {
+          tripId,
+          driverId,
+          expiresAt: new Date(Date.now() + this.offerTtlMs),
+        },
+      });
+
+      await this.tripEvents.record(
+        tripId,
+        {
+          type: 'OFFERED',
+          actorType: 'SYSTEM',
+          payload: {
+            offerId: created.id,
+            driverId,
+            radiusKm,
+            pooled: pooledWith.includes(driverId),
+            expiresAt: created.expiresAt.toISOString(),
+          },
+        },
+        db
+      );
+
+      return created;
+    });
+
+    if (!offer) return null;
+
+    this.logger.log(
+      `[Dispatch] Trip ${tripId} offered to ${driverId} until ${offer.expiresAt.toISOString()}`
+    );
+
+    return offer;
+  }
+
+  /**
+   * Accept the driver's pending offer and bind them to the trip.
+   * The offer claim and the trip update happen in one transaction so two
+   * concurrent answers can never both win.
+   */
+  async acceptOffer(tripId: string, driverId: string): Promise<Trip> {
+    const current = await this.findTrip(tripId);
+    assertTransition(current, 'DRIVER_ACCEPTED');
+
+    const offer = await this.getLiveOffer(tripId, driverId);
+
+    const trip = await this.prisma.$transaction(async (db) => {
+      const claimed = await db.tripOffer.updateMany({
+        where: { id: offer.id, status: 'PENDING' },
+        data: { status: 'ACCEPTED', respondedAt: new Date() },
+      });
+
+      const bound = await db.trip.updateMany({
+        where: { id: tripId, status: 'FINDING_DRIVER' },
+        data: { status: 'DRIVER_ACCEPTED', driverId, acceptedAt: new Date() },
+      });
+
+      // Throwing rolls the offer claim back as well
+      if (claimed.count === 0 || bound.count === 0) {
+        throw new RpcException({
+          code: status.FAILED_PRECONDITION,
+          message: `Offer for trip ${tripId} is no longer pending`,
+        });
+      }
+
+      await this.tripEvents.record(
+        tripId,
+        {
+          type: 'ACCEPTED',
+          actorType: 'DRIVER',
+          actorId: driverId,
+          payload: { offerId: offer.id },
+        },
+        db
+      );
+
+      return db.trip.findUniqueOrThrow({ where: { id: tripId } });
+    });
+
+    this.logger.log(`[Dispatch] Driver ${driverId} accepted trip ${tripId}`);
+    return trip;
+  }
+
+  /**
+   * Undo an acceptance whose hand-over to the driver failed (position
+   * snapshot, PIN or BUSY status). The trip goes back to FINDING_DRIVER and
+   * the offer back to PENDING, so the driver can accept again until it
+   * expires; after that the trip is offered to the next candidate.
+   */
+  async revertAcceptance(
+    tripId: string,
+    driverId: string,
+    error: string
+  ): Promise<void> {
+    const reverted = await this.prisma.$transaction(async (db) => {
+      const { count } = await db.trip.updateMany({
+        where: { id: tripId, status: 'DRIVER_ACCEPTED', driverId },
+        data: {
+          status: 'FINDING_DRIVER',
+          driverId: null,
+          driverLatitude: null,
+          driverLongitude: null,
+          acceptedAt: null,
+          startPin: null,
+          startPinAttempts: 0,
+        },
+      });
+
+      // Cancelled or already handed over meanwhile
+      if (count === 0) return false;
+
+      await db.tripOffer.updateMany({
+        where: { tripId, driverId, status: 'ACCEPTED' },
+        data: { status: 'PENDING', respondedAt: null },
+      });
+
+      await this.tripEvents.record(
+        tripId,
+        {
+          type: 'ACCEPT_REVERTED',
+          actorType: 'SYSTEM',
+          payload: { driverId, error },
+        },
+        db
+      );
+
+      return true;
+    });
+
+    if (reverted) {
+      this.logger.warn(
+        `[Dispatch] Acceptance of trip ${tripId} by ${driverId} reverted: ${error}`
+      );
+    }
+  }
+
+  /**
+   * Record the driver's refusal and move straight on to the next candidate.
+   */
+  async declineOffer(tripId: string, driverId: string): Promise<void> {
+    await this.findTrip(tripId);
+    const offer = await this.getLiveOffer(tripId, driverId);
+
+    const { count } = await this.prisma.tripOffer.updateMany({
+      where: { id: offer.id, status: 'PENDING' },
+      data: { status: 'DECLINED', respondedAt: new Date() },
+    });
+
+    if (count === 1) {
+      this.logger.log(`[Dispatch] Driver ${driverId} declined trip ${tripId}`);
+      await this.tripEvents.record(tripId, {
+        type: 'OFFER_DECLINED',
+        actorType: 'DRIVER',
+        actorId: driverId,
+        payload: { offerId: offer.id },
+      });
+      await this.offerToNextCandidate(tripId);
+    }
+  }
+
+  /**
+   * Withdraw any live offer, e.g. when the rider cancels while searching.
+   */
+  async cancelOffers(tripId: string): Promise<void> {
+    await this.prisma.tripOffer.updateMany({
+      where: { tripId, status: 'PENDING' },
+      data: { status: 'CANCELED', respondedAt: new Date() },
+    });
+  }
+
+  async getDriverOffers(driverId: string) {
+    return this.prisma.tripOffer.findMany({
+      where: {
+        driverId,
+        status: 'PENDING',
+        expiresAt: { gt: new Date() },
+      },
+      include: { trip: true },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Expire offers whose deadline has passed and re-dispatch their trips.
+   */
+  async expireOffers(): Promise<void> {
+    const expired = await this.prisma.tripOffer.findMany({
+      where: { status: 'PENDING', expiresAt: { lte: new Date() } },
+      select: { id: true, tripId: true, driverId: true },
+    });
+
+    for (const offer of expired) {
+      const { count } = await this.prisma.tripOffer.updateMany({
+        where: { id: offer.id, status: 'PENDING' },
+        data: { status: 'EXPIRED', respondedAt: new Date() },
+      });
+
+      // Another instance may have collected the same offer
+      if (count === 0) continue;
+
+      this.logger.log(
+        `[Dispatch] Offer to ${offer.driverId} for trip ${offer.tripId} expired`
+      );
+
+      await this.tripEvents.record(offer.tripId, {
+        type: 'OFFER_EXPIRED',
+        actorType: 'SYSTEM',
+        payload: { offerId: offer.id, driverId: offer.driverId },
+      });
+
+      try {
+        await this.offerToNextCandidate(offer.tripId);
+      } catch (error) {
+        this.logger.error(
+          `Failed to re-dispatch trip ${offer.tripId}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Retry matching for searching trips without a live offer, and give up on
+   * those past the deadline.
+   */
+  async retryStalledTrips(): Promise<void> {
+    // A slow pass must not overlap the next one
+    if (this.retrying) return;
+    this.retrying = true;
+
+    try {
+      const stalled = await this.prisma.trip.findMany({
+        where: {
+          status: 'FINDING_DRIVER',
+          offers: { none: { status: 'PENDING' } },
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      for (const trip of stalled) {
+        try {
+          if (this.pastDeadline(trip)) {
+            await this.giveUp(trip);
+          } else {
+            await this.offerToNextCandidate(trip.id);
+          }
+        } catch (error) {
+          this.logger.error(
+            `Failed to re-dispatch trip ${trip.id}: ${error.message}`
+          );
+        }
+      }
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  private async giveUp(trip: Trip): Promise<void> {
+    const gaveUp = await this.prisma.$transaction(async (db) => {
+      const { count } = await db.trip.updateMany({
+        where: { id: trip.id, status: 'FINDING_DRIVER' },
+        data: { status: 'NO_DRIVER_FOUND' },
+      });
+
+      if (count === 1) {
+        await this.tripEvents.record(
+          trip.id,
+          {
+            type: 'NO_DRIVER_FOUND',
+            actorType: 'SYSTEM',
+            payload: {
+              searchedForSeconds: Math.round(
+                this.matchingElapsedMs(trip) / 1000
+              ),
+              radiusKm: this.radiusFor(trip),
+            },
+          },
+          db
+        );
+      }
+
+      return count === 1;
+    });
+
+    // Accepted, cancelled or given up by another instance meanwhile
+    if (!gaveUp) return;
+
+    this.logger.log(`[Dispatch] No driver found for trip ${trip.id}`);
+
+    this.notificationService.notifyRider(trip.userId, {
+      type: 'NO_DRIVER_FOUND',
+      tripId: trip.id,
+      message: 'No driver is available for your trip right now',
+    });
+  }
+
+  /**
+   * Search radius for the current attempt, widening step by step with the
+   * time spent matching.
+   */
+  private radiusFor(trip: Trip): number {
+    const steps = Math.floor(
+      this.matchingElapsedMs(trip) / this.retryIntervalMs
+    );
+    return Math.min(
+      this.searchRadiusKm + steps * this.radiusStepKm,
+      this.maxRadiusKm
+    );
+  }
+
+  private pastDeadline(trip: Trip): boolean {
+    const startedAt = Math.max(
+      (trip.matchingStartedAt ?? trip.createdAt).getTime(),
+      trip.scheduledAt?.getTime() ?? 0
+    );
+    return Date.now() - startedAt >= this.matchingDeadlineMs;
+  }
+
+  private matchingElapsedMs(trip: Trip): number {
+    const startedAt = trip.matchingStartedAt ?? trip.createdAt;
+    return Date.now() - startedAt.getTime();
+  }
+
+  private async findTrip(tripId: string): Promise<Trip> {
+    const trip = await this.prisma.trip.findUnique({ where: { id: tripId } });
+
+    if (!trip) {
+      throw tripNotFound(tripId);
+    }
+
+    return trip;
+  }
+
+  private async getLiveOffer(
+    tripId: string,
+    driverId: string
+  ): Promise<TripOffer> {
+    const offer = await this.prisma.tripOffer.findFirst({
+      where: { tripId, driverId, status: 'PENDING' },
+    });
+
+    if (!offer) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Driver ${driverId} has no pending offer for trip ${tripId}`,
+      });
+    }
+
+    if (offer.expiresAt.getTime() <= Date.now()) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Offer for trip ${tripId} has expired`,
+      });
+    }
+
+    return offer;
+  }
+
+  private async findCandidates(
+    trip: Trip,
+    radiusKm: number,
+    exclude: Set<string>
+  ): Promise<string[]> {
+    const query: NearbyQuery = {
+      latitude: trip.pickupLatitude,
+      longitude: trip.pickupLongitude,
+      radiusKm,
+      vehicleType: VehicleTypeEnum[trip.vehicleType],
+      // Over-fetch by the number of drivers we must skip
+      count: this.candidateCount + exclude.size,
+    };
+
+    const response = await firstValueFrom(
+      this.driverService.searchNearbyDrivers(query)
+    );
+
+    const nearby = (response.list ?? [])
+      .map((driver) => driver.driverId)
+      .filter((driverId) => !exclude.has(driverId));
+
+    // Drivers on a trip are only offered pooled trips, through PoolingService
+    const onTrip = await this.prisma.trip.findMany({
+      where: { driverId: { in: nearby }, status: { in: ACTIVE_TRIP_STATUSES } },
+      select: { driverId: true },
+    });
+    const busy = new Set(onTrip.map((trip) => trip.driverId));
+
+    return nearby.filter((driverId) => !busy.has(driverId));
+  }
+}
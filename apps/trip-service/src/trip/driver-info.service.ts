@@ -0,0 +1,118 @@
+import { Inject, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc } from '@nestjs/microservices';
+import { GRPC_SERVICE, DriverServiceClient } from '@uit-go/shared-client';
+import { DriverProfileResponse, TripResponse } from '@uit-go/shared-types';
+import { firstValueFrom } from 'rxjs';
+
+export type DriverInfo = NonNullable<TripResponse['driverInfo']>;
+
+/**
+ * Driver cards shown on trips (name, phone, vehicle, rating)
+ *
+ * Cards are fetched from driver-service in one GetDriversByIds call per
+ * request and kept for DRIVER_INFO_CACHE_TTL_MS (default 30000), up to
+ * DRIVER_INFO_CACHE_SIZE (default 5000) drivers. A card can therefore lag a
+ * profile change by up to the TTL. Lookups never fail the caller: while
+ * driver-service is unreachable trips are returned without a card.
+ */
+@Injectable()
+export class DriverInfoService implements OnModuleInit {
+  private readonly logger = new Logger(DriverInfoService.name);
+  private driverService: DriverServiceClient;
+  private readonly cache = new Map<
+    string,
+    { info: DriverInfo; expiresAt: number }
+  >();
+
+  private readonly ttlMs = parseInt(
+    process.env.DRIVER_INFO_CACHE_TTL_MS || '30000'
+  );
+  private readonly maxEntries = parseInt(
+    process.env.DRIVER_INFO_CACHE_SIZE || '5000'
+  );
+
+  constructor(
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  async get(driverId: string | null): Promise<DriverInfo | undefined> {
+    if (!driverId) {
+      return undefined;
+    }
+
+    return (await this.getMany([driverId])).get(driverId);
+  }
+
+  /**
+   * Cards for every known driver among `driverIds`, keyed by driver id.
+   */
+  async getMany(
+    driverIds: (string | null)[]
+  ): Promise<Map<string, DriverInfo>> {
+    const now = Date.now();
+    const found = new Map<string, DriverInfo>();
+    const missing: string[] = [];
+
+    for (const driverId of new Set(driverIds)) {
+      if (!driverId) continue;
+
+      const cached = this.cache.get(driverId);
+
+      if (cached && cached.expiresAt > now) {
+        found.set(driverId, cached.info);
+      } else {
+        missing.push(driverId);
+      }
+    }
+
+    if (missing.length === 0) {
+      return found;
+    }
+
+    try {
+      const { drivers } = await firstValueFrom(
+        this.driverService.getDriversByIds({ userIds: missing })
+      );
+
+      for (const profile of drivers ?? []) {
+        found.set(profile.userId, this.remember(profile));
+      }
+    } catch (error) {
+      this.logger.error(`Error fetching driver info: ${error.message}`);
+    }
+
+    return found;
+  }
+
+  /**
+   * Cache the card of a profile fetched elsewhere and return it.
+   */
+  remember(profile: DriverProfileResponse): DriverInfo {
+    const info: DriverInfo = {
+      name: profile.name,
+      phone: profile.phone,
+      vehicleType: profile.vehicleType,
+      licensePlate: profile.licensePlate,
+      rating: profile.rating,
+    };
+
+    // Re-insert so the Map's order stays oldest first
+    this.cache.delete(profile.userId);
+    this.cache.set(profile.userId, {
+      info,
+      expiresAt: Date.now() + this.ttlMs,
+    });
+
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return info;
+  }
+}
@@ -0,0 +1,111 @@
+import { Test } from '@nestjs/testing';
+import { GRPC_SERVICE } from '@uit-go/shared-client';
+import { Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { PricingService } from '../pricing/pricing.service';
+import { PoolingService } from './pooling.service';
+
+const START = new Date('2026-01-01T08:00:00Z');
+const minutes = (n: number) => new Date(START.getTime() + n * 60_000);
+
+function trip(overrides: Partial<Trip> = {}): Trip {
+  return {
+    id: 'trip-1',
+    driverId: 'driver-1',
+    pooled: true,
+    startedAt: START,
+    completedAt: null,
+    ...overrides,
+  } as Trip;
+}
+
+describe('PoolingService', () => {
+  let service: PoolingService;
+  let findMany: jest.Mock;
+
+  beforeEach(async () => {
+    findMany = jest.fn().mockResolvedValue([]);
+
+    const app = await Test.createTestingModule({
+      providers: [
+        PoolingService,
+        { provide: PrismaService, useValue: { trip: { findMany } } },
+        { provide: PricingService, useValue: {} },
+        { provide: GRPC_SERVICE.DRIVER.NAME, useValue: {} },
+      ],
+    }).compile();
+
+    service = app.get(PoolingService);
+  });
+
+  describe('splitFare', () => {
+    it('charges the solo fare for trips that are not pooled', async () => {
+      expect(
+        await service.splitFare(trip({ pooled: false }), 100000, minutes(60))
+      ).toEqual({ fare: 100000, share: 1 });
+      expect(findMany).not.toHaveBeenCalled();
+    });
+
+    it('charges the solo fare to a pooled rider who rode alone', async () => {
+      expect(await service.splitFare(trip(), 100000, minutes(60))).toEqual({
+        fare: 100000,
+        share: 1,
+      });
+    });
+
+    it('halves the fare when another rider was on board throughout', async () => {
+      findMany.mockResolvedValue([
+        trip({
+          id: 'trip-2',
+          startedAt: minutes(-10),
+          completedAt: minutes(70),
+        }),
+      ]);
+
+      expect(await service.splitFare(trip(), 100000, minutes(60))).toEqual({
+        fare: 50000,
+        share: 0.5,
+      });
+    });
+
+    it('splits only the stretches that were shared', async () => {
+      // Dropped off half way, and picked up half way and still riding
+      findMany.mockResolvedValueOnce([
+        trip({
+          id: 'trip-2',
+          startedAt: minutes(-10),
+          completedAt: minutes(30),
+        }),
+      ]);
+      findMany.mockResolvedValueOnce([
+        trip({ id: 'trip-3', startedAt: minutes(30), completedAt: null }),
+      ]);
+
+      expect(await service.splitFare(trip(), 100000, minutes(60))).toEqual({
+        fare: 75000,
+        share: 0.75,
+      });
+      expect(await service.splitFare(trip(), 100000, minutes(60))).toEqual({
+        fare: 75000,
+        share: 0.75,
+      });
+    });
+
+    it('divides each stretch by the number of riders on board', async () => {
+      findMany.mockResolvedValue([
+        trip({ id: 'trip-2', startedAt: START, completedAt: minutes(60) }),
+        trip({
+          id: 'trip-3',
+          startedAt: minutes(20),
+          completedAt: minutes(40),
+        }),
+      ]);
+
+      // 20 min / 2 + 20 min / 3 + 20 min / 2 out of 60 min
+      expect(await service.splitFare(trip(), 90000, minutes(60))).toEqual({
+        fare: 40000,
+        share: 0.444,
+      });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import { Inject, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc } from '@nestjs/microservices';
+import { GRPC_SERVICE, DriverServiceClient } from '@uit-go/shared-client';
+import {
+  NearbyDriver,
+  NearbyQuery,
+  VehicleTypeEnum,
+} from '@uit-go/shared-types';
+import { firstValueFrom } from 'rxjs';
+import { Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { bearing } from '../common/geo/geo.util';
+import { PricingService } from '../pricing/pricing.service';
+import { ACTIVE_TRIP_STATUSES } from './trip-status';
+
+interface Point {
+  latitude: number;
+  longitude: number;
+}
+
+/**
+ * Pooled rides
+ *
+ * A rider who opts into pooling can be matched with a driver already carrying
+ * other pooled riders, as long as:
+ * - the driver has a free seat (seatCapacity in driver-service, counted
+ *   against their DRIVER_ACCEPTED and ONGOING trips)
+ * - every trip on board is pooled and heads the same way, within
+ *   POOL_MAX_HEADING_DIFF_DEGREES (default 45)
+ * - picking the new rider up and dropping them off makes neither them nor
+ *   any rider on board travel more than POOL_MAX_DETOUR_RATIO (default 0.3)
+ *   further than riding alone
+ *
+ * Such drivers are searched within POOL_SEARCH_RADIUS_KM (default 2) of the
+ * pickup and are offered the trip before free drivers.
+ *
+ * Fares are split by time: while k riders share the car, each pays 1/k of
+ * their own route's price for that stretch.
+ */
+@Injectable()
+export class PoolingService implements OnModuleInit {
+  private readonly logger = new Logger(PoolingService.name);
+  private driverService: DriverServiceClient;
+
+  private readonly searchRadiusKm = parseFloat(
+    process.env.POOL_SEARCH_RADIUS_KM || '2'
+  );
+  private readonly maxHeadingDiff = parseFloat(
+    process.env.POOL_MAX_HEADING_DIFF_DEGREES || '45'
+  );
+  private readonly maxDetourRatio = parseFloat(
+    process.env.POOL_MAX_DETOUR_RATIO || '0.3'
+  );
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly pricingService: PricingService,
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  /**
+   * Drivers on a pooled ride with a free seat that `trip` fits into, nearest
+   * first.
+   */
+  async findCandidates(
+    trip: Trip,
+    radiusKm: number,
+    count: number,
+    exclude: Set<string>
+  ): Promise<string[]> {
+    const query: NearbyQuery = {
+      latitude: trip.pickupLatitude,
+      longitude: trip.pickupLongitude,
+      radiusKm: Math.min(radiusKm, this.searchRadiusKm),
+      count: count + exclude.size,
+      vehicleType: VehicleTypeEnum[trip.vehicleType],
+      pooled: true,
+    };
+
+    const response = await firstValueFrom(
+      this.driverService.searchNearbyDrivers(query)
+    );
+    const drivers = (response.list ?? []).filter(
+      (driver) => !exclude.has(driver.driverId)
+    );
+
+    if (drivers.length === 0) {
+      return [];
+    }
+
+    const onBoard = await this.prisma.trip.findMany({
+      where: {
+        driverId: { in: drivers.map((driver) => driver.driverId) },
+        status: { in: ACTIVE_TRIP_STATUSES },
+      },
+    });
+
+    return drivers
+      .filter((driver) => {
+        const trips = onBoard.filter((t) => t.driverId === driver.driverId);
+
+        return (
+          trips.length > 0 &&
+          trips.length < (driver.seatCapacity ?? 1) &&
+          trips.every((other) => other.pooled) &&
+          this.fits(trip, trips, driver)
+        );
+      })
+      .map((driver) => driver.driverId);
+  }
+
+  /**
+   * Price of `trip` once shared time is split: `soloFare` scaled by the share
+   * of the ride the rider pays for. Rides that were never shared keep the
+   * solo fare.
+   */
+  async splitFare(
+    trip: Trip,
+    soloFare: number,
+    endedAt = new Date()
+  ): Promise<{ fare: number; share: number }> {
+    if (!trip.pooled || !trip.driverId || !trip.startedAt) {
+      return { fare: soloFare, share: 1 };
+    }
+
+    const start = trip.startedAt.getTime();
+    const end = endedAt.getTime();
+
+    const others = await this.prisma.trip.findMany({
+      where: {
+        id: { not: trip.id },
+        driverId: trip.driverId,
+        pooled: true,
+        startedAt: { lt: endedAt },
+        OR: [{ completedAt: null }, { completedAt: { gt: trip.startedAt } }],
+      },
+    });
+
+    const rides = others.map((other) => ({
+      from: Math.max((other.startedAt ?? endedAt).getTime(), start),
+      to: Math.min(other.completedAt?.getTime() ?? end, end),
+    }));
+
+    // Walk the ride in stretches with a constant number of riders on board
+    const boundaries = [
+      ...new Set([start, end, ...rides.flatMap((r) => [r.from, r.to])]),
+    ].sort((a, b) => a - b);
+
+    let paidMs = 0;
+    for (let i = 1; i < boundaries.length; i++) {
+      const [from, to] = [boundaries[i - 1], boundaries[i]];
+      const riders =
+        1 + rides.filter((r) => r.from <= from && r.to >= to).length;
+      paidMs += (to - from) / riders;
+    }
+
+    const share = end > start ? paidMs / (end - start) : 1;
+
+    return {
+      fare: Math.round(soloFare * share * 100) / 100,
+      share: Math.round(share * 1000) / 1000,
+    };
+  }
+
+  /**
+   * Whether adding `trip` to the driver's current riders keeps everyone
+   * heading the same way without too long a detour.
+   */
+  private fits(trip: Trip, onBoard: Trip[], driver: NearbyDriver): boolean {
+    const pickup = pickupOf(trip);
+    const dropoff = destinationOf(trip);
+    const position: Point =
+      driver.latitude != null && driver.longitude != null
+        ? { latitude: driver.latitude, longitude: driver.longitude }
+        : pickup;
+    const heading = headingOf(pickup, dropoff);
+
+    try {
+      return onBoard.every((other) => {
+        // A rider not picked up yet rides from their own pickup
+        const waiting = other.status !== 'ONGOING';
+        const origin = waiting ? pickupOf(other) : position;
+        const destination = destinationOf(other);
+
+        if (
+          angleBetween(heading, headingOf(origin, destination)) >
+          this.maxHeadingDiff
+        ) {
+          return false;
+        }
+
+        const before = waiting ? [position, origin] : [position];
+        const alone = {
+          other: this.distance([origin, destination]),
+          trip: this.distance([pickup, dropoff]),
+        };
+
+        // Pick the new rider up next, then drop whoever comes first
+        const orders: Point[][] = [
+          [...before, pickup, dropoff, destination],
+          [...before, pickup, destination, dropoff],
+        ];
+
+        return orders.some((route) => {
+          const theirs = this.rideDistance(route, origin, destination);
+          const ours = this.rideDistance(route, pickup, dropoff);
+
+          return (
+            theirs <= alone.other * (1 + this.maxDetourRatio) &&
+            ours <= alone.trip * (1 + this.maxDetourRatio)
+          );
+        });
+      });
+    } catch (error) {
+      this.logger.warn(`Cannot route pooled trip ${trip.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Distance travelled along `route` between two of its stops
+  private rideDistance(route: Point[], from: Point, to: Point): number {
+    const start = route.indexOf(from);
+    const end = route.indexOf(to, start);
+    return this.distance(route.slice(start, end + 1));
+  }
+
+  private distance(points: Point[]): number {
+    return this.pricingService.pathDistance(points);
+  }
+}
+
+function pickupOf(trip: Trip): Point {
+  return { latitude: trip.pickupLatitude, longitude: trip.pickupLongitude };
+}
+
+function destinationOf(trip: Trip): Point {
+  return {
+    latitude: trip.destinationLatitude,
+    longitude: trip.destinationLongitude,
+  };
+}
+
+function headingOf(from: Point, to: Point): number {
+  return bearing(from.latitude, from.longitude, to.latitude, to.longitude);
+}
+
+function angleBetween(a: number, b: number): number {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
@@ -0,0 +1,70 @@
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { of } from 'rxjs';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { RatingService } from './rating.service';
+
+describe('RatingService', () => {
+  let service: RatingService;
+  let findTrip: jest.Mock;
+  let createRating: jest.Mock;
+
+  beforeEach(() => {
+    findTrip = jest.fn().mockResolvedValue({
+      id: 'trip-1',
+      userId: 'rider-1',
+      driverId: 'driver-1',
+      status: 'COMPLETED',
+    });
+    createRating = jest.fn(async ({ data }) => ({
+      id: 'rating-1',
+      createdAt: new Date('2026-01-01T08:00:00Z'),
+      ...data,
+    }));
+
+    const db = { tripRating: { create: createRating } };
+    const prisma = {
+      trip: { findUnique: findTrip },
+      tripRating: { findUnique: jest.fn().mockResolvedValue(null) },
+      $transaction: jest.fn((work) => work(db)),
+    };
+    const driverClient = {
+      getService: () => ({ recordDriverRating: () => of({}) }),
+    };
+
+    service = new RatingService(
+      prisma as unknown as PrismaService,
+      { record: jest.fn() } as unknown as TripEventService,
+      driverClient as unknown as ClientGrpc
+    );
+    service.onModuleInit();
+  });
+
+  function rate(comment: string) {
+    return service.rateTrip({
+      id: 'trip-1',
+      raterId: 'rider-1',
+      score: 5,
+      comment,
+    });
+  }
+
+  it('takes a comment of 500 characters', async () => {
+    // Each emoji is one character, though two UTF-16 units
+    const comment = 'a'.repeat(498) + '🚕🚕';
+
+    expect((await rate(comment)).comment).toBe(comment);
+  });
+
+  it('rejects a longer comment before touching the trip', async () => {
+    const error = await rate('a'.repeat(501)).catch((error) => error);
+
+    expect(error).toBeInstanceOf(RpcException);
+    expect((error as RpcException).getError()).toMatchObject({
+      code: status.INVALID_ARGUMENT,
+    });
+    expect(findTrip).not.toHaveBeenCalled();
+    expect(createRating).not.toHaveBeenCalled();
+  });
+});
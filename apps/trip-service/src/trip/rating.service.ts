@@ -0,0 +1,173 @@
+import { Inject, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { GRPC_SERVICE, DriverServiceClient } from '@uit-go/shared-client';
+import { RateTripRequest, TripRatingResponse } from '@uit-go/shared-types';
+import { firstValueFrom } from 'rxjs';
+import { Prisma, RatingRole, TripRating } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { tripNotFound } from './trip-status';
+
+// Length of trip_rating.comment
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Post-trip ratings
+ *
+ * Once a trip is COMPLETED its rider may rate the driver and its driver may
+ * rate the rider, once each. The rater's role follows from who they are on
+ * the trip. A rider's rating is forwarded to driver-service first, which
+ * recomputes the driver's average and refreshes the H3 index; it is keyed by
+ * trip there, so a retry after a failed write here is harmless.
+ */
+@Injectable()
+export class RatingService implements OnModuleInit {
+  private readonly logger = new Logger(RatingService.name);
+  private driverService: DriverServiceClient;
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly tripEvents: TripEventService,
+    @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc
+  ) {}
+
+  onModuleInit() {
+    this.driverService = this.driverClient.getService<DriverServiceClient>(
+      GRPC_SERVICE.DRIVER.NAME
+    );
+  }
+
+  async rateTrip(request: RateTripRequest): Promise<TripRatingResponse> {
+    if (
+      !Number.isInteger(request.score) ||
+      request.score < 1 ||
+      request.score > 5
+    ) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: 'Rating score must be an integer from 1 to 5',
+      });
+    }
+
+    // Counted in characters, as Postgres does, not UTF-16 units
+    if (request.comment && [...request.comment].length > MAX_COMMENT_LENGTH) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `Rating comment must be at most ${MAX_COMMENT_LENGTH} characters`,
+      });
+    }
+
+    const trip = await this.prisma.trip.findUnique({
+      where: { id: request.id },
+    });
+
+    if (!trip) {
+      throw tripNotFound(request.id);
+    }
+
+    if (trip.status !== 'COMPLETED') {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Trip ${trip.id} can only be rated once completed`,
+      });
+    }
+
+    let raterRole: RatingRole;
+    let rateeId: string;
+
+    if (request.raterId === trip.userId) {
+      raterRole = RatingRole.RIDER;
+      rateeId = trip.driverId;
+    } else if (request.raterId === trip.driverId) {
+      raterRole = RatingRole.DRIVER;
+      rateeId = trip.userId;
+    } else {
+      throw new RpcException({
+        code: status.PERMISSION_DENIED,
+        message: `${request.raterId} is not part of trip ${trip.id}`,
+      });
+    }
+
+    const existing = await this.prisma.tripRating.findUnique({
+      where: { tripId_raterRole: { tripId: trip.id, raterRole } },
+    });
+
+    if (existing) {
+      throw this.alreadyRated(trip.id, raterRole);
+    }
+
+    if (raterRole === RatingRole.RIDER) {
+      await firstValueFrom(
+        this.driverService.recordDriverRating({
+          driverId: rateeId,
+          tripId: trip.id,
+          score: request.score,
+        })
+      );
+    }
+
+    try {
+      const rating = await this.prisma.$transaction(async (db) => {
+        const created = await db.tripRating.create({
+          data: {
+            tripId: trip.id,
+            raterRole,
+            raterId: request.raterId,
+            rateeId,
+            score: request.score,
+            comment: request.comment,
+          },
+        });
+
+        await this.tripEvents.record(
+          trip.id,
+          {
+            type: 'RATED',
+            actorType: raterRole,
+            actorId: request.raterId,
+            payload: { rateeId, score: request.score },
+          },
+          db
+        );
+
+        return created;
+      });
+
+      this.logger.log(
+        `Trip ${trip.id} rated ${rating.score} by ${rating.raterId}`
+      );
+
+      return this.mapToResponse(rating);
+    } catch (error) {
+      if (
+        error instanceof Prisma.PrismaClientKnownRequestError &&
+        error.code === 'P2002'
+      ) {
+        throw this.alreadyRated(trip.id, raterRole);
+      }
+
+      throw error;
+    }
+  }
+
+  private alreadyRated(tripId: string, raterRole: RatingRole): RpcException {
+    return new RpcException({
+      code: status.ALREADY_EXISTS,
+      message: `Trip ${tripId} was already rated by its ${raterRole.toLowerCase()}`,
+    });
+  }
+
+  private mapToResponse(rating: TripRating): TripRatingResponse {
+    return {
+      id: rating.id,
+      tripId: rating.tripId,
+      raterRole: rating.raterRole,
+      raterId: rating.raterId,
+      rateeId: rating.rateeId,
+      score: rating.score,
+      comment: rating.comment ?? undefined,
+      createdAt: rating.createdAt.toISOString(),
+    };
+  }
+}
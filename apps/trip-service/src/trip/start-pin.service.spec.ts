@@ -0,0 +1,189 @@
+import { Test } from '@nestjs/testing';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { NotificationService } from '../notification/notification.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { CoverageService } from './coverage.service';
+import { StartPinService } from './start-pin.service';
+
+function trip(overrides: Partial<Trip> = {}): Trip {
+  return {
+    id: 'trip-1',
+    userId: 'rider-1',
+    driverId: 'driver-1',
+    status: 'DRIVER_ARRIVED',
+    startPin: '0427',
+    startPinAttempts: 0,
+    ...overrides,
+  } as Trip;
+}
+
+describe('StartPinService', () => {
+  let service: StartPinService;
+  let prisma: {
+    $transaction: jest.Mock;
+    trip: Record<string, jest.Mock>;
+  };
+  let tripEvents: { record: jest.Mock };
+  let notifyRider: jest.Mock;
+  let lookup: jest.Mock;
+
+  beforeEach(async () => {
+    prisma = {
+      $transaction: jest.fn((work) => work(prisma)),
+      trip: {
+        updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        findUniqueOrThrow: jest.fn(),
+      },
+    };
+    tripEvents = { record: jest.fn() };
+    notifyRider = jest.fn();
+    lookup = jest.fn();
+
+    const app = await Test.createTestingModule({
+      providers: [
+        StartPinService,
+        { provide: PrismaService, useValue: prisma },
+        { provide: TripEventService, useValue: tripEvents },
+        { provide: CoverageService, useValue: { lookup } },
+        { provide: NotificationService, useValue: { notifyRider } },
+      ],
+    }).compile();
+
+    service = app.get(StartPinService);
+  });
+
+  async function rejection(promise: Promise<unknown>) {
+    const error = await promise.catch((error) => error);
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+
+  function attemptsAfterWrongPin(attempts: number) {
+    prisma.trip.findUniqueOrThrow.mockResolvedValue({
+      startPinAttempts: attempts,
+    });
+  }
+
+  describe('verify', () => {
+    it('lets a trip without a PIN start', async () => {
+      await expect(
+        service.verify(trip({ startPin: null }), undefined)
+      ).resolves.toBeUndefined();
+    });
+
+    it('accepts the right PIN', async () => {
+      await expect(service.verify(trip(), '0427')).resolves.toBeUndefined();
+      expect(prisma.trip.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('asks for the PIN when none was entered', async () => {
+      const error = await rejection(service.verify(trip(), undefined));
+
+      expect(error.code).toBe(status.INVALID_ARGUMENT);
+    });
+
+    it('counts a wrong PIN and says how many attempts are left', async () => {
+      attemptsAfterWrongPin(2);
+
+      const error = await rejection(
+        service.verify(trip({ startPinAttempts: 1 }), '1234')
+      );
+
+      expect(error.code).toBe(status.PERMISSION_DENIED);
+      expect(error.message).toBe('Wrong PIN for trip trip-1, 3 attempts left');
+      expect(prisma.trip.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: 'trip-1',
+          startPin: '0427',
+          startPinAttempts: { lt: 5 },
+        },
+        data: { startPinAttempts: { increment: 1 } },
+      });
+      expect(tripEvents.record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({
+          type: 'START_PIN_REJECTED',
+          payload: { attempts: 2 },
+        }),
+        prisma
+      );
+    });
+
+    it('locks the trip and tells the rider on the last wrong PIN', async () => {
+      attemptsAfterWrongPin(5);
+
+      const error = await rejection(
+        service.verify(trip({ startPinAttempts: 4 }), '1234')
+      );
+
+      expect(error.code).toBe(status.RESOURCE_EXHAUSTED);
+      expect(notifyRider).toHaveBeenCalledWith(
+        'rider-1',
+        expect.objectContaining({ type: 'START_PIN_LOCKED', tripId: 'trip-1' })
+      );
+    });
+
+    it('refuses even the right PIN once locked', async () => {
+      const error = await rejection(
+        service.verify(trip({ startPinAttempts: 5 }), '0427')
+      );
+
+      expect(error.code).toBe(status.RESOURCE_EXHAUSTED);
+      expect(prisma.trip.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('treats an attempt that lost the race to the limit as locked', async () => {
+      prisma.trip.updateMany.mockResolvedValue({ count: 0 });
+
+      const error = await rejection(
+        service.verify(trip({ startPinAttempts: 4 }), '1234')
+      );
+
+      expect(error.code).toBe(status.RESOURCE_EXHAUSTED);
+      expect(tripEvents.record).not.toHaveBeenCalled();
+      expect(notifyRider).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('issue', () => {
+    const pickup = { pickupLatitude: 10.76, pickupLongitude: 106.68 };
+
+    it('issues a PIN where the pickup area asks for one', async () => {
+      lookup.mockResolvedValue({
+        restricted: true,
+        coverage: { requireStartPin: true },
+      });
+
+      expect(await service.issue(trip(pickup))).toMatch(/^\d{4}$/);
+    });
+
+    it('falls back to START_PIN_REQUIRED when coverage cannot be looked up', async () => {
+      lookup.mockResolvedValue(null);
+
+      expect(await service.issue(trip(pickup))).toBeNull();
+    });
+  });
+
+  describe('notifyRider', () => {
+    it('tells the rider a PIN is waiting without sending it', () => {
+      service.notifyRider(trip());
+
+      const [userId, notification] = notifyRider.mock.calls[0];
+      expect(userId).toBe('rider-1');
+      expect(notification.type).toBe('START_PIN_READY');
+      expect(JSON.stringify(notification)).not.toContain('0427');
+    });
+
+    it('stays quiet for trips without a PIN', () => {
+      service.notifyRider(trip({ startPin: null }));
+
+      expect(notifyRider).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { StartPinResponse } from '@uit-go/shared-types';
+import { randomInt, timingSafeEqual } from 'crypto';
+import { Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { NotificationService } from '../notification/notification.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { CoverageService } from './coverage.service';
+import { tripNotFound } from './trip-status';
+
+/**
+ * Rider PIN for starting a trip
+ *
+ * When a driver accepts, the rider gets a START_PIN_LENGTH-digit PIN (default
+ * 4), readable only by them through GetStartPin; the push notification only
+ * says that one is waiting. The driver has to enter it to start the trip, so a trip cannot
+ * be started by someone who only knows its id or by a driver who picked up
+ * the wrong person.
+ *
+ * Whether a PIN is required is set per service area (requireStartPin on the
+ * pickup's area). Where no service area is active, or driver-service cannot
+ * be asked, START_PIN_REQUIRED (default false) decides.
+ *
+ * After START_PIN_MAX_ATTEMPTS (default 5) wrong PINs the trip can no longer
+ * be started; the rider is told and the trip has to be cancelled.
+ */
+@Injectable()
+export class StartPinService {
+  private readonly logger = new Logger(StartPinService.name);
+
+  private readonly pinLength = parseInt(process.env.START_PIN_LENGTH || '4');
+  private readonly maxAttempts = parseInt(
+    process.env.START_PIN_MAX_ATTEMPTS || '5'
+  );
+  private readonly requiredByDefault =
+    (process.env.START_PIN_REQUIRED || 'false') === 'true';
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly tripEvents: TripEventService,
+    private readonly coverageService: CoverageService,
+    private readonly notificationService: NotificationService
+  ) {}
+
+  /**
+   * A fresh PIN for a trip a driver just accepted, or null when its pickup
+   * does not require one.
+   */
+  async issue(trip: Trip): Promise<string | null> {
+    if (!(await this.isRequired(trip))) {
+      return null;
+    }
+
+    return randomInt(0, 10 ** this.pinLength)
+      .toString()
+      .padStart(this.pinLength, '0');
+  }
+
+  /**
+   * Tell the rider a PIN is waiting. The broker topic is not private to the
+   * rider, so the PIN itself is only handed out by getForRider.
+   */
+  notifyRider(trip: Trip): void {
+    if (!trip.startPin) return;
+
+    this.notificationService.notifyRider(trip.userId, {
+      type: 'START_PIN_READY',
+      tripId: trip.id,
+      message:
+        'Your trip has a PIN. Open the trip to see it and give it to your driver when you get in.',
+    });
+  }
+
+  /**
+   * The PIN of a trip, for its rider only. It is shown while a driver is on
+   * the way or waiting.
+   */
+  async getForRider(id: string, userId: string): Promise<StartPinResponse> {
+    const trip = await this.prisma.trip.findUnique({ where: { id } });
+
+    if (!trip) {
+      throw tripNotFound(id);
+    }
+
+    if (!userId || trip.userId !== userId) {
+      throw new RpcException({
+        code: status.PERMISSION_DENIED,
+        message: `Only the rider of trip ${id} can see its PIN`,
+      });
+    }
+
+    const pending =
+      trip.status === 'DRIVER_ACCEPTED' || trip.status === 'DRIVER_ARRIVED';
+
+    return {
+      tripId: trip.id,
+      required: !!trip.startPin,
+      pin: pending ? trip.startPin ?? undefined : undefined,
+      attemptsLeft: trip.startPin
+        ? Math.max(this.maxAttempts - trip.startPinAttempts, 0)
+        : undefined,
+    };
+  }
+
+  /**
+   * Check the PIN the driver entered before `trip` starts. Every wrong PIN
+   * counts against the limit and is recorded on the trip's timeline.
+   */
+  async verify(trip: Trip, pin: string | undefined): Promise<void> {
+    if (!trip.startPin) {
+      return;
+    }
+
+    if (trip.startPinAttempts >= this.maxAttempts) {
+      throw this.lockedOut(trip.id);
+    }
+
+    if (!pin) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `Trip ${trip.id} needs the rider's PIN to start`,
+      });
+    }
+
+    if (matches(pin, trip.startPin)) {
+      return;
+    }
+
+    const attempts = await this.prisma.$transaction(async (db) => {
+      const { count } = await db.trip.updateMany({
+        where: {
+          id: trip.id,
+          startPin: trip.startPin,
+          startPinAttempts: { lt: this.maxAttempts },
+        },
+        data: { startPinAttempts: { increment: 1 } },
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const { startPinAttempts } = await db.trip.findUniqueOrThrow({
+        where: { id: trip.id },
+        select: { startPinAttempts: true },
+      });
+
+      await this.tripEvents.record(
+        trip.id,
+        {
+          type: 'START_PIN_REJECTED',
+          actorType: 'DRIVER',
+          actorId: trip.driverId,
+          payload: { attempts: startPinAttempts },
+        },
+        db
+      );
+
+      return startPinAttempts;
+    });
+
+    // Locked out, or the PIN was reissued, by a concurrent attempt
+    if (attempts === null) {
+      throw this.lockedOut(trip.id);
+    }
+
+    const attemptsLeft = this.maxAttempts - attempts;
+
+    if (attemptsLeft === 0) {
+      this.logger.warn(`Trip ${trip.id} locked after ${attempts} wrong PINs`);
+      this.notificationService.notifyRider(trip.userId, {
+        type: 'START_PIN_LOCKED',
+        tripId: trip.id,
+        message:
+          'Your driver entered a wrong PIN too many times. Please cancel and book again.',
+      });
+      throw this.lockedOut(trip.id);
+    }
+
+    throw new RpcException({
+      code: status.PERMISSION_DENIED,
+      message: `Wrong PIN for trip ${trip.id}, ${attemptsLeft} attempts left`,
+    });
+  }
+
+  private async isRequired(trip: Trip): Promise<boolean> {
+    if (trip.pickupLatitude == null || trip.pickupLongitude == null) {
+      return this.requiredByDefault;
+    }
+
+    const result = await this.coverageService.lookup({
+      latitude: trip.pickupLatitude,
+      longitude: trip.pickupLongitude,
+    });
+
+    if (!result || !result.restricted) {
+      return this.requiredByDefault;
+    }
+
+    return result.coverage?.requireStartPin ?? false;
+  }
+
+  private lockedOut(id: string): RpcException {
+    return new RpcException({
+      code: status.RESOURCE_EXHAUSTED,
+      message: `Too many wrong PINs for trip ${id}, it can no longer be started`,
+    });
+  }
+}
+
+// Constant-time comparison, so response timing does not leak the PIN
+function matches(entered: string, expected: string): boolean {
+  const a = Buffer.from(entered);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
@@ -0,0 +1,190 @@
+import {
+  Injectable,
+  Logger,
+  OnModuleDestroy,
+  OnModuleInit,
+} from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Trip } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { SurgeService } from '../pricing/surge.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { DispatchService } from './dispatch.service';
+import { WaypointService } from './waypoint.service';
+
+/**
+ * Advance bookings
+ *
+ * A booked trip is stored as SCHEDULED with its pickup time. This scheduler
+ * polls the database and moves every trip whose pickup is within
+ * SCHEDULE_LEAD_MINUTES to FINDING_DRIVER, then hands it to DispatchService.
+ * All state lives in the trip table, so trips that fell due while the service
+ * was down are released on the first poll after startup. The release is a
+ * conditional update, so several instances can poll side by side and a trip
+ * cancelled in the meantime is left alone.
+ *
+ * The surge multiplier is fixed when matching starts, not at booking time.
+ *
+ * Configuration:
+ * - SCHEDULE_LEAD_MINUTES: start matching this long before pickup (default 10)
+ * - SCHEDULE_MIN_AHEAD_MINUTES: earliest bookable pickup (default 15)
+ * - SCHEDULE_MAX_AHEAD_DAYS: latest bookable pickup (default 7)
+ * - SCHEDULER_INTERVAL_MS: poll interval (default 30000)
+ */
+@Injectable()
+export class TripSchedulerService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(TripSchedulerService.name);
+  private pollTimer: NodeJS.Timeout;
+  private polling = false;
+
+  private readonly leadMs =
+    parseInt(process.env.SCHEDULE_LEAD_MINUTES || '10') * 60 * 1000;
+  private readonly minAheadMs =
+    parseInt(process.env.SCHEDULE_MIN_AHEAD_MINUTES || '15') * 60 * 1000;
+  private readonly maxAheadMs =
+    parseInt(process.env.SCHEDULE_MAX_AHEAD_DAYS || '7') * 24 * 60 * 60 * 1000;
+  private readonly pollIntervalMs = parseInt(
+    process.env.SCHEDULER_INTERVAL_MS || '30000'
+  );
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly dispatchService: DispatchService,
+    private readonly surgeService: SurgeService,
+    private readonly tripEvents: TripEventService,
+    private readonly waypointService: WaypointService
+  ) {}
+
+  onModuleInit() {
+    const poll = () =>
+      this.releaseDueTrips().catch((error) =>
+        this.logger.error(
+          `Scheduler poll failed: ${error.message}`,
+          error.stack
+        )
+      );
+
+    // Catch up on anything that fell due while we were down
+    poll();
+    this.pollTimer = setInterval(poll, this.pollIntervalMs);
+  }
+
+  onModuleDestroy() {
+    clearInterval(this.pollTimer);
+  }
+
+  /**
+   * Validate a requested pickup time against the booking window.
+   */
+  parsePickupTime(value: string): Date {
+    const pickupAt = new Date(value);
+
+    if (Number.isNaN(pickupAt.getTime())) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `scheduledAt must be an ISO 8601 timestamp, got "${value}"`,
+      });
+    }
+
+    const aheadMs = pickupAt.getTime() - Date.now();
+
+    if (aheadMs < this.minAheadMs || aheadMs > this.maxAheadMs) {
+      const minMinutes = this.minAheadMs / 60000;
+      const maxDays = this.maxAheadMs / 86400000;
+
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `scheduledAt must be between ${minMinutes} minutes and ${maxDays} days from now`,
+      });
+    }
+
+    return pickupAt;
+  }
+
+  /**
+   * Start matching for every scheduled trip that is now within the lead time.
+   */
+  async releaseDueTrips(): Promise<void> {
+    // A slow poll must not overlap the next one
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const due = await this.prisma.trip.findMany({
+        where: {
+          status: 'SCHEDULED',
+          scheduledAt: { lte: new Date(Date.now() + this.leadMs) },
+        },
+        orderBy: { scheduledAt: 'asc' },
+      });
+
+      for (const trip of due) {
+        try {
+          await this.release(trip);
+        } catch (error) {
+          this.logger.error(
+            `Failed to release scheduled trip ${trip.id}: ${error.message}`
+          );
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async release(trip: Trip): Promise<void> {
+    const hasPickup =
+      trip.pickupLatitude !== null && trip.pickupLongitude !== null;
+    const surgeMultiplier = hasPickup
+      ? await this.surgeService.getMultiplier(
+          trip.pickupLatitude,
+          trip.pickupLongitude
+        )
+      : 1;
+
+    const released = await this.prisma.$transaction(async (db) => {
+      const { count } = await db.trip.updateMany({
+        where: { id: trip.id, status: 'SCHEDULED' },
+        data: {
+          status: 'FINDING_DRIVER',
+          matchingStartedAt: new Date(),
+          surgeMultiplier,
+          pickupCell: hasPickup
+            ? this.surgeService.cellFor(
+                trip.pickupLatitude,
+                trip.pickupLongitude
+              )
+            : null,
+        },
+      });
+
+      if (count === 1) {
+        await this.tripEvents.record(
+          trip.id,
+          {
+            type: 'MATCHING_STARTED',
+            actorType: 'SYSTEM',
+            payload: { surgeMultiplier },
+          },
+          db
+        );
+      }
+
+      return count === 1;
+    });
+
+    // Cancelled meanwhile, or released by another instance
+    if (!released) return;
+
+    this.logger.log(
+      `Scheduled trip ${
+        trip.id
+      } (pickup ${trip.scheduledAt.toISOString()}) released for matching`
+    );
+
+    // The estimate now includes the surge locked in above
+    await this.waypointService.refreshEstimate(trip.id);
+    await this.dispatchService.offerToNextCandidate(trip.id);
+  }
+}
@@ -0,0 +1,91 @@
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Trip, TripStatus } from '../../generated/prisma';
+import {
+  assertTransition,
+  isTerminalStatus,
+  TRIP_STATUS_TRANSITIONS,
+} from './trip-status';
+
+function trip(overrides: Partial<Trip> = {}): Trip {
+  return {
+    id: 'trip-1',
+    status: 'FINDING_DRIVER',
+    driverId: null,
+    ...overrides,
+  } as Trip;
+}
+
+function errorOf(fn: () => void): { code: number; message: string } {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+  throw new Error('Expected an RpcException');
+}
+
+describe('trip status', () => {
+  describe('assertTransition', () => {
+    const allowed: Array<[TripStatus, TripStatus]> = [
+      ['SCHEDULED', 'FINDING_DRIVER'],
+      ['SCHEDULED', 'CANCELED'],
+      ['FINDING_DRIVER', 'DRIVER_ACCEPTED'],
+      ['FINDING_DRIVER', 'NO_DRIVER_FOUND'],
+      ['DRIVER_ACCEPTED', 'DRIVER_ARRIVED'],
+      ['DRIVER_ACCEPTED', 'FINDING_DRIVER'],
+      ['DRIVER_ARRIVED', 'CANCELED'],
+      ['ONGOING', 'COMPLETED'],
+    ];
+
+    it.each(allowed)('allows %s -> %s', (from, next) => {
+      expect(() =>
+        assertTransition(trip({ status: from, driverId: 'driver-1' }), next)
+      ).not.toThrow();
+    });
+
+    const rejected: Array<[TripStatus, TripStatus]> = [
+      ['SCHEDULED', 'ONGOING'],
+      ['FINDING_DRIVER', 'COMPLETED'],
+      ['DRIVER_ARRIVED', 'DRIVER_ACCEPTED'],
+      ['ONGOING', 'CANCELED'],
+      ['COMPLETED', 'ONGOING'],
+      ['CANCELED', 'FINDING_DRIVER'],
+      ['NO_DRIVER_FOUND', 'FINDING_DRIVER'],
+    ];
+
+    it.each(rejected)('rejects %s -> %s', (from, next) => {
+      const error = errorOf(() =>
+        assertTransition(trip({ status: from, driverId: 'driver-1' }), next)
+      );
+
+      expect(error.code).toBe(status.FAILED_PRECONDITION);
+      expect(error.message).toBe(
+        `Trip trip-1 cannot move from ${from} to ${next}`
+      );
+    });
+
+    it('rejects starting a trip without a driver', () => {
+      const error = errorOf(() =>
+        assertTransition(trip({ status: 'DRIVER_ACCEPTED' }), 'ONGOING')
+      );
+
+      expect(error.code).toBe(status.FAILED_PRECONDITION);
+      expect(error.message).toBe('Trip trip-1 has no driver assigned');
+    });
+  });
+
+  describe('isTerminalStatus', () => {
+    it('is true only for statuses with no way out', () => {
+      const terminal = (Object.keys(TRIP_STATUS_TRANSITIONS) as TripStatus[])
+        .filter(isTerminalStatus)
+        .sort();
+
+      expect(terminal).toEqual(['CANCELED', 'COMPLETED', 'NO_DRIVER_FOUND']);
+    });
+  });
+});
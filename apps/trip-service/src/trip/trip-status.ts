@@ -0,0 +1,66 @@
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Trip, TripStatus } from '../../generated/prisma';
+
+/**
+ * Trip lifecycle
+ *
+ * SCHEDULED → FINDING_DRIVER ⇄ DRIVER_ACCEPTED → DRIVER_ARRIVED → ONGOING → COMPLETED
+ *     ↓              ↓                 ↓                ↓
+ * CANCELED    CANCELED or          CANCELED         CANCELED
+ *             NO_DRIVER_FOUND
+ *
+ * Advance bookings wait in SCHEDULED until the scheduler starts matching.
+ * DRIVER_ARRIVED is optional: a driver can start the ride without reporting
+ * arrival. A trip can be cancelled until it starts; once ONGOING it can only
+ * be completed. A driver backing out of an accepted trip sends it back to
+ * FINDING_DRIVER. A search that runs past its deadline ends in
+ * NO_DRIVER_FOUND. COMPLETED, CANCELED and NO_DRIVER_FOUND are terminal.
+ */
+export const TRIP_STATUS_TRANSITIONS: Record<TripStatus, TripStatus[]> = {
+  SCHEDULED: ['FINDING_DRIVER', 'CANCELED'],
+  FINDING_DRIVER: ['DRIVER_ACCEPTED', 'CANCELED', 'NO_DRIVER_FOUND'],
+  DRIVER_ACCEPTED: ['DRIVER_ARRIVED', 'ONGOING', 'CANCELED', 'FINDING_DRIVER'],
+  DRIVER_ARRIVED: ['ONGOING', 'CANCELED', 'FINDING_DRIVER'],
+  ONGOING: ['COMPLETED'],
+  COMPLETED: [],
+  CANCELED: [],
+  NO_DRIVER_FOUND: [],
+};
+
+// A driver is carrying, or on the way to, the rider of a trip in these
+export const ACTIVE_TRIP_STATUSES: TripStatus[] = [
+  'DRIVER_ACCEPTED',
+  'DRIVER_ARRIVED',
+  'ONGOING',
+];
+
+export function isTerminalStatus(tripStatus: TripStatus): boolean {
+  return TRIP_STATUS_TRANSITIONS[tripStatus].length === 0;
+}
+
+export function tripNotFound(id: string): RpcException {
+  return new RpcException({
+    code: status.NOT_FOUND,
+    message: `Trip ${id} not found`,
+  });
+}
+
+/**
+ * Reject a status change the lifecycle does not allow, as FAILED_PRECONDITION.
+ */
+export function assertTransition(trip: Trip, next: TripStatus): void {
+  if (!TRIP_STATUS_TRANSITIONS[trip.status].includes(next)) {
+    throw new RpcException({
+      code: status.FAILED_PRECONDITION,
+      message: `Trip ${trip.id} cannot move from ${trip.status} to ${next}`,
+    });
+  }
+
+  if (next === 'ONGOING' && !trip.driverId) {
+    throw new RpcException({
+      code: status.FAILED_PRECONDITION,
+      message: `Trip ${trip.id} has no driver assigned`,
+    });
+  }
+}
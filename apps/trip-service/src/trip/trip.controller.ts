@@ -1,25 +1,44 @@
 import { Controller } from '@nestjs/common';
 import { GrpcMethod } from '@nestjs/microservices';
 import { TripService } from './trip.service';
+import { RatingService } from './rating.service';
+import { StartPinService } from './start-pin.service';
+import { PricingService } from '../pricing/pricing.service';
+import { SurgeService } from '../pricing/surge.service';
 import {
   CreateTripRequest,
   TripId,
+  CancelTripRequest,
   AcceptTripRequest,
+  ArriveTripRequest,
+  StartTripRequest,
+  GetStartPinRequest,
+  GetDriverOffersRequest,
+  EstimateFareRequest,
+  GetSurgeMapRequest,
+  RateTripRequest,
+  UpdateWaypointsRequest,
+  MarkWaypointRequest,
 } from '@uit-go/shared-types';
 import { GRPC_SERVICE } from '@uit-go/shared-client';
 
 @Controller()
 export class TripController {
-  constructor(private readonly tripService: TripService) {}
+  constructor(
+    private readonly tripService: TripService,
+    private readonly pricingService: PricingService,
+    private readonly surgeService: SurgeService,
+    private readonly ratingService: RatingService,
+    private readonly startPinService: StartPinService
+  ) {}
 
   @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.CREATE)
   async createTrip(data: CreateTripRequest) {
     // The createTrip method now handles the complete flow:
     // 1. Creates trip with location data
-    // 2. Finds nearest driver
-    // 3. Assigns driver to trip
-    // 4. Updates driver status to busy
-    // 5. Returns trip with driver info
+    // 2. Offers it to the nearest available driver
+    // 3. Returns the trip in FINDING_DRIVER; the driver binds to it
+    //    by accepting the offer through AcceptTrip
     return await this.tripService.createTrip(data);
   }
 
@@ -29,18 +48,32 @@ export class TripController {
   }
 
   @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.CANCEL)
-  cancelTrip(data: TripId) {
-    return this.tripService.cancelTrip(data.id);
+  cancelTrip(data: CancelTripRequest) {
+    return this.tripService.cancelTrip(data);
   }
 
   @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.ACCEPT)
   acceptTrip(data: AcceptTripRequest) {
-    return this.tripService.acceptTrip(data.id, data.driverId);
+    return this.tripService.acceptTrip(
+      data.id,
+      data.driverId,
+      data.accepted ?? true
+    );
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.ARRIVE)
+  arriveTrip(data: ArriveTripRequest) {
+    return this.tripService.arriveTrip(data.id, data.driverId);
   }
 
   @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.START)
-  startTrip(data: TripId) {
-    return this.tripService.startTrip(data.id);
+  startTrip(data: StartTripRequest) {
+    return this.tripService.startTrip(data.id, data.driverId, data.pin);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.START_PIN)
+  getStartPin(data: GetStartPinRequest) {
+    return this.startPinService.getForRider(data.id, data.userId);
   }
 
   @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.COMPLETE)
@@ -67,4 +100,43 @@ export class TripController {
   }) {
     return this.tripService.updateTrip(data);
   }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.OFFERS)
+  getDriverOffers(data: GetDriverOffersRequest) {
+    return this.tripService.getDriverOffers(data.driverId);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.WAYPOINTS)
+  updateWaypoints(data: UpdateWaypointsRequest) {
+    return this.tripService.updateWaypoints(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.MARK_WAYPOINT)
+  markWaypoint(data: MarkWaypointRequest) {
+    return this.tripService.markWaypoint(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.EVENTS)
+  getTripEvents(data: TripId) {
+    return this.tripService.getTripEvents(data.id);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.RATE)
+  rateTrip(data: RateTripRequest) {
+    return this.ratingService.rateTrip(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.ESTIMATE)
+  estimateFare(data: EstimateFareRequest) {
+    return this.pricingService.estimateFare(data);
+  }
+
+  @GrpcMethod(GRPC_SERVICE.TRIP.NAME, GRPC_SERVICE.TRIP.METHODS.SURGE_MAP)
+  getSurgeMap(data: GetSurgeMapRequest) {
+    return this.surgeService.getSurgeMap(
+      data.latitude,
+      data.longitude,
+      data.radius
+    );
+  }
 }
@@ -6,12 +6,29 @@ import {
   driverGrpcOptions,
 } from '@uit-go/shared-client';
 import { PrismaModule } from '../common/prisma/prisma.module';
+import { PricingModule } from '../pricing/pricing.module';
+import { SettlementModule } from '../settlement/settlement.module';
+import { TripEventModule } from '../trip-event/trip-event.module';
+import { NotificationModule } from '../notification/notification.module';
 import { TripController } from './trip.controller';
 import { TripService } from './trip.service';
+import { DispatchService } from './dispatch.service';
+import { RatingService } from './rating.service';
+import { TripSchedulerService } from './trip-scheduler.service';
+import { WaypointService } from './waypoint.service';
+import { PoolingService } from './pooling.service';
+import { CoverageService } from './coverage.service';
+import { ArrivalService } from './arrival.service';
+import { StartPinService } from './start-pin.service';
+import { DriverInfoService } from './driver-info.service';
 
 @Module({
   imports: [
     PrismaModule,
+    PricingModule,
+    SettlementModule,
+    TripEventModule,
+    NotificationModule,
     ClientsModule.registerAsync([
       {
         name: GRPC_SERVICE.USER.NAME,
@@ -28,6 +45,17 @@ import { TripService } from './trip.service';
     ]),
   ],
   controllers: [TripController],
-  providers: [TripService],
+  providers: [
+    TripService,
+    DispatchService,
+    RatingService,
+    TripSchedulerService,
+    WaypointService,
+    PoolingService,
+    CoverageService,
+    ArrivalService,
+    StartPinService,
+    DriverInfoService,
+  ],
 })
 export class TripModule {}
@@ -1,28 +1,76 @@
-import { Injectable, Inject, OnModuleInit } from '@nestjs/common';
-import { ClientGrpc } from '@nestjs/microservices';
+import { Injectable, Inject, Logger, OnModuleInit } from '@nestjs/common';
+import { ClientGrpc, RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
 import {
   GRPC_SERVICE,
   DriverServiceClient,
   UserServiceClient,
 } from '@uit-go/shared-client';
 import {
+  CancelTripRequest,
   CreateTripRequest,
+  MarkWaypointRequest,
+  UpdateWaypointsRequest,
   TripResponse,
-  NearbyQuery,
   UpdateStatusRequest,
   DriverStatusEnum,
-  UserId,
+  DriverProfileResponse,
+  TripOffersListResponse,
 } from '@uit-go/shared-types';
+import {
+  CancellationReason,
+  Prisma,
+  Trip,
+  TripActor,
+  TripStatus,
+} from '../../generated/prisma';
 import { PrismaService } from '../common/prisma/prisma.service';
+import { PricingService } from '../pricing/pricing.service';
+import { SurgeService } from '../pricing/surge.service';
+import { SettlementService } from '../settlement/settlement.service';
+import { ArrivalService } from './arrival.service';
+import { CoverageService } from './coverage.service';
+import { DriverInfoService } from './driver-info.service';
+import { DispatchService } from './dispatch.service';
+import { PoolingService } from './pooling.service';
+import { StartPinService } from './start-pin.service';
+import { TripSchedulerService } from './trip-scheduler.service';
+import {
+  TripWithWaypoints,
+  WaypointService,
+  WITH_WAYPOINTS,
+} from './waypoint.service';
+import {
+  TripEventInput,
+  TripEventService,
+} from '../trip-event/trip-event.service';
+import {
+  ACTIVE_TRIP_STATUSES,
+  assertTransition,
+  isTerminalStatus,
+  tripNotFound,
+} from './trip-status';
 import { firstValueFrom } from 'rxjs';
 
 @Injectable()
 export class TripService implements OnModuleInit {
+  private readonly logger = new Logger(TripService.name);
   private driverService: DriverServiceClient;
   private userService: UserServiceClient;
 
   constructor(
     private readonly prisma: PrismaService,
+    private readonly dispatchService: DispatchService,
+    private readonly surgeService: SurgeService,
+    private readonly settlementService: SettlementService,
+    private readonly tripScheduler: TripSchedulerService,
+    private readonly tripEvents: TripEventService,
+    private readonly waypointService: WaypointService,
+    private readonly poolingService: PoolingService,
+    private readonly coverageService: CoverageService,
+    private readonly arrivalService: ArrivalService,
+    private readonly startPinService: StartPinService,
+    private readonly driverInfo: DriverInfoService,
     @Inject(GRPC_SERVICE.DRIVER.NAME) private readonly driverClient: ClientGrpc,
     @Inject(GRPC_SERVICE.USER.NAME) private readonly userClient: ClientGrpc
   ) {}
@@ -37,7 +85,46 @@ export class TripService implements OnModuleInit {
   }
 
   async createTrip(data: CreateTripRequest): Promise<TripResponse> {
-    // Step 1: Create the trip with location data
+    if (data.pooled && data.waypoints?.length) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: 'Pooled trips cannot have waypoints',
+      });
+    }
+
+    await this.coverageService.assertCovered({
+      pickup: {
+        latitude: data.pickupLatitude,
+        longitude: data.pickupLongitude,
+      },
+      destination: {
+        latitude: data.destinationLatitude,
+        longitude: data.destinationLongitude,
+      },
+      waypoints: data.waypoints,
+    });
+
+    if (data.scheduledAt) {
+      return this.scheduleTrip(data);
+    }
+
+    const vehicleType = PricingService.toVehicleType(data.vehicleType);
+    const waypoints = this.waypointService.toCreateInput(data.waypoints);
+
+    // Step 1: Lock in the surge for the pickup cell at request time. The
+    // multiplier is read before this trip is stored so it is not counted
+    // towards its own demand.
+    const hasPickup =
+      Number.isFinite(data.pickupLatitude) &&
+      Number.isFinite(data.pickupLongitude);
+    const surgeMultiplier = hasPickup
+      ? await this.surgeService.getMultiplier(
+          data.pickupLatitude,
+          data.pickupLongitude
+        )
+      : 1;
+
+    // Step 2: Create the trip with location data
     const trip = await this.prisma.trip.create({
       data: {
         userId: data.userId,
@@ -45,234 +132,367 @@ export class TripService implements OnModuleInit {
         pickupLongitude: data.pickupLongitude,
         destinationLatitude: data.destinationLatitude,
         destinationLongitude: data.destinationLongitude,
+        pickupCell: hasPickup
+          ? this.surgeService.cellFor(data.pickupLatitude, data.pickupLongitude)
+          : null,
+        surgeMultiplier,
+        matchingStartedAt: new Date(),
+        pooled: data.pooled ?? false,
+        vehicleType,
+        waypoints: { create: waypoints },
       },
+      include: WITH_WAYPOINTS,
     });
 
-    // Step 2: Find nearest available driver
-    try {
-      const nearbyDriversQuery: NearbyQuery = {
-        latitude: data.pickupLatitude,
-        longitude: data.pickupLongitude,
-        radiusKm: 5, // 5km radius
-        count: 1, // Get the nearest driver
-      };
-
-      console.log(
-        'TripService - About to call searchNearbyDrivers with:',
-        JSON.stringify(nearbyDriversQuery, null, 2)
-      );
-      console.log('TripService - Individual field values:');
-      console.log(
-        '  latitude:',
-        nearbyDriversQuery.latitude,
-        typeof nearbyDriversQuery.latitude
-      );
-      console.log(
-        '  longitude:',
-        nearbyDriversQuery.longitude,
-        typeof nearbyDriversQuery.longitude
-      );
-      console.log(
-        '  radiusKm:',
-        nearbyDriversQuery.radiusKm,
-        typeof nearbyDriversQuery.radiusKm
-      );
-      console.log(
-        '  count:',
-        nearbyDriversQuery.count,
-        typeof nearbyDriversQuery.count
-      );
-
-      const nearbyDriversResponse = await firstValueFrom(
-        this.driverService.searchNearbyDrivers(nearbyDriversQuery)
-      );
-
-      if (nearbyDriversResponse.list && nearbyDriversResponse.list.length > 0) {
-        const nearestDriverId = nearbyDriversResponse.list[0].driverId;
-
-        // Step 3: Assign driver to trip
-        const updatedTrip = await this.acceptTrip(trip.id, nearestDriverId);
+    await this.tripEvents.record(trip.id, {
+      type: 'CREATED',
+      actorType: 'RIDER',
+      actorId: trip.userId,
+      payload: this.routePayload(trip),
+    });
 
-        // Step 4: Update driver status to busy
-        const updateStatusRequest: UpdateStatusRequest = {
-          driverId: nearestDriverId,
-          status: DriverStatusEnum.BUSY,
-        };
+    const priced = await this.waypointService.refreshEstimate(trip.id);
 
-        await firstValueFrom(
-          this.driverService.updateStatus(updateStatusRequest)
-        );
+    // Step 3: Offer the trip to the best nearby driver. The trip stays in
+    // FINDING_DRIVER until a driver accepts through AcceptTrip; declines and
+    // expired offers are handed to the next candidate by DispatchService,
+    // which also keeps retrying with a wider radius if nobody is found.
+    try {
+      await this.dispatchService.offerToNextCandidate(trip.id);
+    } catch (error) {
+      this.logger.error(`Error dispatching trip ${trip.id}: ${error.message}`);
+    }
 
-        // Step 5: Get driver info and location for response
-        const driverProfile = await firstValueFrom(
-          this.driverService.getDriver({ userId: nearestDriverId })
-        );
+    return this.mapToResponse(priced);
+  }
 
-        // Step 6: Update trip with driver location
-        const finalTrip = await this.prisma.trip.update({
-          where: { id: updatedTrip.id },
-          data: {
-            driverLatitude: driverProfile.lastLat,
-            driverLongitude: driverProfile.lastLng,
-          },
-        });
+  /**
+   * Advance booking: stored as SCHEDULED and released for matching by
+   * TripSchedulerService shortly before the pickup time.
+   */
+  private async scheduleTrip(data: CreateTripRequest): Promise<TripResponse> {
+    const scheduledAt = this.tripScheduler.parsePickupTime(data.scheduledAt);
+    const vehicleType = PricingService.toVehicleType(data.vehicleType);
+    const waypoints = this.waypointService.toCreateInput(data.waypoints);
 
-        return {
-          id: finalTrip.id,
-          userId: finalTrip.userId,
-          driverId: finalTrip.driverId,
-          status: finalTrip.status,
-          pickupLatitude: data.pickupLatitude,
-          pickupLongitude: data.pickupLongitude,
-          destinationLatitude: data.destinationLatitude,
-          destinationLongitude: data.destinationLongitude,
-          driverLatitude: finalTrip.driverLatitude,
-          driverLongitude: finalTrip.driverLongitude,
-          driverInfo: {
-            name: driverProfile.name,
-            phone: driverProfile.phone,
-            vehicleType: driverProfile.vehicleType,
-            licensePlate: driverProfile.licensePlate,
-            rating: driverProfile.rating,
-          },
-        };
-      } else {
-        // No drivers available, return trip in FINDING_DRIVER status
-        return {
-          id: trip.id,
-          userId: trip.userId,
-          driverId: trip.driverId,
-          status: trip.status,
-          pickupLatitude: data.pickupLatitude,
-          pickupLongitude: data.pickupLongitude,
-          destinationLatitude: data.destinationLatitude,
-          destinationLongitude: data.destinationLongitude,
-          driverLatitude: null,
-          driverLongitude: null,
-        };
-      }
-    } catch (error) {
-      console.error('Error finding or assigning driver:', error);
-      // Return trip in FINDING_DRIVER status if driver assignment fails
-      return {
-        id: trip.id,
-        userId: trip.userId,
-        driverId: trip.driverId,
-        status: trip.status,
+    const trip = await this.prisma.trip.create({
+      data: {
+        userId: data.userId,
+        status: 'SCHEDULED',
+        scheduledAt,
+        pooled: data.pooled ?? false,
+        vehicleType,
         pickupLatitude: data.pickupLatitude,
         pickupLongitude: data.pickupLongitude,
         destinationLatitude: data.destinationLatitude,
         destinationLongitude: data.destinationLongitude,
-        driverLatitude: null,
-        driverLongitude: null,
-      };
-    }
+        waypoints: { create: waypoints },
+      },
+      include: WITH_WAYPOINTS,
+    });
+
+    await this.tripEvents.record(trip.id, {
+      type: 'CREATED',
+      actorType: 'RIDER',
+      actorId: trip.userId,
+      payload: {
+        ...this.routePayload(trip),
+        scheduledAt: scheduledAt.toISOString(),
+      },
+    });
+
+    this.logger.log(
+      `Trip ${trip.id} scheduled for ${scheduledAt.toISOString()}`
+    );
+
+    // Priced without surge until matching starts
+    return this.mapToResponse(
+      await this.waypointService.refreshEstimate(trip.id)
+    );
   }
 
-  async getTripById(id: string): Promise<TripResponse | null> {
+  async getTripById(id: string): Promise<TripResponse> {
     const trip = await this.prisma.trip.findUnique({
       where: { id },
+      include: WITH_WAYPOINTS,
     });
 
     if (!trip) {
-      return null;
+      throw tripNotFound(id);
     }
 
-    let driverInfo = undefined;
+    return this.withDriverEta(
+      this.mapToResponse(trip, await this.driverInfo.get(trip.driverId))
+    );
+  }
 
-    // If trip has a driver assigned, get driver information
-    if (trip.driverId) {
-      try {
-        const driverProfile = await firstValueFrom(
-          this.driverService.getDriver({ userId: trip.driverId })
-        );
+  /**
+   * Cancel on behalf of the rider, the driver or the system. A rider
+   * cancelling after the grace period owes a late-cancellation fee; a driver
+   * backing out only gives the trip up, which goes back to matching.
+   */
+  async cancelTrip(request: CancelTripRequest): Promise<TripResponse> {
+    const { id } = request;
+    const actor = this.parseEnum(TripActor, request.actor, 'actor');
+    const reason = this.parseEnum(
+      CancellationReason,
+      request.reason || CancellationReason.OTHER,
+      'reason'
+    );
 
-        driverInfo = {
-          name: driverProfile.name,
-          phone: driverProfile.phone,
-          vehicleType: driverProfile.vehicleType,
-          licensePlate: driverProfile.licensePlate,
-          rating: driverProfile.rating,
-        };
-      } catch (error) {
-        console.error('Error fetching driver info:', error);
-      }
+    const current = await this.prisma.trip.findUnique({ where: { id } });
+
+    if (!current) {
+      throw tripNotFound(id);
     }
 
-    return {
-      id: trip.id,
-      userId: trip.userId,
-      driverId: trip.driverId,
-      status: trip.status,
-      pickupLatitude: trip.pickupLatitude,
-      pickupLongitude: trip.pickupLongitude,
-      destinationLatitude: trip.destinationLatitude,
-      destinationLongitude: trip.destinationLongitude,
-      driverLatitude: trip.driverLatitude,
-      driverLongitude: trip.driverLongitude,
-      driverInfo,
-    };
-  }
+    this.assertCancellingParty(current, actor, request.actorId);
 
-  async cancelTrip(id: string) {
-    const trip = await this.prisma.trip.update({
-      where: { id },
-      data: { status: 'CANCELED' },
-    });
+    // Retried CancelTrip: the trip is already cancelled, only make sure the
+    // fee went through
+    if (current.status === 'CANCELED' && current.cancellationFee) {
+      const settled = await this.settlementService.settleCancellation(current);
+      return this.mapToResponse(settled);
+    }
+
+    if (actor === TripActor.DRIVER) {
+      return this.withdrawDriver(current, reason);
+    }
+
+    assertTransition(current, 'CANCELED');
+    const fee =
+      actor === TripActor.RIDER
+        ? this.settlementService.cancellationFee(current)
+        : null;
+
+    const trip = await this.transition(
+      id,
+      'CANCELED',
+      {
+        canceledBy: actor,
+        cancelReason: reason,
+        canceledAt: new Date(),
+        cancellationFee: fee?.amount,
+        currency: fee?.currency,
+      },
+      (current) => ({
+        type: 'CANCELED',
+        actorType: actor,
+        actorId: request.actorId,
+        payload: {
+          previousStatus: current.status,
+          reason,
+          cancellationFee: fee?.amount ?? null,
+        },
+      })
+    );
+
+    // Withdraw the offer a driver may still be looking at
+    await this.dispatchService.cancelOffers(id);
 
     // Update driver status back to online when trip is canceled
     if (trip.driverId) {
-      try {
-        const updateStatusRequest: UpdateStatusRequest = {
-          driverId: trip.driverId,
-          status: DriverStatusEnum.ONLINE,
-        };
+      await this.releaseDriver(trip.driverId);
+    }
 
-        await firstValueFrom(
-          this.driverService.updateStatus(updateStatusRequest)
-        );
-      } catch (error) {
-        console.error('Error updating driver status to online:', error);
-      }
+    if (trip.cancellationFee) {
+      const settled = await this.settlementService.settleCancellation(trip);
+      return this.mapToResponse(settled);
     }
 
-    return trip;
+    return this.mapToResponse(trip);
   }
 
-  async acceptTrip(id: string, driverId: string) {
-    return this.prisma.trip.update({
-      where: { id },
-      data: { status: 'DRIVER_ACCEPTED', driverId },
-    });
+  /**
+   * Driver's answer to a dispatch offer. Declining hands the trip to the next
+   * candidate; accepting binds the driver and marks them BUSY.
+   */
+  async acceptTrip(
+    id: string,
+    driverId: string,
+    accepted = true
+  ): Promise<TripResponse> {
+    if (!accepted) {
+      await this.dispatchService.declineOffer(id, driverId);
+      return this.getTripById(id);
+    }
+
+    const bound = await this.dispatchService.acceptOffer(id, driverId);
+    let trip: TripWithWaypoints;
+    let driverProfile: DriverProfileResponse;
+
+    // A trip bound to a driver who is still ONLINE could be dispatched to
+    // them again, so a failed hand-over undoes the acceptance and the driver
+    // answers the offer again
+    try {
+      // Snapshot the driver's position before BUSY clears it
+      driverProfile = await firstValueFrom(
+        this.driverService.getDriver({ userId: driverId })
+      );
+
+      trip = await this.prisma.trip.update({
+        where: { id },
+        data: {
+          driverLatitude: driverProfile.lastLat,
+          driverLongitude: driverProfile.lastLng,
+          startPin: await this.startPinService.issue(bound),
+          startPinAttempts: 0,
+        },
+        include: WITH_WAYPOINTS,
+      });
+
+      const updateStatusRequest: UpdateStatusRequest = {
+        driverId,
+        status: DriverStatusEnum.BUSY,
+      };
+
+      await firstValueFrom(
+        this.driverService.updateStatus(updateStatusRequest)
+      );
+    } catch (error) {
+      await this.dispatchService.revertAcceptance(id, driverId, error.message);
+      // BUSY may have been applied before the failure
+      await this.releaseDriver(driverId);
+      throw error;
+    }
+
+    this.arrivalService.watch(trip);
+    this.startPinService.notifyRider(trip);
+
+    return this.withDriverEta(
+      this.mapToResponse(trip, this.driverInfo.remember(driverProfile))
+    );
   }
 
-  async startTrip(id: string) {
-    console.log(`[TripService] Starting trip: ${id}`);
-    const trip = await this.prisma.trip.update({
-      where: { id },
-      data: { status: 'ONGOING' },
-    });
-    console.log(
-      `[TripService] Trip ${id} started successfully. Status: ${trip.status}`
+  async getDriverOffers(driverId: string): Promise<TripOffersListResponse> {
+    const offers = await this.dispatchService.getDriverOffers(driverId);
+
+    return {
+      offers: offers.map((offer) => ({
+        id: offer.id,
+        tripId: offer.tripId,
+        driverId: offer.driverId,
+        status: offer.status,
+        expiresAt: offer.expiresAt.toISOString(),
+        respondedAt: offer.respondedAt?.toISOString(),
+        pickupLatitude: offer.trip.pickupLatitude,
+        pickupLongitude: offer.trip.pickupLongitude,
+        destinationLatitude: offer.trip.destinationLatitude,
+        destinationLongitude: offer.trip.destinationLongitude,
+      })),
+    };
+  }
+
+  /**
+   * The driver reports they are waiting at the pickup.
+   */
+  async arriveTrip(id: string, driverId: string): Promise<TripResponse> {
+    const trip = await this.arrivalService.arrive(id, driverId);
+    return this.mapToResponse(trip);
+  }
+
+  /**
+   * The trip's driver picks the rider up. Trips with a start PIN only start
+   * with the rider's PIN.
+   */
+  async startTrip(
+    id: string,
+    driverId: string,
+    pin?: string
+  ): Promise<TripResponse> {
+    this.logger.log(`Starting trip: ${id}`);
+
+    const current = await this.prisma.trip.findUnique({ where: { id } });
+
+    if (!current) {
+      throw tripNotFound(id);
+    }
+
+    if (!driverId || current.driverId !== driverId) {
+      throw new RpcException({
+        code: status.PERMISSION_DENIED,
+        message: `Only the driver of trip ${id} can start it`,
+      });
+    }
+
+    assertTransition(current, 'ONGOING');
+    await this.startPinService.verify(current, pin);
+
+    // Time the driver spent waiting at the pickup, billed up to now
+    const startedAt = new Date();
+    const waiting = this.settlementService.waitingFee(current, startedAt);
+    const trip = await this.transition(
+      id,
+      'ONGOING',
+      { startedAt, waitingFee: waiting?.amount },
+      (current) => ({
+        type: 'STARTED',
+        actorType: 'DRIVER',
+        actorId: current.driverId,
+        payload: waiting
+          ? { waitingFee: waiting.amount, waitingMinutes: waiting.minutes }
+          : undefined,
+      })
     );
-    return trip;
+    this.logger.log(`Trip ${id} started successfully. Status: ${trip.status}`);
+    return this.mapToResponse(trip);
   }
 
-  async completeTrip(id: string) {
-    console.log(`[TripService] Completing trip: ${id}`);
-    const trip = await this.prisma.trip.update({
-      where: { id },
-      data: { status: 'COMPLETED' },
-    });
+  async completeTrip(id: string): Promise<TripResponse> {
+    this.logger.log(`Completing trip: ${id}`);
+
+    const current = await this.prisma.trip.findUnique({ where: { id } });
+
+    if (!current) {
+      throw tripNotFound(id);
+    }
+
+    // Retried CompleteTrip: the trip is already done, only make sure the
+    // payment went through
+    if (current.status === 'COMPLETED') {
+      const settled = await this.settlementService.settle(current);
+      return this.mapToResponse(settled);
+    }
 
-    console.log(
-      `[TripService] Trip ${id} completed. Status: ${trip.status}. Releasing driver: ${trip.driverId}`
+    assertTransition(current, 'COMPLETED');
+    const completedAt = new Date();
+    const quote = await this.settlementService.priceTrip(current);
+    // Pooled riders pay only their share of the time spent riding together
+    const { fare, share } = await this.poolingService.splitFare(
+      current,
+      quote.fare,
+      completedAt
+    );
+    const { currency } = quote;
+    // Waiting at the pickup is the rider's alone and is never split
+    const waitingFee = current.waitingFee?.toNumber() ?? 0;
+    const total = Math.round((fare + waitingFee) * 100) / 100;
+    const trip = await this.transition(
+      id,
+      'COMPLETED',
+      { fare: total, currency, completedAt },
+      (current) => ({
+        type: 'COMPLETED',
+        actorType: 'DRIVER',
+        actorId: current.driverId,
+        payload: {
+          fare: total,
+          currency,
+          ...(waitingFee > 0 && { waitingFee }),
+          ...(current.pooled && { soloFare: quote.fare, share }),
+        },
+      })
+    );
+
+    this.logger.log(
+      `Trip ${id} completed. Status: ${trip.status}. Releasing driver: ${trip.driverId}`
     );
 
     // Release driver: Update driver status back to ONLINE when trip is completed
     // The driver service will now accept location updates again since status is ONLINE
     // This allows the driver to move to a new location after completing the trip
-    if (trip.driverId) {
+    // A driver still carrying other pooled riders stays BUSY
+    if (trip.driverId && !(await this.carriesRiders(trip.driverId))) {
       try {
         const updateStatusRequest: UpdateStatusRequest = {
           driverId: trip.driverId,
@@ -283,15 +503,18 @@ export class TripService implements OnModuleInit {
           this.driverService.updateStatus(updateStatusRequest)
         );
 
-        console.log(
-          `[TripService] Driver ${trip.driverId} released and set to ONLINE. Can now accept location updates.`
+        this.logger.log(
+          `Driver ${trip.driverId} released and set to ONLINE. Can now accept location updates.`
         );
       } catch (error) {
-        console.error('Error updating driver status to online:', error);
+        this.logger.error(
+          `Error updating driver ${trip.driverId} status to online: ${error.message}`
+        );
       }
     }
 
-    return trip;
+    const settled = await this.settlementService.settle(trip);
+    return this.mapToResponse(settled);
   }
 
   async getTrips(request: {
@@ -310,59 +533,32 @@ export class TripService implements OnModuleInit {
     const limit = request.limit || 10;
     const skip = (page - 1) * limit;
 
-    const where: any = {};
+    const where: Prisma.TripWhereInput = {};
     if (request.userId) where.userId = request.userId;
     if (request.driverId) where.driverId = request.driverId;
-    if (request.status) where.status = request.status;
+    if (request.status) where.status = request.status as TripStatus;
 
     const [trips, total] = await this.prisma.$transaction([
       this.prisma.trip.findMany({
         where,
+        include: WITH_WAYPOINTS,
         skip,
         take: limit,
-        orderBy: {
-          createdAt: 'desc',
-        },
+        // Upcoming bookings are listed soonest first
+        orderBy:
+          request.status === 'SCHEDULED'
+            ? { scheduledAt: 'asc' }
+            : { createdAt: 'desc' },
       }),
       this.prisma.trip.count({ where }),
     ]);
 
-    const tripsWithDriverInfo = await Promise.all(
-      trips.map(async (trip) => {
-        let driverInfo = undefined;
-
-        if (trip.driverId) {
-          try {
-            const driverProfile = await firstValueFrom(
-              this.driverService.getDriver({ userId: trip.driverId })
-            );
-
-            driverInfo = {
-              name: driverProfile.name,
-              phone: driverProfile.phone,
-              vehicleType: driverProfile.vehicleType,
-              licensePlate: driverProfile.licensePlate,
-              rating: driverProfile.rating,
-            };
-          } catch (error) {
-            console.error('Error fetching driver info:', error);
-          }
-        }
-
-        return {
-          id: trip.id,
-          userId: trip.userId,
-          driverId: trip.driverId,
-          status: trip.status,
-          pickupLatitude: trip.pickupLatitude,
-          pickupLongitude: trip.pickupLongitude,
-          destinationLatitude: trip.destinationLatitude,
-          destinationLongitude: trip.destinationLongitude,
-          driverLatitude: trip.driverLatitude,
-          driverLongitude: trip.driverLongitude,
-          driverInfo,
-        };
-      })
+    // One lookup for the whole page
+    const drivers = await this.driverInfo.getMany(
+      trips.map((trip) => trip.driverId)
+    );
+    const tripsWithDriverInfo = trips.map((trip) =>
+      this.mapToResponse(trip, drivers.get(trip.driverId))
     );
 
     return {
@@ -378,86 +574,352 @@ export class TripService implements OnModuleInit {
     destinationLatitude?: number;
     destinationLongitude?: number;
   }): Promise<TripResponse> {
-    const updateData: any = {};
+    const existing = await this.prisma.trip.findUnique({
+      where: { id: request.id },
+    });
+
+    if (!existing) {
+      throw tripNotFound(request.id);
+    }
+
+    if (isTerminalStatus(existing.status)) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Trip ${request.id} is ${existing.status} and can no longer be changed`,
+      });
+    }
+
+    await this.coverageService.assertCovered({
+      destination: {
+        latitude: request.destinationLatitude ?? existing.destinationLatitude,
+        longitude:
+          request.destinationLongitude ?? existing.destinationLongitude,
+      },
+    });
+
+    const updateData: Prisma.TripUpdateInput = {};
 
     if (request.destinationLatitude !== undefined)
       updateData.destinationLatitude = request.destinationLatitude;
     if (request.destinationLongitude !== undefined)
       updateData.destinationLongitude = request.destinationLongitude;
 
-    const trip = await this.prisma.trip.update({
-      where: {
-        id: request.id,
-      },
-      data: updateData,
+    const trip = await this.prisma.$transaction(async (db) => {
+      const updated = await db.trip.update({
+        where: {
+          id: request.id,
+        },
+        data: updateData,
+      });
+
+      await this.tripEvents.record(
+        updated.id,
+        {
+          type: 'DESTINATION_CHANGED',
+          actorType: 'RIDER',
+          actorId: updated.userId,
+          payload: {
+            from: {
+              latitude: existing.destinationLatitude,
+              longitude: existing.destinationLongitude,
+            },
+            to: {
+              latitude: updated.destinationLatitude,
+              longitude: updated.destinationLongitude,
+            },
+          },
+        },
+        db
+      );
+
+      return updated;
     });
 
-    let driverInfo = undefined;
+    const priced = await this.waypointService.refreshEstimate(trip.id);
+    return this.mapToResponse(priced, await this.driverInfo.get(trip.driverId));
+  }
 
-    if (trip.driverId) {
-      try {
-        const driverProfile = await firstValueFrom(
-          this.driverService.getDriver({ userId: trip.driverId })
-        );
+  async updateWaypoints(
+    request: UpdateWaypointsRequest
+  ): Promise<TripResponse> {
+    await this.coverageService.assertCovered({
+      waypoints: request.waypoints,
+    });
 
-        driverInfo = {
-          name: driverProfile.name,
-          phone: driverProfile.phone,
-          vehicleType: driverProfile.vehicleType,
-          licensePlate: driverProfile.licensePlate,
-          rating: driverProfile.rating,
-        };
-      } catch (error) {
-        console.error('Error fetching driver info:', error);
+    const trip = await this.waypointService.replaceUpcoming(
+      request.id,
+      request.waypoints
+    );
+    return this.mapToResponse(trip, await this.driverInfo.get(trip.driverId));
+  }
+
+  async markWaypoint(request: MarkWaypointRequest): Promise<TripResponse> {
+    const trip = await this.waypointService.mark(request);
+    return this.mapToResponse(trip);
+  }
+
+  async getTripEvents(id: string) {
+    return this.tripEvents.getTimeline(id);
+  }
+
+  /**
+   * Move a trip to `next` if the lifecycle allows it. The write is guarded on
+   * the status we validated against, so a concurrent change loses cleanly
+   * instead of overwriting. The timeline event built from the trip as it was
+   * before the change is stored in the same transaction.
+   */
+  private async transition(
+    id: string,
+    next: TripStatus,
+    data: Prisma.TripUpdateManyMutationInput,
+    event: (current: Trip) => TripEventInput
+  ): Promise<TripWithWaypoints> {
+    const trip = await this.prisma.trip.findUnique({ where: { id } });
+
+    if (!trip) {
+      throw tripNotFound(id);
+    }
+
+    assertTransition(trip, next);
+
+    return this.prisma.$transaction(async (db) => {
+      const { count } = await db.trip.updateMany({
+        where: { id, status: trip.status },
+        data: { ...data, status: next },
+      });
+
+      if (count === 0) {
+        throw new RpcException({
+          code: status.ABORTED,
+          message: `Trip ${id} changed while moving to ${next}, retry`,
+        });
       }
+
+      await this.tripEvents.record(id, event(trip), db);
+
+      return db.trip.findUniqueOrThrow({
+        where: { id },
+        include: WITH_WAYPOINTS,
+      });
+    });
+  }
+
+  /**
+   * The driver gives up an accepted trip: unbind them and offer the trip to
+   * the next candidate. They are never offered the same trip again.
+   */
+  private async withdrawDriver(
+    current: Trip,
+    reason: CancellationReason
+  ): Promise<TripResponse> {
+    const trip = await this.transition(
+      current.id,
+      'FINDING_DRIVER',
+      {
+        driverId: null,
+        driverLatitude: null,
+        driverLongitude: null,
+        acceptedAt: null,
+        arrivedAt: null,
+        // The next driver gets a new PIN
+        startPin: null,
+        startPinAttempts: 0,
+        // The search starts over with the initial radius
+        matchingStartedAt: new Date(),
+      },
+      (current) => ({
+        type: 'DRIVER_CANCELED',
+        actorType: 'DRIVER',
+        actorId: current.driverId,
+        payload: { reason },
+      })
+    );
+
+    this.logger.log(
+      `Driver ${current.driverId} cancelled trip ${trip.id} (${reason}), matching again`
+    );
+
+    if (current.driverId) {
+      await this.releaseDriver(current.driverId);
     }
 
-    return {
-      id: trip.id,
-      userId: trip.userId,
-      driverId: trip.driverId,
-      status: trip.status,
-      pickupLatitude: trip.pickupLatitude,
-      pickupLongitude: trip.pickupLongitude,
-      destinationLatitude: trip.destinationLatitude,
-      destinationLongitude: trip.destinationLongitude,
-      driverLatitude: trip.driverLatitude,
-      driverLongitude: trip.driverLongitude,
-      driverInfo,
-    };
+    try {
+      await this.dispatchService.offerToNextCandidate(trip.id);
+    } catch (error) {
+      this.logger.error(
+        `Error re-dispatching trip ${trip.id}: ${error.message}`
+      );
+    }
+
+    return this.mapToResponse(trip);
   }
 
-  async findNearestDriver(tripId: string): Promise<string | null> {
-    // Get trip details to get location
-    const trip = await this.prisma.trip.findUnique({
-      where: { id: tripId },
+  private async releaseDriver(driverId: string): Promise<void> {
+    // Other pooled riders are still with the driver
+    if (await this.carriesRiders(driverId)) {
+      return;
+    }
+
+    try {
+      const updateStatusRequest: UpdateStatusRequest = {
+        driverId,
+        status: DriverStatusEnum.ONLINE,
+      };
+
+      await firstValueFrom(
+        this.driverService.updateStatus(updateStatusRequest)
+      );
+    } catch (error) {
+      this.logger.error(
+        `Error updating driver ${driverId} status to online: ${error.message}`
+      );
+    }
+  }
+
+  private async carriesRiders(driverId: string): Promise<boolean> {
+    const active = await this.prisma.trip.count({
+      where: { driverId, status: { in: ACTIVE_TRIP_STATUSES } },
     });
+    return active > 0;
+  }
 
-    if (!trip || !trip.pickupLatitude || !trip.pickupLongitude) {
-      console.error(`Trip ${tripId} not found or missing location data`);
-      return null;
+  /**
+   * Riders and drivers may only cancel their own trips; SYSTEM is trusted.
+   */
+  private assertCancellingParty(
+    trip: Trip,
+    actor: TripActor,
+    actorId?: string
+  ): void {
+    const partyId =
+      actor === TripActor.RIDER
+        ? trip.userId
+        : actor === TripActor.DRIVER
+        ? trip.driverId
+        : undefined;
+
+    if (actor !== TripActor.SYSTEM && (!actorId || actorId !== partyId)) {
+      throw new RpcException({
+        code: status.PERMISSION_DENIED,
+        message: `Only the trip's ${actor.toLowerCase()} can cancel it as ${actor}`,
+      });
     }
+  }
 
-    try {
-      const nearbyDriversQuery: NearbyQuery = {
+  private parseEnum<T extends string>(
+    values: Record<string, T>,
+    value: string,
+    field: string
+  ): T {
+    const allowed = Object.values(values);
+
+    if (!allowed.includes(value as T)) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `${field} must be one of: ${allowed.join(', ')}`,
+      });
+    }
+
+    return value as T;
+  }
+
+  private routePayload(trip: TripWithWaypoints): Prisma.InputJsonObject {
+    return {
+      pickup: {
         latitude: trip.pickupLatitude,
         longitude: trip.pickupLongitude,
-        radiusKm: 5, // 5km radius
-        count: 1, // Get the nearest driver
-      };
+      },
+      waypoints: (trip.waypoints ?? []).map(({ latitude, longitude }) => ({
+        latitude,
+        longitude,
+      })),
+      destination: {
+        latitude: trip.destinationLatitude,
+        longitude: trip.destinationLongitude,
+      },
+      surgeMultiplier: trip.surgeMultiplier.toNumber(),
+      vehicleType: trip.vehicleType,
+    };
+  }
 
-      const nearbyDriversResponse = await firstValueFrom(
-        this.driverService.searchNearbyDrivers(nearbyDriversQuery)
+  /**
+   * While the driver is on the way, replace the position snapshot taken at
+   * accept time with their latest one and add the time to pickup.
+   */
+  private async withDriverEta(response: TripResponse): Promise<TripResponse> {
+    if (
+      response.status !== 'DRIVER_ACCEPTED' ||
+      !response.driverId ||
+      response.pickupLatitude == null ||
+      response.pickupLongitude == null
+    ) {
+      return response;
+    }
+
+    try {
+      const arrival = await firstValueFrom(
+        this.driverService.estimateArrival({
+          driverId: response.driverId,
+          latitude: response.pickupLatitude,
+          longitude: response.pickupLongitude,
+        })
       );
 
-      if (nearbyDriversResponse.list && nearbyDriversResponse.list.length > 0) {
-        return nearbyDriversResponse.list[0].driverId;
+      if (arrival.etaSeconds == null) {
+        return response;
       }
 
-      return null;
+      return {
+        ...response,
+        driverLatitude: arrival.latitude,
+        driverLongitude: arrival.longitude,
+        driverEtaSeconds: arrival.etaSeconds,
+      };
     } catch (error) {
-      console.error('Error finding nearest driver:', error);
-      return null;
+      this.logger.error(
+        `Error estimating arrival of driver ${response.driverId}: ${error.message}`
+      );
+      return response;
     }
   }
+
+  private mapToResponse(
+    trip: TripWithWaypoints,
+    driverInfo?: TripResponse['driverInfo']
+  ): TripResponse {
+    return {
+      id: trip.id,
+      userId: trip.userId,
+      driverId: trip.driverId,
+      status: trip.status,
+      pickupLatitude: trip.pickupLatitude,
+      pickupLongitude: trip.pickupLongitude,
+      destinationLatitude: trip.destinationLatitude,
+      destinationLongitude: trip.destinationLongitude,
+      driverLatitude: trip.driverLatitude,
+      driverLongitude: trip.driverLongitude,
+      surgeMultiplier: trip.surgeMultiplier.toNumber(),
+      fare: trip.fare?.toNumber(),
+      currency: trip.currency ?? undefined,
+      scheduledAt: trip.scheduledAt?.toISOString(),
+      canceledBy: trip.canceledBy ?? undefined,
+      cancelReason: trip.cancelReason ?? undefined,
+      cancellationFee: trip.cancellationFee?.toNumber(),
+      arrivedAt: trip.arrivedAt?.toISOString(),
+      waitingFee: trip.waitingFee?.toNumber(),
+      startPinRequired: !!trip.startPin,
+      waypoints: trip.waypoints?.map((waypoint) => ({
+        id: waypoint.id,
+        position: waypoint.position,
+        latitude: waypoint.latitude,
+        longitude: waypoint.longitude,
+        arrivedAt: waypoint.arrivedAt?.toISOString(),
+        departedAt: waypoint.departedAt?.toISOString(),
+      })),
+      estimatedFare: trip.estimatedFare?.toNumber(),
+      pooled: trip.pooled,
+      vehicleType: trip.vehicleType,
+      driverInfo,
+    };
+  }
 }
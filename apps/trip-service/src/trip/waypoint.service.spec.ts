@@ -0,0 +1,282 @@
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { Prisma, Trip, TripWaypoint } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { SettlementService } from '../settlement/settlement.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { WaypointService } from './waypoint.service';
+
+const REACHED = new Date('2026-01-01T08:10:00Z');
+
+// One trip and its stops, as the waypoint queries see them
+class FakeTripStore {
+  trip = {
+    id: 'trip-1',
+    userId: 'rider-1',
+    driverId: 'driver-1',
+    status: 'ONGOING',
+    pooled: false,
+  } as Trip;
+  waypoints: TripWaypoint[] = [];
+
+  stop(position: number, visit: Partial<TripWaypoint> = {}) {
+    this.waypoints.push({
+      id: `stop-${position}`,
+      tripId: 'trip-1',
+      position,
+      latitude: 10.7,
+      longitude: 106.7,
+      arrivedAt: null,
+      departedAt: null,
+      createdAt: REACHED,
+      ...visit,
+    });
+  }
+
+  private withWaypoints() {
+    return {
+      ...this.trip,
+      waypoints: [...this.waypoints].sort((a, b) => a.position - b.position),
+    };
+  }
+
+  prisma = {
+    $transaction: jest.fn((work) => work(this.prisma)),
+    trip: {
+      findUnique: jest.fn(async () => this.withWaypoints()),
+      findUniqueOrThrow: jest.fn(async () => this.withWaypoints()),
+      update: jest.fn(async ({ data }) => {
+        Object.assign(this.trip, data);
+        return this.withWaypoints();
+      }),
+    },
+    tripWaypoint: {
+      deleteMany: jest.fn(async () => {
+        this.waypoints = this.waypoints.filter((stop) => stop.arrivedAt);
+      }),
+      createMany: jest.fn(async ({ data }) => {
+        for (const { position, latitude, longitude } of data) {
+          this.stop(position, { latitude, longitude });
+        }
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const stop = this.waypoints.find(
+          (candidate) =>
+            candidate.id === where.id &&
+            Object.keys(where)
+              .filter((key) => key !== 'id')
+              .every((key) => candidate[key] === where[key])
+        );
+        if (stop) Object.assign(stop, data);
+        return { count: stop ? 1 : 0 };
+      }),
+    },
+  };
+}
+
+describe('WaypointService', () => {
+  let store: FakeTripStore;
+  let service: WaypointService;
+  let record: jest.Mock;
+  let priceTrip: jest.Mock;
+
+  beforeEach(() => {
+    store = new FakeTripStore();
+    record = jest.fn();
+    priceTrip = jest.fn().mockResolvedValue({ fare: 64000 });
+
+    service = new WaypointService(
+      store.prisma as unknown as PrismaService,
+      { record } as unknown as TripEventService,
+      { priceTrip } as unknown as SettlementService
+    );
+  });
+
+  async function rejection(promise: Promise<unknown>) {
+    const error = await promise.catch((error) => error);
+    expect(error).toBeInstanceOf(RpcException);
+    return (error as RpcException).getError() as {
+      code: number;
+      message: string;
+    };
+  }
+
+  describe('replaceUpcoming', () => {
+    it('keeps the stops reached and numbers the new ones after them', async () => {
+      store.stop(0, { arrivedAt: REACHED });
+      store.stop(1, { latitude: 10.75 });
+
+      const trip = await service.replaceUpcoming('trip-1', [
+        { latitude: 10.8, longitude: 106.6 },
+        { latitude: 10.81, longitude: 106.61 },
+      ]);
+
+      expect(
+        trip.waypoints?.map(({ position, latitude }) => [position, latitude])
+      ).toEqual([
+        [0, 10.7],
+        [1, 10.8],
+        [2, 10.81],
+      ]);
+      expect(record).toHaveBeenCalledWith(
+        'trip-1',
+        expect.objectContaining({
+          type: 'WAYPOINTS_CHANGED',
+          payload: {
+            from: [{ latitude: 10.75, longitude: 106.7 }],
+            to: [
+              { latitude: 10.8, longitude: 106.6 },
+              { latitude: 10.81, longitude: 106.61 },
+            ],
+          },
+        }),
+        store.prisma
+      );
+    });
+
+    it('prices the new route', async () => {
+      const trip = await service.replaceUpcoming('trip-1', []);
+
+      expect(trip.estimatedFare).toBe(64000);
+    });
+
+    it('keeps the old estimate when pricing fails', async () => {
+      priceTrip.mockRejectedValue(new Error('pricing unavailable'));
+
+      const trip = await service.replaceUpcoming('trip-1', [
+        { latitude: 10.8, longitude: 106.6 },
+      ]);
+
+      expect(trip.waypoints).toHaveLength(1);
+      expect(store.prisma.trip.update).not.toHaveBeenCalled();
+    });
+
+    it('counts the stops reached towards TRIP_MAX_WAYPOINTS', async () => {
+      store.stop(0, { arrivedAt: REACHED });
+      const five = Array.from({ length: 5 }, () => ({
+        latitude: 10.8,
+        longitude: 106.6,
+      }));
+
+      const error = await rejection(service.replaceUpcoming('trip-1', five));
+
+      expect(error.code).toBe(status.INVALID_ARGUMENT);
+      expect(error.message).toBe('A trip can have at most 5 waypoints');
+    });
+
+    it('names the stop with invalid coordinates', async () => {
+      const error = await rejection(
+        service.replaceUpcoming('trip-1', [
+          { latitude: 10.8, longitude: 106.6 },
+          { latitude: 91, longitude: 106.6 },
+        ])
+      );
+
+      expect(error.message).toBe('Waypoint 2 has invalid coordinates');
+      expect(store.prisma.tripWaypoint.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('refuses pooled and finished trips', async () => {
+      store.trip.pooled = true;
+      expect(
+        (await rejection(service.replaceUpcoming('trip-1', []))).code
+      ).toBe(status.FAILED_PRECONDITION);
+
+      store.trip.pooled = false;
+      store.trip.status = 'COMPLETED';
+      expect(
+        (await rejection(service.replaceUpcoming('trip-1', []))).code
+      ).toBe(status.FAILED_PRECONDITION);
+    });
+
+    it('asks for a retry when the driver reached a stop meanwhile', async () => {
+      store.prisma.tripWaypoint.createMany.mockRejectedValue(
+        new Prisma.PrismaClientKnownRequestError('Unique constraint failed', {
+          code: 'P2002',
+          clientVersion: 'test',
+        })
+      );
+
+      const error = await rejection(
+        service.replaceUpcoming('trip-1', [
+          { latitude: 10.8, longitude: 106.6 },
+        ])
+      );
+
+      expect(error.code).toBe(status.ABORTED);
+    });
+  });
+
+  describe('mark', () => {
+    beforeEach(() => {
+      store.stop(0);
+      store.stop(1);
+    });
+
+    const mark = (position: number, event: string, driverId = 'driver-1') =>
+      service.mark({ id: 'trip-1', driverId, position, event });
+
+    it('stamps arrival and departure in order', async () => {
+      await mark(0, 'ARRIVED');
+      await mark(0, 'DEPARTED');
+      const trip = await mark(1, 'ARRIVED');
+
+      expect(trip.waypoints?.[0].departedAt).toBeInstanceOf(Date);
+      expect(trip.waypoints?.[1].arrivedAt).toBeInstanceOf(Date);
+      expect(record.mock.calls.map(([, event]) => event.type)).toEqual([
+        'WAYPOINT_ARRIVED',
+        'WAYPOINT_DEPARTED',
+        'WAYPOINT_ARRIVED',
+      ]);
+    });
+
+    it('refuses a stop while an earlier one is not left', async () => {
+      await mark(0, 'ARRIVED');
+
+      const error = await rejection(mark(1, 'ARRIVED'));
+
+      expect(error.code).toBe(status.FAILED_PRECONDITION);
+    });
+
+    it('refuses leaving a stop not reached', async () => {
+      const error = await rejection(mark(0, 'DEPARTED'));
+
+      expect(error.message).toBe('Waypoint 0 has not been reached yet');
+    });
+
+    it('refuses a second arrival at the same stop', async () => {
+      await mark(0, 'ARRIVED');
+
+      expect((await rejection(mark(0, 'ARRIVED'))).code).toBe(
+        status.FAILED_PRECONDITION
+      );
+    });
+
+    it('refuses a stamp that lost the race to another', async () => {
+      store.prisma.tripWaypoint.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const error = await rejection(mark(0, 'ARRIVED'));
+
+      expect(error.message).toBe('Waypoint 0 is already arrived');
+      expect(record).not.toHaveBeenCalled();
+    });
+
+    it('only takes stamps from the trip driver while ONGOING', async () => {
+      expect((await rejection(mark(0, 'ARRIVED', 'driver-2'))).code).toBe(
+        status.PERMISSION_DENIED
+      );
+
+      store.trip.status = 'DRIVER_ARRIVED';
+      expect((await rejection(mark(0, 'ARRIVED'))).code).toBe(
+        status.FAILED_PRECONDITION
+      );
+    });
+
+    it('rejects unknown stops and events', async () => {
+      expect((await rejection(mark(5, 'ARRIVED'))).code).toBe(status.NOT_FOUND);
+      expect((await rejection(mark(0, 'PASSED'))).code).toBe(
+        status.INVALID_ARGUMENT
+      );
+    });
+  });
+});
@@ -0,0 +1,274 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { MarkWaypointRequest, WaypointInput } from '@uit-go/shared-types';
+import { Prisma, Trip, TripWaypoint } from '../../generated/prisma';
+import { PrismaService } from '../common/prisma/prisma.service';
+import { SettlementService } from '../settlement/settlement.service';
+import { TripEventService } from '../trip-event/trip-event.service';
+import { isTerminalStatus, tripNotFound } from './trip-status';
+
+export type TripWithWaypoints = Trip & { waypoints?: TripWaypoint[] };
+
+// Prisma include that loads a trip's stops in visiting order
+export const WITH_WAYPOINTS = {
+  waypoints: { orderBy: { position: 'asc' } },
+} satisfies Prisma.TripInclude;
+
+/**
+ * Multi-stop trips
+ *
+ * A trip may stop at up to TRIP_MAX_WAYPOINTS (default 5) places between
+ * pickup and destination. The rider can rewrite the stops still ahead until
+ * the trip ends; stops the driver has reached stay as they are. The driver
+ * stamps each stop on arrival and departure, in order, while the trip is
+ * ONGOING. Every route change refreshes the trip's fare estimate.
+ */
+@Injectable()
+export class WaypointService {
+  private readonly logger = new Logger(WaypointService.name);
+  private readonly maxWaypoints = parseInt(
+    process.env.TRIP_MAX_WAYPOINTS || '5'
+  );
+
+  constructor(
+    private readonly prisma: PrismaService,
+    private readonly tripEvents: TripEventService,
+    private readonly settlementService: SettlementService
+  ) {}
+
+  /**
+   * Validate requested stops and number them from `firstPosition`.
+   */
+  toCreateInput(
+    waypoints: WaypointInput[] | undefined,
+    firstPosition = 0
+  ): Prisma.TripWaypointCreateWithoutTripInput[] {
+    const list = waypoints ?? [];
+
+    if (firstPosition + list.length > this.maxWaypoints) {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: `A trip can have at most ${this.maxWaypoints} waypoints`,
+      });
+    }
+
+    return list.map((waypoint, index) => {
+      const { latitude, longitude } = waypoint;
+
+      if (
+        !Number.isFinite(latitude) ||
+        !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 ||
+        Math.abs(longitude) > 180
+      ) {
+        throw new RpcException({
+          code: status.INVALID_ARGUMENT,
+          message: `Waypoint ${index + 1} has invalid coordinates`,
+        });
+      }
+
+      return { position: firstPosition + index, latitude, longitude };
+    });
+  }
+
+  /**
+   * Replace every stop not reached yet with `waypoints`.
+   */
+  async replaceUpcoming(
+    tripId: string,
+    waypoints: WaypointInput[] | undefined
+  ): Promise<TripWithWaypoints> {
+    const trip = await this.prisma.trip.findUnique({
+      where: { id: tripId },
+      include: WITH_WAYPOINTS,
+    });
+
+    if (!trip) {
+      throw tripNotFound(tripId);
+    }
+
+    if (isTerminalStatus(trip.status)) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Trip ${tripId} is ${trip.status} and can no longer be changed`,
+      });
+    }
+
+    // Other riders were matched to the route as it was
+    if (trip.pooled) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Trip ${tripId} is pooled and cannot have waypoints`,
+      });
+    }
+
+    const reached = trip.waypoints.filter((waypoint) => waypoint.arrivedAt);
+    const upcoming = this.toCreateInput(waypoints, reached.length);
+
+    try {
+      await this.prisma.$transaction(async (db) => {
+        await db.tripWaypoint.deleteMany({
+          where: { tripId, arrivedAt: null },
+        });
+
+        await db.tripWaypoint.createMany({
+          data: upcoming.map((waypoint) => ({ ...waypoint, tripId })),
+        });
+
+        await this.tripEvents.record(
+          tripId,
+          {
+            type: 'WAYPOINTS_CHANGED',
+            actorType: 'RIDER',
+            actorId: trip.userId,
+            payload: {
+              from: trip.waypoints
+                .filter((waypoint) => !waypoint.arrivedAt)
+                .map(({ latitude, longitude }) => ({ latitude, longitude })),
+              to: upcoming.map(({ latitude, longitude }) => ({
+                latitude,
+                longitude,
+              })),
+            },
+          },
+          db
+        );
+      });
+    } catch (error) {
+      // The driver reached a stop while we were rewriting the ones ahead
+      if (
+        error instanceof Prisma.PrismaClientKnownRequestError &&
+        error.code === 'P2002'
+      ) {
+        throw new RpcException({
+          code: status.ABORTED,
+          message: `Waypoints of trip ${tripId} changed meanwhile, retry`,
+        });
+      }
+      throw error;
+    }
+
+    return this.refreshEstimate(tripId);
+  }
+
+  /**
+   * Driver stamps arrival at, or departure from, the stop at `position`.
+   */
+  async mark(request: MarkWaypointRequest): Promise<TripWithWaypoints> {
+    if (request.event !== 'ARRIVED' && request.event !== 'DEPARTED') {
+      throw new RpcException({
+        code: status.INVALID_ARGUMENT,
+        message: 'event must be one of: ARRIVED, DEPARTED',
+      });
+    }
+
+    const trip = await this.prisma.trip.findUnique({
+      where: { id: request.id },
+      include: WITH_WAYPOINTS,
+    });
+
+    if (!trip) {
+      throw tripNotFound(request.id);
+    }
+
+    if (request.driverId !== trip.driverId) {
+      throw new RpcException({
+        code: status.PERMISSION_DENIED,
+        message: `${request.driverId} is not the driver of trip ${trip.id}`,
+      });
+    }
+
+    if (trip.status !== 'ONGOING') {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: `Waypoints can only be visited while trip ${trip.id} is ONGOING`,
+      });
+    }
+
+    const waypoint = trip.waypoints.find(
+      (candidate) => candidate.position === request.position
+    );
+
+    if (!waypoint) {
+      throw new RpcException({
+        code: status.NOT_FOUND,
+        message: `Trip ${trip.id} has no waypoint at position ${request.position}`,
+      });
+    }
+
+    const arriving = request.event === 'ARRIVED';
+    const skipped = trip.waypoints.some(
+      (earlier) => earlier.position < waypoint.position && !earlier.departedAt
+    );
+
+    if (arriving ? skipped || waypoint.arrivedAt : !waypoint.arrivedAt) {
+      throw new RpcException({
+        code: status.FAILED_PRECONDITION,
+        message: arriving
+          ? `Waypoint ${waypoint.position} is already reached or an earlier one is not finished`
+          : `Waypoint ${waypoint.position} has not been reached yet`,
+      });
+    }
+
+    await this.prisma.$transaction(async (db) => {
+      const { count } = await db.tripWaypoint.updateMany({
+        where: arriving
+          ? { id: waypoint.id, arrivedAt: null }
+          : { id: waypoint.id, departedAt: null },
+        data: arriving ? { arrivedAt: new Date() } : { departedAt: new Date() },
+      });
+
+      if (count === 0) {
+        throw new RpcException({
+          code: status.FAILED_PRECONDITION,
+          message: `Waypoint ${
+            waypoint.position
+          } is already ${request.event.toLowerCase()}`,
+        });
+      }
+
+      await this.tripEvents.record(
+        trip.id,
+        {
+          type: arriving ? 'WAYPOINT_ARRIVED' : 'WAYPOINT_DEPARTED',
+          actorType: 'DRIVER',
+          actorId: request.driverId,
+          payload: { position: waypoint.position },
+        },
+        db
+      );
+    });
+
+    return this.prisma.trip.findUniqueOrThrow({
+      where: { id: trip.id },
+      include: WITH_WAYPOINTS,
+    });
+  }
+
+  /**
+   * Re-price the trip's current route and store it as the estimate. A
+   * pricing failure leaves the previous estimate in place.
+   */
+  async refreshEstimate(tripId: string): Promise<TripWithWaypoints> {
+    const trip = await this.prisma.trip.findUniqueOrThrow({
+      where: { id: tripId },
+      include: WITH_WAYPOINTS,
+    });
+
+    try {
+      const { fare } = await this.settlementService.priceTrip(trip);
+
+      return await this.prisma.trip.update({
+        where: { id: tripId },
+        data: { estimatedFare: fare },
+        include: WITH_WAYPOINTS,
+      });
+    } catch (error) {
+      this.logger.warn(
+        `Could not estimate the fare of trip ${tripId}: ${error.message}`
+      );
+      return trip;
+    }
+  }
+}
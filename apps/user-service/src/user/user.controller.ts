@@ -1,5 +1,9 @@
 import { Controller } from '@nestjs/common';
-import { CreateUserProfileRequest, UserId } from '@uit-go/shared-types';
+import {
+  ApplyWalletTransactionRequest,
+  CreateUserProfileRequest,
+  UserId,
+} from '@uit-go/shared-types';
 import { UserService } from './user.service';
 import { GrpcMethod } from '@nestjs/microservices';
 import { GRPC_SERVICE } from '@uit-go/shared-client';
@@ -30,4 +34,9 @@ export class UserController {
   updateUserProfile(request: any) {
     return this.userProfileService.update(request);
   }
+
+  @GrpcMethod(GRPC_SERVICE.USER.NAME, GRPC_SERVICE.USER.METHODS.WALLET)
+  applyWalletTransaction(request: ApplyWalletTransactionRequest) {
+    return this.userProfileService.applyWalletTransaction(request);
+  }
 }
@@ -1,8 +1,12 @@
 import { Injectable } from '@nestjs/common';
 import { PrismaService } from '../../prisma/prisma.service';
 import {
+  ApplyWalletTransactionRequest,
+  applyWalletTransaction,
   CreateUserProfileRequest,
   UserProfileResponse,
+  WalletStore,
+  WalletTransactionResponse,
 } from '@uit-go/shared-types';
 
 interface GetUsersRequest {
@@ -22,11 +26,32 @@ interface UpdateUserProfileRequest {
   full_name?: string;
   email?: string;
   phone?: string;
-  balance?: number;
 }
 
 @Injectable()
 export class UserService {
+  private readonly walletStore: WalletStore = {
+    findByReference: (reference) =>
+      this.db.walletTransaction.findUnique({ where: { reference } }),
+    apply: (request) =>
+      this.db.$transaction(async (db) => {
+        const profile = await db.userProfile.update({
+          where: { userId: request.userId },
+          data: { balance: { increment: request.amount } },
+        });
+
+        return db.walletTransaction.create({
+          data: {
+            userId: request.userId,
+            amount: request.amount,
+            balanceAfter: profile.balance,
+            reference: request.reference,
+            description: request.description,
+          },
+        });
+      }),
+  };
+
   constructor(private readonly db: PrismaService) {}
 
   async create(
@@ -107,7 +132,6 @@ export class UserService {
       updateData.fullName = request.full_name;
     if (request.email !== undefined) updateData.email = request.email;
     if (request.phone !== undefined) updateData.phone = request.phone;
-    if (request.balance !== undefined) updateData.balance = request.balance;
 
     const userProfile = await this.db.userProfile.update({
       where: {
@@ -121,4 +145,15 @@ export class UserService {
       balance: userProfile.balance.toNumber(),
     };
   }
+
+  /**
+   * Move money in or out of a wallet. The balance change and its
+   * wallet_transaction row are written together; see applyWalletTransaction
+   * for the replay rules.
+   */
+  async applyWalletTransaction(
+    request: ApplyWalletTransactionRequest
+  ): Promise<WalletTransactionResponse> {
+    return applyWalletTransaction(request, this.walletStore, 'User');
+  }
 }
@@ -8,8 +8,27 @@ import {
   NearbyDriverResponse,
   GetDriversRequest,
   DriversListResponse,
+  GetDriversByIdsRequest,
+  DriversByIdsResponse,
   UpdateDriverProfileRequest,
   DeleteDriverResponse,
+  CellSupplyRequest,
+  CellSupplyResponse,
+  EstimateArrivalRequest,
+  EstimateArrivalResponse,
+  ApplyWalletTransactionRequest,
+  WalletTransactionResponse,
+  RecordDriverRatingRequest,
+  ReconcileIndexRequest,
+  ReconcileIndexResponse,
+  CreateServiceAreaRequest,
+  UpdateServiceAreaRequest,
+  ServiceAreaId,
+  GetServiceAreasRequest,
+  ServiceAreaResponse,
+  ServiceAreasListResponse,
+  CheckCoverageRequest,
+  CheckCoverageResponse,
 } from '@uit-go/shared-types';
 import { Observable } from 'rxjs';
 
@@ -17,6 +36,9 @@ export interface DriverServiceClient {
   CreateDriver(data: CreateDriverRequest): Observable<DriverProfileResponse>;
   getDriver(data: GetDriverRequest): Observable<DriverProfileResponse>;
   getDrivers(data: GetDriversRequest): Observable<DriversListResponse>;
+  getDriversByIds(
+    data: GetDriversByIdsRequest
+  ): Observable<DriversByIdsResponse>;
   updateDriverProfile(
     data: UpdateDriverProfileRequest
   ): Observable<DriverProfileResponse>;
@@ -26,4 +48,28 @@ export interface DriverServiceClient {
     data: UpdateLocationRequest
   ): Observable<DriverProfileResponse>;
   searchNearbyDrivers(data: NearbyQuery): Observable<NearbyDriverResponse>;
+  getCellSupply(data: CellSupplyRequest): Observable<CellSupplyResponse>;
+  estimateArrival(
+    data: EstimateArrivalRequest
+  ): Observable<EstimateArrivalResponse>;
+  recordDriverRating(
+    data: RecordDriverRatingRequest
+  ): Observable<DriverProfileResponse>;
+  reconcileIndex(
+    data: ReconcileIndexRequest
+  ): Observable<ReconcileIndexResponse>;
+  applyWalletTransaction(
+    data: ApplyWalletTransactionRequest
+  ): Observable<WalletTransactionResponse>;
+  createServiceArea(
+    data: CreateServiceAreaRequest
+  ): Observable<ServiceAreaResponse>;
+  getServiceAreas(
+    data: GetServiceAreasRequest
+  ): Observable<ServiceAreasListResponse>;
+  updateServiceArea(
+    data: UpdateServiceAreaRequest
+  ): Observable<ServiceAreaResponse>;
+  deleteServiceArea(data: ServiceAreaId): Observable<ServiceAreaResponse>;
+  checkCoverage(data: CheckCoverageRequest): Observable<CheckCoverageResponse>;
 }
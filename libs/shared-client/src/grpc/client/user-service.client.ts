@@ -6,6 +6,8 @@ import {
   GetUsersRequest,
   UsersListResponse,
   UpdateUserProfileRequest,
+  ApplyWalletTransactionRequest,
+  WalletTransactionResponse,
 } from '@uit-go/shared-types';
 import { Observable } from 'rxjs';
 
@@ -29,4 +31,9 @@ export interface UserServiceClient {
     request: UpdateUserProfileRequest,
     metadata?: Metadata
   ): Observable<UserProfileResponse>;
+
+  applyWalletTransaction(
+    request: ApplyWalletTransactionRequest,
+    metadata?: Metadata
+  ): Observable<WalletTransactionResponse>;
 }
@@ -7,6 +7,7 @@ export const GRPC_SERVICE = {
       DETAIL: 'GetUser',
       LIST: 'GetUsers',
       UPDATE: 'UpdateUserProfile',
+      WALLET: 'ApplyWalletTransaction',
     },
   },
   DRIVER: {
@@ -16,11 +17,22 @@ export const GRPC_SERVICE = {
       CREATE: 'CreateDriver',
       DETAIL: 'GetDriver',
       LIST: 'GetDrivers',
+      BATCH: 'GetDriversByIds',
       UPDATE: 'UpdateDriverProfile',
       DELETE: 'DeleteDriver',
       UPDATE_STATUS: 'UpdateStatus',
       UPDATE_LOCATION: 'UpdateLocation',
       SEARCH_NEARBY: 'SearchNearbyDrivers',
+      CELL_SUPPLY: 'GetCellSupply',
+      ETA: 'EstimateArrival',
+      CREATE_AREA: 'CreateServiceArea',
+      LIST_AREAS: 'GetServiceAreas',
+      UPDATE_AREA: 'UpdateServiceArea',
+      DELETE_AREA: 'DeleteServiceArea',
+      COVERAGE: 'CheckCoverage',
+      WALLET: 'ApplyWalletTransaction',
+      RATING: 'RecordDriverRating',
+      RECONCILE_INDEX: 'ReconcileIndex',
     },
   },
   TRIP: {
@@ -33,8 +45,17 @@ export const GRPC_SERVICE = {
       UPDATE: 'UpdateTrip',
       CANCEL: 'CancelTrip',
       ACCEPT: 'AcceptTrip',
+      ARRIVE: 'ArriveTrip',
       START: 'StartTrip',
+      START_PIN: 'GetStartPin',
       COMPLETE: 'CompleteTrip',
+      OFFERS: 'GetDriverOffers',
+      ESTIMATE: 'EstimateFare',
+      SURGE_MAP: 'GetSurgeMap',
+      RATE: 'RateTrip',
+      EVENTS: 'GetTripEvents',
+      WAYPOINTS: 'UpdateWaypoints',
+      MARK_WAYPOINT: 'MarkWaypoint',
     },
   },
 } as const;
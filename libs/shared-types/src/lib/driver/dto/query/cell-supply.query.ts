@@ -0,0 +1,7 @@
+import { IsArray, IsString } from 'class-validator';
+
+export class CellSupplyRequest {
+  @IsArray()
+  @IsString({ each: true })
+  cells!: string[];
+}
@@ -0,0 +1,12 @@
+import { IsNumber, IsString } from 'class-validator';
+
+export class EstimateArrivalRequest {
+  @IsString()
+  driverId!: string;
+
+  @IsNumber()
+  latitude!: number;
+
+  @IsNumber()
+  longitude!: number;
+}
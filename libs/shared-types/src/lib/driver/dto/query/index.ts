@@ -1 +1,3 @@
 export * from './nearby.query'
+export * from './cell-supply.query';
+export * from './estimate-arrival.query';
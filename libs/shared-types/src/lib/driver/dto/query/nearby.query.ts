@@ -1,4 +1,5 @@
-import { IsNumber, IsOptional } from 'class-validator';
+import { IsBoolean, IsEnum, IsNumber, IsOptional } from 'class-validator';
+import { VehicleTypeEnum } from '../../enum';
 
 export class NearbyQuery {
   @IsNumber()
@@ -13,4 +14,14 @@ export class NearbyQuery {
   @IsNumber()
   @IsOptional()
   count!: number | null;
+
+  // Only BUSY drivers with a free seat, for pooled trips
+  @IsBoolean()
+  @IsOptional()
+  pooled?: boolean;
+
+  // Only drivers of this vehicle type; any type when unset
+  @IsEnum(VehicleTypeEnum)
+  @IsOptional()
+  vehicleType?: VehicleTypeEnum;
 }
@@ -0,0 +1,7 @@
+import { IsArray, IsString } from 'class-validator';
+
+export class GetDriversByIdsRequest {
+  @IsArray()
+  @IsString({ each: true })
+  userIds!: string[];
+}
@@ -4,3 +4,6 @@ export * from './get-drivers.request';
 export * from './update-driver-profile.request';
 export * from './update-status.request';
 export * from './update-location.request';
+export * from './record-driver-rating.request';
+export * from './get-drivers-by-ids.request';
+export * from './reconcile-index.request';
@@ -0,0 +1,8 @@
+import { IsBoolean, IsOptional } from 'class-validator';
+
+export class ReconcileIndexRequest {
+  // Only count the drift, change nothing
+  @IsOptional()
+  @IsBoolean()
+  dryRun?: boolean;
+}
@@ -0,0 +1,14 @@
+import { IsInt, IsNotEmpty, Max, Min } from 'class-validator';
+
+export class RecordDriverRatingRequest {
+  @IsNotEmpty()
+  driverId!: string;
+
+  @IsNotEmpty()
+  tripId!: string;
+
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  score!: number;
+}
@@ -23,5 +23,5 @@ export class UpdateDriverProfileRequest {
   licenseNumber?: string;
 
   @IsOptional()
-  balance?: number;
+  seatCapacity?: number;
 }
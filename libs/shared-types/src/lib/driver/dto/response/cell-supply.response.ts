@@ -0,0 +1,8 @@
+export class CellSupply {
+  cell!: string;
+  drivers!: number;
+}
+
+export class CellSupplyResponse {
+  list!: CellSupply[];
+}
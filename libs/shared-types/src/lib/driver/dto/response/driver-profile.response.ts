@@ -16,6 +16,10 @@ export class DriverProfileResponse {
 
   rating!: number;
 
+  ratingCount?: number;
+
+  seatCapacity?: number;
+
   balance!: number;
 
   lastLat!: number | null;
@@ -0,0 +1,6 @@
+import { DriverProfileResponse } from './driver-profile.response';
+
+export class DriversByIdsResponse {
+  // Unknown ids are left out
+  drivers!: DriverProfileResponse[];
+}
@@ -0,0 +1,7 @@
+export class EstimateArrivalResponse {
+  driverId!: string;
+  // Unset while the driver has no known position
+  etaSeconds?: number;
+  latitude?: number;
+  longitude?: number;
+}
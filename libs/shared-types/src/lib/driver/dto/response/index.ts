@@ -2,3 +2,7 @@ export * from './driver-profile.response';
 export * from './drivers-list.response';
 export * from './delete-driver.response';
 export * from './nearby-driver.response';
+export * from './cell-supply.response';
+export * from './estimate-arrival.response';
+export * from './drivers-by-ids.response';
+export * from './reconcile-index.response';
@@ -1,6 +1,13 @@
 export class NearbyDriver {
   driverId!: string;
-  distance!: string;
+  // km from the search point
+  distance!: number;
+  // Set for pooled searches
+  seatCapacity?: number;
+  latitude?: number | null;
+  longitude?: number | null;
+  // Seconds to reach the search point
+  etaSeconds?: number;
 }
 
 export class NearbyDriverResponse {
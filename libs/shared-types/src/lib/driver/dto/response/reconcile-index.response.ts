@@ -0,0 +1,10 @@
+export class ReconcileIndexResponse {
+  // Drivers in Postgres compared with the index
+  checked!: number;
+  added!: number;
+  // Re-indexed under their current status, vehicle type or pool
+  moved!: number;
+  removed!: number;
+  // H3 bucket entries whose driver metadata had expired
+  danglingEntries!: number;
+}
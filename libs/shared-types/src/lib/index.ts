@@ -2,3 +2,5 @@ export * from './driver';
 export * from './user';
 export * from './trip';
 
+export * from './wallet';
+export * from './service-area';
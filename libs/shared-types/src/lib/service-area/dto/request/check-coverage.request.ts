@@ -0,0 +1,8 @@
+export interface CoveragePoint {
+  latitude: number;
+  longitude: number;
+}
+
+export interface CheckCoverageRequest {
+  points: CoveragePoint[];
+}
@@ -0,0 +1,21 @@
+import { IsBoolean, IsNotEmpty, IsOptional, IsString } from 'class-validator';
+
+export class CreateServiceAreaRequest {
+  @IsNotEmpty()
+  @IsString()
+  name!: string;
+
+  // GeoJSON Polygon or MultiPolygon (or a Feature wrapping one), serialized
+  @IsNotEmpty()
+  @IsString()
+  geojson!: string;
+
+  @IsOptional()
+  @IsBoolean()
+  active?: boolean;
+
+  // Trips picked up here need the rider's PIN to start
+  @IsOptional()
+  @IsBoolean()
+  requireStartPin?: boolean;
+}
@@ -0,0 +1,4 @@
+export interface GetServiceAreasRequest {
+  // Leave out deactivated areas
+  activeOnly?: boolean;
+}
@@ -0,0 +1,5 @@
+export * from './create-service-area.request';
+export * from './update-service-area.request';
+export * from './service-area-id.request';
+export * from './get-service-areas.request';
+export * from './check-coverage.request';
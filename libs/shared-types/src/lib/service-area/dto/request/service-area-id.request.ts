@@ -0,0 +1,3 @@
+export interface ServiceAreaId {
+  id: string;
+}
@@ -0,0 +1,23 @@
+import { IsBoolean, IsNotEmpty, IsOptional, IsString } from 'class-validator';
+
+export class UpdateServiceAreaRequest {
+  @IsNotEmpty()
+  id!: string;
+
+  @IsOptional()
+  @IsString()
+  name?: string;
+
+  @IsOptional()
+  @IsString()
+  geojson?: string;
+
+  @IsOptional()
+  @IsBoolean()
+  active?: boolean;
+
+  // Trips picked up here need the rider's PIN to start
+  @IsOptional()
+  @IsBoolean()
+  requireStartPin?: boolean;
+}
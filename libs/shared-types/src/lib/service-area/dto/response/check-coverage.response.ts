@@ -0,0 +1,15 @@
+export interface PointCoverage {
+  latitude: number;
+  longitude: number;
+  covered: boolean;
+  // Area containing the point, when covered
+  areaId?: string;
+  areaName?: string;
+  requireStartPin?: boolean;
+}
+
+export interface CheckCoverageResponse {
+  // false while no service area is active: every point is covered
+  restricted: boolean;
+  list: PointCoverage[];
+}
@@ -0,0 +1,2 @@
+export * from './service-area.response';
+export * from './check-coverage.response';
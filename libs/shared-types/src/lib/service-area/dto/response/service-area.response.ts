@@ -0,0 +1,16 @@
+export interface ServiceAreaResponse {
+  id: string;
+  name: string;
+  // GeoJSON geometry, serialized
+  geojson: string;
+  active: boolean;
+  requireStartPin: boolean;
+  resolution: number;
+  cellCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ServiceAreasListResponse {
+  list: ServiceAreaResponse[];
+}
@@ -0,0 +1,2 @@
+export * from './dto/request';
+export * from './dto/response';
@@ -1,4 +1,10 @@
 export interface AcceptTripRequest {
   id: string;
   driverId: string;
+  accepted?: boolean;
+}
+
+export interface ArriveTripRequest {
+  id: string;
+  driverId: string;
 }
@@ -0,0 +1,9 @@
+export interface CancelTripRequest {
+  id: string;
+  // RIDER, DRIVER or SYSTEM
+  actor: string;
+  // The rider's or driver's id; required unless actor is SYSTEM
+  actorId?: string;
+  // Cancellation reason code, OTHER when omitted
+  reason?: string;
+}
@@ -1,7 +1,22 @@
+import { VehicleTypeEnum } from '../../../driver/enum/vehicle.enum';
+
+export interface WaypointInput {
+  latitude: number;
+  longitude: number;
+}
+
 export interface CreateTripRequest {
   userId: string;
   pickupLatitude: number;
   pickupLongitude: number;
   destinationLatitude: number;
   destinationLongitude: number;
+  // ISO 8601 pickup time for an advance booking; omit to ride now
+  scheduledAt?: string;
+  // Stops between pickup and destination, in visiting order
+  waypoints?: WaypointInput[];
+  // Share the driver with other riders heading the same way
+  pooled?: boolean;
+  // Only drivers of this vehicle type are matched (default MOTOBIKE)
+  vehicleType?: VehicleTypeEnum;
 }
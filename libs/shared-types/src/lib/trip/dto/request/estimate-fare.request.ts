@@ -0,0 +1,20 @@
+import { IsEnum, IsNumber, IsOptional } from 'class-validator';
+import { VehicleTypeEnum } from '../../../driver/enum/vehicle.enum';
+
+export class EstimateFareRequest {
+  @IsNumber()
+  pickupLatitude!: number;
+
+  @IsNumber()
+  pickupLongitude!: number;
+
+  @IsNumber()
+  destinationLatitude!: number;
+
+  @IsNumber()
+  destinationLongitude!: number;
+
+  @IsOptional()
+  @IsEnum(VehicleTypeEnum)
+  vehicleType?: VehicleTypeEnum;
+}
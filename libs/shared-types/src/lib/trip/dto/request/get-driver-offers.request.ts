@@ -0,0 +1,3 @@
+export interface GetDriverOffersRequest {
+  driverId: string;
+}
@@ -0,0 +1,6 @@
+export interface GetSurgeMapRequest {
+  latitude: number;
+  longitude: number;
+  // Rings of H3 cells around the location (default 1, max 5)
+  radius?: number;
+}
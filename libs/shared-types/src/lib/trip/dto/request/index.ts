@@ -1,5 +1,12 @@
 export * from './create-trip.request';
 export * from './accept-trip.request';
 export * from './trip-id.request';
+export * from './cancel-trip.request';
 export * from './get-trips.request';
 export * from './update-trip.request';
+export * from './update-waypoints.request';
+export * from './get-driver-offers.request';
+export * from './estimate-fare.request';
+export * from './get-surge-map.request';
+export * from './rate-trip.request';
+export * from './start-trip.request';
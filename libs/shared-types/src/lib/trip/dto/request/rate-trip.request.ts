@@ -0,0 +1,28 @@
+import {
+  IsInt,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  Max,
+  MaxLength,
+  Min,
+} from 'class-validator';
+
+export class RateTripRequest {
+  @IsNotEmpty()
+  id!: string;
+
+  // The trip's rider or driver; decides who is being rated
+  @IsNotEmpty()
+  raterId!: string;
+
+  @IsInt()
+  @Min(1)
+  @Max(5)
+  score!: number;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  comment?: string;
+}
@@ -0,0 +1,13 @@
+export interface StartTripRequest {
+  id: string;
+  // The rider's PIN, when the trip requires one
+  pin?: string;
+  // Must be the trip's driver
+  driverId: string;
+}
+
+export interface GetStartPinRequest {
+  id: string;
+  // Must be the trip's rider
+  userId: string;
+}
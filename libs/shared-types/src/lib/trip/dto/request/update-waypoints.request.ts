@@ -0,0 +1,15 @@
+import { WaypointInput } from './create-trip.request';
+
+export interface UpdateWaypointsRequest {
+  id: string;
+  // Replaces every stop not reached yet; reached stops are kept
+  waypoints?: WaypointInput[];
+}
+
+export interface MarkWaypointRequest {
+  id: string;
+  position: number;
+  driverId: string;
+  // ARRIVED or DEPARTED
+  event: string;
+}
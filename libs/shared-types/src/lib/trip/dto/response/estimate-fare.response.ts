@@ -0,0 +1,18 @@
+export interface FareBreakdown {
+  baseFare: number;
+  perKm: number;
+  distanceFare: number;
+  perMinute: number;
+  timeFare: number;
+  minimumFare: number;
+  surgeMultiplier: number;
+}
+
+export interface EstimateFareResponse {
+  vehicleType: string;
+  distanceKm: number;
+  durationMinutes: number;
+  currency: string;
+  breakdown: FareBreakdown;
+  total: number;
+}
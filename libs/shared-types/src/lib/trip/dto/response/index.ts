@@ -1,2 +1,9 @@
 export * from './trip.response';
 export * from './trips-list.response';
+export * from './trip-offer.response';
+export * from './trip-offers-list.response';
+export * from './estimate-fare.response';
+export * from './surge-map.response';
+export * from './trip-rating.response';
+export * from './trip-event.response';
+export * from './start-pin.response';
@@ -0,0 +1,7 @@
+export interface StartPinResponse {
+  tripId: string;
+  required: boolean;
+  // Only while a driver is on the way or waiting at the pickup
+  pin?: string;
+  attemptsLeft?: number;
+}
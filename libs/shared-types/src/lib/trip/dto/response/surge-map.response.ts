@@ -0,0 +1,14 @@
+export interface SurgeCell {
+  cell: string;
+  latitude: number;
+  longitude: number;
+  demand: number;
+  supply: number;
+  multiplier: number;
+}
+
+export interface SurgeMapResponse {
+  resolution: number;
+  windowMinutes: number;
+  cells: SurgeCell[];
+}
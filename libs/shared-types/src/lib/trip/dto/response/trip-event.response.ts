@@ -0,0 +1,14 @@
+export interface TripEventResponse {
+  id: string;
+  tripId: string;
+  type: string;
+  actorType?: string;
+  actorId?: string;
+  // JSON-encoded details of the change
+  payload?: string;
+  createdAt: string;
+}
+
+export interface TripEventsResponse {
+  events: TripEventResponse[];
+}
@@ -0,0 +1,12 @@
+export interface TripOfferResponse {
+  id: string;
+  tripId: string;
+  driverId: string;
+  status: string;
+  expiresAt: string;
+  respondedAt?: string;
+  pickupLatitude?: number;
+  pickupLongitude?: number;
+  destinationLatitude?: number;
+  destinationLongitude?: number;
+}
@@ -0,0 +1,5 @@
+import { TripOfferResponse } from './trip-offer.response';
+
+export class TripOffersListResponse {
+  offers!: TripOfferResponse[];
+}
@@ -0,0 +1,10 @@
+export interface TripRatingResponse {
+  id: string;
+  tripId: string;
+  raterRole: string;
+  raterId: string;
+  rateeId: string;
+  score: number;
+  comment?: string;
+  createdAt: string;
+}
@@ -1,3 +1,12 @@
+export interface WaypointResponse {
+  id: string;
+  position: number;
+  latitude: number;
+  longitude: number;
+  arrivedAt?: string;
+  departedAt?: string;
+}
+
 export interface TripResponse {
   id: string;
   userId: string;
@@ -9,6 +18,21 @@ export interface TripResponse {
   destinationLongitude?: number;
   driverLatitude?: number;
   driverLongitude?: number;
+  surgeMultiplier?: number;
+  fare?: number;
+  currency?: string;
+  scheduledAt?: string;
+  canceledBy?: string;
+  cancelReason?: string;
+  cancellationFee?: number;
+  waypoints?: WaypointResponse[];
+  estimatedFare?: number;
+  pooled?: boolean;
+  vehicleType?: string;
+  driverEtaSeconds?: number;
+  arrivedAt?: string;
+  waitingFee?: number;
+  startPinRequired?: boolean;
   driverInfo?: {
     name: string;
     phone: string;
@@ -10,11 +10,30 @@ import { Observable } from 'rxjs';
 import {
   CreateTripRequest,
   AcceptTripRequest,
+  ArriveTripRequest,
   TripId,
+  StartTripRequest,
+  GetStartPinRequest,
+  CancelTripRequest,
   GetTripsRequest,
   UpdateTripRequest,
+  GetDriverOffersRequest,
+  EstimateFareRequest,
+  GetSurgeMapRequest,
+  RateTripRequest,
+  UpdateWaypointsRequest,
+  MarkWaypointRequest,
 } from '../dto/request';
-import { TripResponse, TripsListResponse } from '../dto/response';
+import {
+  TripResponse,
+  TripsListResponse,
+  TripOffersListResponse,
+  EstimateFareResponse,
+  SurgeMapResponse,
+  TripRatingResponse,
+  TripEventsResponse,
+  StartPinResponse,
+} from '../dto/response';
 
 export const protobufPackage = 'trip';
 
@@ -29,13 +48,33 @@ export interface TripServiceClient {
 
   updateTrip(request: UpdateTripRequest): Observable<TripResponse>;
 
-  cancelTrip(request: TripId): Observable<TripResponse>;
+  cancelTrip(request: CancelTripRequest): Observable<TripResponse>;
 
   acceptTrip(request: AcceptTripRequest): Observable<TripResponse>;
 
-  startTrip(request: TripId): Observable<TripResponse>;
+  arriveTrip(request: ArriveTripRequest): Observable<TripResponse>;
+
+  startTrip(request: StartTripRequest): Observable<TripResponse>;
+
+  getStartPin(request: GetStartPinRequest): Observable<StartPinResponse>;
 
   completeTrip(request: TripId): Observable<TripResponse>;
+
+  getDriverOffers(
+    request: GetDriverOffersRequest
+  ): Observable<TripOffersListResponse>;
+
+  estimateFare(request: EstimateFareRequest): Observable<EstimateFareResponse>;
+
+  getSurgeMap(request: GetSurgeMapRequest): Observable<SurgeMapResponse>;
+
+  rateTrip(request: RateTripRequest): Observable<TripRatingResponse>;
+
+  getTripEvents(request: TripId): Observable<TripEventsResponse>;
+
+  updateWaypoints(request: UpdateWaypointsRequest): Observable<TripResponse>;
+
+  markWaypoint(request: MarkWaypointRequest): Observable<TripResponse>;
 }
 
 export interface TripServiceController {
@@ -59,20 +98,74 @@ export interface TripServiceController {
   ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
 
   cancelTrip(
-    request: TripId
+    request: CancelTripRequest
   ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
 
   acceptTrip(
     request: AcceptTripRequest
   ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
 
+  arriveTrip(
+    request: ArriveTripRequest
+  ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
+
   startTrip(
-    request: TripId
+    request: StartTripRequest
   ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
 
+  getStartPin(
+    request: GetStartPinRequest
+  ):
+    | Promise<StartPinResponse>
+    | Observable<StartPinResponse>
+    | StartPinResponse;
+
   completeTrip(
     request: TripId
   ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
+
+  getDriverOffers(
+    request: GetDriverOffersRequest
+  ):
+    | Promise<TripOffersListResponse>
+    | Observable<TripOffersListResponse>
+    | TripOffersListResponse;
+
+  estimateFare(
+    request: EstimateFareRequest
+  ):
+    | Promise<EstimateFareResponse>
+    | Observable<EstimateFareResponse>
+    | EstimateFareResponse;
+
+  getSurgeMap(
+    request: GetSurgeMapRequest
+  ):
+    | Promise<SurgeMapResponse>
+    | Observable<SurgeMapResponse>
+    | SurgeMapResponse;
+
+  rateTrip(
+    request: RateTripRequest
+  ):
+    | Promise<TripRatingResponse>
+    | Observable<TripRatingResponse>
+    | TripRatingResponse;
+
+  getTripEvents(
+    request: TripId
+  ):
+    | Promise<TripEventsResponse>
+    | Observable<TripEventsResponse>
+    | TripEventsResponse;
+
+  updateWaypoints(
+    request: UpdateWaypointsRequest
+  ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
+
+  markWaypoint(
+    request: MarkWaypointRequest
+  ): Promise<TripResponse> | Observable<TripResponse> | TripResponse;
 }
 
 export function TripServiceControllerMethods() {
@@ -84,8 +177,17 @@ export function TripServiceControllerMethods() {
       'updateTrip',
       'cancelTrip',
       'acceptTrip',
+      'arriveTrip',
       'startTrip',
+      'getStartPin',
       'completeTrip',
+      'getDriverOffers',
+      'estimateFare',
+      'getSurgeMap',
+      'rateTrip',
+      'getTripEvents',
+      'updateWaypoints',
+      'markWaypoint',
     ];
     for (const method of grpcMethods) {
       const descriptor: any = Reflect.getOwnPropertyDescriptor(
@@ -12,7 +12,4 @@ export class UpdateUserProfileRequest {
 
   @IsOptional()
   phone?: string;
-
-  @IsOptional()
-  balance?: number;
 }
@@ -0,0 +1,18 @@
+import { IsNotEmpty, IsNumber, IsOptional, IsString } from 'class-validator';
+
+export class ApplyWalletTransactionRequest {
+  @IsNotEmpty()
+  userId!: string;
+
+  // Signed: negative debits the wallet, positive credits it
+  @IsNumber()
+  amount!: number;
+
+  // Idempotency key; a reference is only ever applied once per wallet
+  @IsNotEmpty()
+  reference!: string;
+
+  @IsOptional()
+  @IsString()
+  description?: string;
+}
@@ -0,0 +1 @@
+export * from './apply-wallet-transaction.request';
@@ -0,0 +1 @@
+export * from './wallet-transaction.response';
@@ -0,0 +1,10 @@
+export class WalletTransactionResponse {
+  id!: string;
+  userId!: string;
+  amount!: number;
+  balanceAfter!: number;
+  reference!: string;
+  createdAt!: string;
+  // false when the reference had already been applied and this is a replay
+  applied!: boolean;
+}
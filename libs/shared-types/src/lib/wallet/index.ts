@@ -0,0 +1,3 @@
+export * from './dto/request';
+export * from './dto/response';
+export * from './wallet-ledger';
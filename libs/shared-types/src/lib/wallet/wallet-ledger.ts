@@ -0,0 +1,126 @@
+import { RpcException } from '@nestjs/microservices';
+import { status } from '@grpc/grpc-js';
+import { ApplyWalletTransactionRequest } from './dto/request';
+import { WalletTransactionResponse } from './dto/response';
+
+/**
+ * A wallet_transaction row as each service's Prisma client returns it
+ */
+export interface StoredWalletTransaction {
+  id: string;
+  userId: string;
+  amount: { toNumber(): number };
+  balanceAfter: { toNumber(): number };
+  reference: string;
+  createdAt: Date;
+}
+
+/**
+ * Where a service keeps its wallets
+ */
+export interface WalletStore {
+  // The transaction applied under `reference`, if any
+  findByReference(reference: string): Promise<StoredWalletTransaction | null>;
+  // Move the balance and record the transaction together. Fails with Prisma
+  // P2025 when the wallet does not exist and P2002 when the reference is taken.
+  apply(
+    request: ApplyWalletTransactionRequest
+  ): Promise<StoredWalletTransaction>;
+}
+
+/**
+ * Move money in or out of a wallet, at most once per reference
+ *
+ * A reference that was already applied returns the original row with
+ * `applied: false`, so callers can retry freely. Reusing a reference for a
+ * different wallet or amount fails with ALREADY_EXISTS. Ghost users have no
+ * wallet and are acknowledged without touching the store.
+ *
+ * `owner` names the wallet holder in errors, e.g. "Driver".
+ */
+export async function applyWalletTransaction(
+  request: ApplyWalletTransactionRequest,
+  store: WalletStore,
+  owner: string
+): Promise<WalletTransactionResponse> {
+  if (!request.reference || !Number.isFinite(request.amount)) {
+    throw new RpcException({
+      code: status.INVALID_ARGUMENT,
+      message: 'Wallet transaction needs a reference and an amount',
+    });
+  }
+
+  if (request.userId.startsWith('ghost:')) {
+    return {
+      id: request.reference,
+      userId: request.userId,
+      amount: request.amount,
+      balanceAfter: 0.0,
+      reference: request.reference,
+      createdAt: new Date().toISOString(),
+      applied: false,
+    };
+  }
+
+  const existing = await store.findByReference(request.reference);
+
+  if (existing) {
+    return toResponse(assertReplay(existing, request));
+  }
+
+  try {
+    return toResponse(await store.apply(request), true);
+  } catch (error) {
+    // Lost a race against a concurrent retry of the same reference
+    if (error?.code === 'P2002') {
+      const winner = await store.findByReference(request.reference);
+
+      if (winner) {
+        return toResponse(assertReplay(winner, request));
+      }
+    }
+
+    if (error?.code === 'P2025') {
+      throw new RpcException({
+        code: status.NOT_FOUND,
+        message: `${owner} ${request.userId} not found`,
+      });
+    }
+
+    throw error;
+  }
+}
+
+function assertReplay(
+  transaction: StoredWalletTransaction,
+  request: ApplyWalletTransactionRequest
+): StoredWalletTransaction {
+  // Amounts are stored in cents
+  const sameAmount =
+    Math.round(transaction.amount.toNumber() * 100) ===
+    Math.round(request.amount * 100);
+
+  if (transaction.userId !== request.userId || !sameAmount) {
+    throw new RpcException({
+      code: status.ALREADY_EXISTS,
+      message: `Reference ${request.reference} was already used for a different transaction`,
+    });
+  }
+
+  return transaction;
+}
+
+function toResponse(
+  transaction: StoredWalletTransaction,
+  applied = false
+): WalletTransactionResponse {
+  return {
+    id: transaction.id,
+    userId: transaction.userId,
+    amount: transaction.amount.toNumber(),
+    balanceAfter: transaction.balanceAfter.toNumber(),
+    reference: transaction.reference,
+    createdAt: transaction.createdAt.toISOString(),
+    applied,
+  };
+}
@@ -464,7 +464,7 @@ export function userLifecycleScenario(data) {
       const startTripStart = Date.now();
       const startTripResponse = http.post(
         `${config.baseUrl}/trips/${tripId}/start`,
-        null,
+        JSON.stringify({ driverId: result.trip.driverId }),
         {
           headers: { 'Content-Type': 'application/json' },
           timeout: config.timeouts.default,
@@ -111,6 +111,8 @@ async function seedGhostDrivers(client) {
     // Add to Redis using GEOADD
     try {
       await client.geoAdd('drivers', members);
+      // Ghosts ride motorbikes; typed searches read the per-type set
+      await client.geoAdd('drivers:MOTOBIKE', members);
       seeded += batchSize;
 
       // Progress update every 10 batches
@@ -167,6 +169,7 @@ async function clearGhostDrivers(client) {
     for (let i = 0; i < ghostDrivers.length; i += BATCH_SIZE) {
       const batch = ghostDrivers.slice(i, i + BATCH_SIZE);
       await client.zRem('drivers', batch);
+      await client.zRem('drivers:MOTOBIKE', batch);
       removed += batch.length;
 
       if (i % 10000 === 0) {
@@ -51,7 +51,7 @@ async function main() {
     for (const driver of testDrivers) {
       try {
         // Create driver profile (this contains all driver info)
-        await prismaService.driverProfile.upsert({
+        const profile = await prismaService.driverProfile.upsert({
           where: { userId: driver.id },
           update: {
             name: driver.name,
@@ -77,6 +77,12 @@ async function main() {
 
         // Add to Redis
         await geoadd('drivers', driver.lng, driver.lat, driver.id);
+        await geoadd(
+          `drivers:${profile.vehicleType}`,
+          driver.lng,
+          driver.lat,
+          driver.id
+        );
 
         console.log(
           `✅ Created driver: ${driver.name} at (${driver.lat}, ${driver.lng})`